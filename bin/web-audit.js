@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+// The audit config reads the reports directory when it is loaded
+const outIndex = process.argv.indexOf('--out');
+if (outIndex !== -1 && process.argv[outIndex + 1]) {
+  process.env.AUDIT_REPORTS_DIR = process.argv[outIndex + 1];
+}
+
+const { main } = require('../tests/helpers/cli');
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,6 +1,7 @@
 // @ts-check
 const { devices } = require('@playwright/test')
 require('dotenv').config()
+const { getDeviceProjects } = require('./tests/helpers/config/device-profiles');
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -8,6 +9,8 @@ require('dotenv').config()
  */
 const config = {
   testDir: './tests',
+  /* Unit specs of the helpers run in the `unit` project only */
+  testIgnore: '**/unit/**',
   /* Maximum time one test can run for. */
   timeout: process.env.ENABLE_LIGHTHOUSE === 'true' ? 60 * 1000 : 30 * 1000,
   expect: {
@@ -17,18 +20,19 @@ const config = {
      */
     timeout: 5000,
   },
-  /* Run tests in parallel with limitations for Lighthouse tests */
-  fullyParallel: process.env.ENABLE_LIGHTHOUSE !== 'true',
+  /* Run tests in parallel, each worker launches Chromium on its own debugging port for Lighthouse */
+  fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
   forbidOnly: process.env.CI === 'true',
   /* Retry on CI only */
   retries: process.env.CI === 'true' ? 2 : 0,
-  /* Use multiple workers based on test type */
-  workers: process.env.ENABLE_LIGHTHOUSE === 'true' ? 1 : undefined, // Use single worker for Lighthouse tests, auto for others
+  /* Use the default number of workers, LIGHTHOUSE_CONCURRENCY limits the Lighthouse runs at the same time */
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: [
     ['html'],
-    ['list']
+    ['list'],
+    /* Consolidated audit report of all workers, projects and spec files */
+    ['./tests/helpers/reporting/audit-reporter.js'],
   ],
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
@@ -49,16 +53,21 @@ const config = {
 
   /* Configure projects for major browsers */
   projects: [
+    /* Unit specs of the helpers, without a browser */
     {
+      name: 'unit',
+      testDir: './tests/unit',
+      testIgnore: [],
+    },
+
+    /* One Chromium project per device profile of AUDIT_DEVICES, e.g. chromium-desktop and chromium-mobile */
+    ...getDeviceProjects({
       name: 'chromium',
       use: {
         ...devices['Desktop Chrome'],
-        // Launch options for Lighthouse tests
-        launchOptions: {
-          args: process.env.ENABLE_LIGHTHOUSE === 'true' ? ['--remote-debugging-port=9222'] : []
-        }
+        // The debugging port of Lighthouse tests is added by the `test` fixtures of tests/helpers
       },
-    },
+    }),
 
     {
       name: 'firefox',
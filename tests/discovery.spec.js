@@ -0,0 +1,33 @@
+// @ts-check
+const {
+  test,
+  runCombinedAudit,
+  loadDiscoveredPages,
+  defaultDiscoverySettings,
+} = require('./helpers');
+
+// Discovery runs when a seed URL or a sitemap is configured
+const DISCOVERY_ENABLED = Boolean(defaultDiscoverySettings.seed || defaultDiscoverySettings.sitemap);
+
+// Pages found by crawling the site, see tests/helpers/audits/page-discovery.js
+const DISCOVERED_PAGES = DISCOVERY_ENABLED ? loadDiscoveredPages() : [];
+
+test.describe('Discovered Pages Performance and Accessibility Tests', () => {
+  if (!DISCOVERY_ENABLED) {
+    // Listed as skipped, so running the spec without discovery settings is not an error
+    test.skip('should discover pages (set DISCOVERY_SEED or DISCOVERY_SITEMAP)', async () => {});
+  }
+
+  // Run one test for each discovered page, grouped by URL template in the consolidated report
+  DISCOVERED_PAGES.forEach((discovered) => {
+    test(`should test ${discovered.url}`, async ({ page }, testInfo) => {
+      await page.goto(discovered.url, {
+        waitUntil: 'networkidle',
+      });
+
+      await runCombinedAudit(page, testInfo, {
+        urlTemplate: discovered.template,
+      });
+    });
+  });
+});
@@ -1,15 +1,13 @@
 // @ts-check
-const { test } = require('@playwright/test');
-const { runCombinedAudit, resetTestResults, generateConsolidatedReport, testState } = require('./helpers');
+const {
+  test,
+  expect,
+  runCombinedAudit,
+  runAuditFlow,
+} = require('./helpers');
 
-// Custom audit configuration with different thresholds
+// Custom audit configuration with different thresholds, on the device profile of the project (see AUDIT_DEVICES)
 const AUDIT_CONFIG = {
-  deviceSettings: {
-    mobile: false, // Test desktop version
-    width: 1280,
-    height: 720,
-    deviceScaleFactor: 1
-  },
   throttlingSettings: {
     // Simulate fast 4G conditions
     downloadThroughputKbps: 5000,
@@ -35,6 +33,7 @@ const TEST_PAGES = [
     name: 'Product Category Page - Phones',
     url: 'https://www.demoblaze.com/#',
     expectedTitle: 'STORE',
+    pageState: { label: 'category-phones' },
     setupAction: async (page) => {
       // Click on Phones category
       await page.click('a.list-group-item:has-text("Phones")');
@@ -45,6 +44,7 @@ const TEST_PAGES = [
     name: 'Product Category Page - Laptops',
     url: 'https://www.demoblaze.com/#',
     expectedTitle: 'STORE',
+    pageState: { label: 'category-laptops' },
     setupAction: async (page) => {
       // Click on Laptops category
       await page.click('a.list-group-item:has-text("Laptops")');
@@ -54,17 +54,8 @@ const TEST_PAGES = [
 ];
 
 test.describe('E-commerce Website Performance and Accessibility Tests', () => {
-  test.beforeAll(async () => {
-    resetTestResults();
-  });
-
-  test.afterAll(async () => {
-    // Wait for any pending operations
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    const results = testState.getResults() || [];
-    console.log(`Generating consolidated report with ${results.length} results from state`);
-    generateConsolidatedReport();
-  });
+  // Results are reset, and the audit cache purged, by the audit reporter before the workers start,
+  // and the consolidated report is written by it once all workers are done
 
   // Run tests for each page
   for (const page of TEST_PAGES) {
@@ -83,8 +74,13 @@ test.describe('E-commerce Website Performance and Accessibility Tests', () => {
       const title = await pageContext.title();
       console.log(`Page title: ${title}`);
       
-      // Run the combined audit
-      await runCombinedAudit(pageContext, testInfo, AUDIT_CONFIG);
+      // Run the combined audit, keyed by the page state when one is given.
+      // Pages reached by a setup action are audited as they are, reloading them would reset their state
+      await runCombinedAudit(pageContext, testInfo, {
+        ...AUDIT_CONFIG,
+        ...(page.pageState && { pageState: page.pageState }),
+        ...(page.setupAction && { lighthouseMode: 'snapshot' }),
+      });
     });
   }
 
@@ -112,6 +108,24 @@ test.describe('E-commerce Website Performance and Accessibility Tests', () => {
     });
   });
 
+  // Audit browsing a category as a Lighthouse user flow
+  test('should audit the phone category flow', async ({ page }, testInfo) => {
+    await page.goto('https://www.demoblaze.com/', {
+      waitUntil: 'networkidle',
+    });
+
+    await runAuditFlow(page, testInfo, 'Browse phones', async (flow) => {
+      await flow.snapshot('Home page');
+
+      await flow.timespan('Open the Phones category', async () => {
+        await page.click('a.list-group-item:has-text("Phones")');
+        await page.waitForTimeout(1000); // Wait for content to load
+      });
+
+      await flow.snapshot('Phones category');
+    }, AUDIT_CONFIG);
+  });
+
   // Test cart functionality
   test('should test cart page', async ({ page }, testInfo) => {
     // Go to home page
@@ -127,5 +141,9 @@ test.describe('E-commerce Website Performance and Accessibility Tests', () => {
     
     // Run the audit on the cart page
     await runCombinedAudit(page, testInfo, AUDIT_CONFIG);
+
+    // The cart must meet the category thresholds, the matchers reuse the cached audit results
+    await expect(page).toMeetLighthouseBudget(AUDIT_CONFIG.thresholds, AUDIT_CONFIG);
+    await expect(page).toHaveNoAxeViolations({ ...AUDIT_CONFIG, rules: ['document-title'] });
   });
 }); 
\ No newline at end of file
@@ -1,32 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultCacheSettings } = require('../config/audit-config');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+const { hashString } = require('../utils/hash-utils');
+
+/**
+ * Generate a cache key from URL, state and audit config fingerprint
+ * @param {string} url - URL of the page
+ * @param {string} state - State identifier
+ * @param {string} [fingerprint] - Audit config fingerprint
+ * @returns {string} Cache key
+ */
+function getCacheKey(url, state, fingerprint = '') {
+  return fingerprint ? `${url}#${state}#${fingerprint}` : `${url}#${state}`;
+}
+
 /**
- * Cache for storing audit results by URL
+ * Cache for storing audit results by URL, page state and audit configuration.
+ *
+ * Entries live in memory and, when `persistent` is enabled, are also written
+ * to one JSON file per key so they survive between runs. An entry is ignored
+ * once it is older than `ttl`, or when the page content hash it was stored
+ * with differs from the current one.
  */
 class AuditCache {
-  constructor() {
-    this.cache = new Map();
-    this.lighthouseRuns = new Map();
+  /**
+   * @param {Object} settings - Cache settings, see `defaultCacheSettings`
+   */
+  constructor(settings = defaultCacheSettings) {
+    this.entries = new Map();
+    this.configure(settings);
+  }
+
+  /**
+   * Update the cache settings
+   * @param {Object} settings - Settings to merge into the current ones
+   */
+  configure(settings = {}) {
+    this.settings = {
+      ...defaultCacheSettings,
+      ...this.settings,
+      ...settings,
+    };
   }
 
   /**
    * Get cached audit results for a URL
    * @param {string} url - The URL to get results for
    * @param {string} state - Optional state identifier (e.g., 'empty', 'with-items', 'completed')
+   * @param {Object} options - Optional `fingerprint` of the audit config and `contentHash` of the page
    * @returns {Object|null} Cached results or null if not found
    */
-  get(url, state = '') {
-    const key = this._getCacheKey(url, state);
-    return this.cache.get(key) || null;
+  get(url, state = '', options = {}) {
+    const entry = this._getEntry(url, state, options);
+    return (entry && entry.results) || null;
   }
 
   /**
    * Get all Lighthouse runs for a URL
    * @param {string} url - The URL to get results for
    * @param {string} state - Optional state identifier
+   * @param {Object} options - Optional `fingerprint` and `contentHash`
    * @returns {Array} Array of Lighthouse results
    */
-  getLighthouseRuns(url, state = '') {
-    const key = this._getCacheKey(url, state);
-    return this.lighthouseRuns.get(key) || [];
+  getLighthouseRuns(url, state = '', options = {}) {
+    const entry = this._getEntry(url, state, options);
+    return (entry && entry.lighthouseRuns) || [];
   }
 
   /**
@@ -34,12 +73,12 @@ class AuditCache {
    * @param {string} url - The URL to store results for
    * @param {Object} results - The Lighthouse results to store
    * @param {string} state - Optional state identifier
+   * @param {Object} options - Optional `fingerprint` and `contentHash`
    */
-  addLighthouseRun(url, results, state = '') {
-    const key = this._getCacheKey(url, state);
-    const runs = this.getLighthouseRuns(url, state);
-    runs.push(results);
-    this.lighthouseRuns.set(key, runs);
+  addLighthouseRun(url, results, state = '', options = {}) {
+    const entry = this._getEntry(url, state, options) || this._createEntry(url, state, options);
+    entry.lighthouseRuns = [...(entry.lighthouseRuns || []), results];
+    this._saveEntry(entry);
   }
 
   /**
@@ -47,21 +86,23 @@ class AuditCache {
    * @param {string} url - The URL to store results for
    * @param {Object} results - The audit results to store
    * @param {string} state - Optional state identifier
+   * @param {Object} options - Optional `fingerprint` and `contentHash`
    */
-  set(url, results, state = '') {
-    const key = this._getCacheKey(url, state);
-    this.cache.set(key, results);
+  set(url, results, state = '', options = {}) {
+    const entry = this._getEntry(url, state, options) || this._createEntry(url, state, options);
+    entry.results = results;
+    this._saveEntry(entry);
   }
 
   /**
    * Check if results exist for a URL
    * @param {string} url - The URL to check
    * @param {string} state - Optional state identifier
+   * @param {Object} options - Optional `fingerprint` and `contentHash`
    * @returns {boolean} Whether results exist
    */
-  has(url, state = '') {
-    const key = this._getCacheKey(url, state);
-    return this.cache.has(key);
+  has(url, state = '', options = {}) {
+    return this.get(url, state, options) !== null;
   }
 
   /**
@@ -69,29 +110,125 @@ class AuditCache {
    * @param {string} url - The URL to check
    * @param {string} state - Optional state identifier
    * @param {number} requiredRuns - Number of required runs
+   * @param {Object} options - Optional `fingerprint` and `contentHash`
    * @returns {boolean} Whether we have enough runs
    */
-  hasEnoughLighthouseRuns(url, state = '', requiredRuns = 3) {
-    const runs = this.getLighthouseRuns(url, state);
+  hasEnoughLighthouseRuns(url, state = '', requiredRuns = 3, options = {}) {
+    const runs = this.getLighthouseRuns(url, state, options);
     return runs.length >= requiredRuns;
   }
 
   /**
-   * Clear all cached results
+   * Clear all in-memory results. Persisted entries are kept, use `purge()` to delete them.
    */
   clear() {
-    this.cache.clear();
-    this.lighthouseRuns.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * Clear all results, including the ones persisted to disk
+   */
+  purge() {
+    this.clear();
+    if (fs.existsSync(this.settings.directory)) {
+      fs.rmSync(this.settings.directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Path of the file an entry is persisted to
+   * @private
+   */
+  _getEntryPath(key) {
+    return path.join(this.settings.directory, `${hashString(key)}.json`);
+  }
+
+  /**
+   * Create an empty entry
+   * @private
+   */
+  _createEntry(url, state, { fingerprint = '', contentHash = null } = {}) {
+    const entry = {
+      key: getCacheKey(url, state, fingerprint),
+      url,
+      state,
+      fingerprint,
+      contentHash,
+      createdAt: Date.now(),
+      results: null,
+      lighthouseRuns: [],
+    };
+    this.entries.set(entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * Look up a valid entry in memory, then on disk. Expired entries and entries
+   * stored for different page content are discarded. When the cache is bypassed
+   * only the entries created during this run are used.
+   * @private
+   */
+  _getEntry(url, state, { fingerprint = '', contentHash = null } = {}) {
+    const key = getCacheKey(url, state, fingerprint);
+    const entry = this.entries.get(key) || (this.settings.bypass ? null : this._loadEntry(key));
+    if (!entry) return null;
+
+    const expired = this.settings.ttl > 0 && Date.now() - entry.createdAt > this.settings.ttl;
+    const contentChanged = Boolean(contentHash && entry.contentHash && contentHash !== entry.contentHash);
+    if (expired || contentChanged) {
+      this._deleteEntry(key);
+      return null;
+    }
+
+    this.entries.set(key, entry);
+    return entry;
   }
 
   /**
-   * Generate a cache key from URL and state
+   * Read a persisted entry
    * @private
    */
-  _getCacheKey(url, state) {
-    return `${url}#${state}`;
+  _loadEntry(key) {
+    if (!this.settings.persistent) return null;
+
+    const entryPath = this._getEntryPath(key);
+    if (!fs.existsSync(entryPath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable cache entry ${entryPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist an entry
+   * @private
+   */
+  _saveEntry(entry) {
+    this.entries.set(entry.key, entry);
+    if (!this.settings.persistent) return;
+
+    ensureDirectoryExists(this.settings.directory);
+    fs.writeFileSync(this._getEntryPath(entry.key), JSON.stringify(entry));
+  }
+
+  /**
+   * Remove an entry from memory and disk
+   * @private
+   */
+  _deleteEntry(key) {
+    this.entries.delete(key);
+    if (!this.settings.persistent) return;
+
+    const entryPath = this._getEntryPath(key);
+    if (fs.existsSync(entryPath)) {
+      fs.unlinkSync(entryPath);
+    }
   }
 }
 
 // Export singleton instance
-module.exports = new AuditCache(); 
\ No newline at end of file
+module.exports = new AuditCache();
+module.exports.AuditCache = AuditCache;
@@ -2,81 +2,82 @@ const { AxeBuilder } = require('@axe-core/playwright');
 const fs = require('fs');
 const path = require('path');
 const { getFormattedTimestamp, ensureDirectoryExists } = require('../utils/file-utils');
-const { reportPaths } = require('../config/audit-config');
+const { reportPaths, defaultBaselineSettings, defaultAxeSettings } = require('../config/audit-config');
+const { loadBaseline, applyBaseline, updateBaseline } = require('./axe-baseline');
 
 /**
- * Runs an accessibility audit using Axe
- * @param {import('playwright').Page} page - Playwright page object
- * @param {Object} options - Audit options
- * @returns {Promise<Object>} Audit results
+ * Normalizes Axe include or exclude selectors to a list. Strings piercing
+ * shadow roots with `>>>` (as in the targets of the reports, e.g.
+ * `cookie-banner >>> .content`) become `{ fromShadowDom: [...] }` selectors.
+ * @param {string|Object|Array<string|Object>} [selectors] - Selector, or list of selectors
+ * @returns {Array<string|Object>} Selectors
  */
-async function runAccessibilityAudit(page, options = {}) {
-  const timestamp = getFormattedTimestamp();
-  
-  // Ensure reports directory exists
-  ensureDirectoryExists(reportPaths.axe);
+function normalizeSelectors(selectors = []) {
+  return [].concat(selectors).map((selector) => {
+    if (typeof selector !== 'string' || !selector.includes('>>>')) return selector;
+    return { fromShadowDom: selector.split('>>>').map((part) => part.trim()) };
+  });
+}
 
-  // Wait for the page to be fully loaded
-  await page.waitForLoadState('networkidle');
-  
-  // Wait for page content to be visible - using a more generic approach
-  // instead of waiting for a specific selector like '.todoapp'
-  await page.waitForSelector('body', { state: 'visible' });
+/**
+ * Merges per-audit Axe settings into the global ones.
+ * Tags, include and exclude replace the global values, while rules enabled or
+ * disabled for the audit take precedence over the global rule lists.
+ * @param {Object} overrides - Per-audit settings (`config.axe`)
+ * @returns {Object} Active Axe settings
+ */
+function resolveAxeSettings(overrides = {}) {
+  const enableRules = overrides.enableRules || [];
+  const disableRules = overrides.disableRules || [];
 
-  // Configure Axe builder with more comprehensive options
-  const builder = new AxeBuilder({ page })
-    .withTags(['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'])
-    .options({
-      runOnly: {
-        type: 'tag',
-        values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice']
-      },
-      rules: {
-        'color-contrast': { enabled: true },
-        'document-title': { enabled: true },
-        'html-has-lang': { enabled: true },
-        'label': { enabled: true },
-        'landmark-one-main': { enabled: true },
-        'page-has-heading-one': { enabled: true },
-        'region': { enabled: true }
-      }
-    });
+  const settings = { ...defaultAxeSettings, ...overrides };
 
-  // Run the audit
-  const results = await builder.analyze();
+  return {
+    ...settings,
+    include: normalizeSelectors(settings.include),
+    exclude: normalizeSelectors(settings.exclude),
+    enableRules: [...new Set([...defaultAxeSettings.enableRules, ...enableRules])]
+      .filter((rule) => !disableRules.includes(rule)),
+    disableRules: [...new Set([...defaultAxeSettings.disableRules, ...disableRules])]
+      .filter((rule) => !enableRules.includes(rule)),
+  };
+}
 
-  // Generate report paths
-  const jsonReportPath = path.join(reportPaths.axe, `axe-${timestamp}.json`);
-  const htmlReportPath = path.join(reportPaths.axe, `axe-${timestamp}.html`);
+/**
+ * Creates an Axe builder for the given settings
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} settings - Active Axe settings
+ * @returns {AxeBuilder} Configured builder
+ */
+function createAxeBuilder(page, settings) {
+  const rules = {
+    ...Object.fromEntries(settings.enableRules.map((rule) => [rule, { enabled: true }])),
+    ...Object.fromEntries(settings.disableRules.map((rule) => [rule, { enabled: false }])),
+  };
 
-  // Save JSON report
-  fs.writeFileSync(jsonReportPath, JSON.stringify(results, null, 2));
+  const builder = new AxeBuilder({ page }).options({
+    runOnly: {
+      type: 'tag',
+      values: settings.tags,
+    },
+    rules,
+    iframes: settings.iframes,
+  });
 
-  // Calculate metrics
-  const metrics = {
-    total_violations: results.violations.length,
-    critical_violations: results.violations.filter(v => v.impact === 'critical').length,
-    serious_violations: results.violations.filter(v => v.impact === 'serious').length,
-    moderate_violations: results.violations.filter(v => v.impact === 'moderate').length,
-    minor_violations: results.violations.filter(v => v.impact === 'minor').length,
-    passes: results.passes.length,
-    total_tests: results.passes.length + results.violations.length,
-    has_critical_or_serious: results.violations.some(v => ['critical', 'serious'].includes(v.impact)),
-    has_moderate_or_minor: results.violations.some(v => ['moderate', 'minor'].includes(v.impact))
-  };
+  settings.include.forEach((selector) => builder.include(selector));
+  settings.exclude.forEach((selector) => builder.exclude(selector));
 
-  // Generate HTML report
-  const htmlReport = generateAxeHtmlReport(results, metrics);
-  fs.writeFileSync(htmlReportPath, htmlReport);
+  return builder;
+}
 
-  return {
-    metrics,
-    violations: results.violations,
-    reportPaths: {
-      html: htmlReportPath,
-      json: jsonReportPath
-    }
-  };
+/**
+ * Describes why a baseline entry exists and until when
+ * @param {Object} entry - Baseline entry
+ * @returns {string} Justification and expiry date
+ */
+function describeBaselineEntry(entry) {
+  const justification = entry.justification || 'No justification';
+  return entry.expires ? `${justification} (expires ${entry.expires})` : justification;
 }
 
 /**
@@ -107,6 +108,7 @@ function generateAxeHtmlReport(results, metrics) {
           .serious { border-left: 5px solid #ff9900; }
           .moderate { border-left: 5px solid #ffcc00; }
           .minor { border-left: 5px solid #ffff00; }
+          .baselined { border-left: 5px solid #999999; }
           .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 20px 0; }
           .metric-card { padding: 20px; background: #f5f5f5; border-radius: 5px; }
           .status-icon { font-size: 2em; margin-bottom: 10px; }
@@ -126,6 +128,10 @@ function generateAxeHtmlReport(results, metrics) {
             <p>Moderate: ${metrics.moderate_violations}</p>
             <p>Minor: ${metrics.minor_violations}</p>
           </div>
+          <div class="metric-card">
+            <h3>Baselined: ${metrics.baselined_violations}</h3>
+            <p>Fixed since baseline: ${metrics.fixed_violations}</p>
+          </div>
           <div class="metric-card">
             <h3>Tests Passed: ${metrics.passes}</h3>
             <p>Total Tests: ${metrics.total_tests}</p>
@@ -145,7 +151,7 @@ function generateAxeHtmlReport(results, metrics) {
             <details>
               <summary>Affected Elements (${violation.nodes.length})</summary>
               <ul>
-                ${violation.nodes.map(node => `
+                ${violation.nodes.map((node) => `
                   <li>
                     <code>${node.html}</code>
                     <p>${node.failureSummary}</p>
@@ -155,11 +161,129 @@ function generateAxeHtmlReport(results, metrics) {
             </details>
           </div>
         `).join('')}
+
+        ${results.baselinedViolations.length > 0 ? `
+          <h2>Baselined Violations</h2>
+          ${results.baselinedViolations.map((violation) => `
+            <div class="violation baselined">
+              <h3>${violation.help} (${violation.impact})</h3>
+              <ul>
+                ${violation.nodes.map((node) => `
+                  <li>
+                    <code>${node.target.join(' ')}</code>
+                    <p>${describeBaselineEntry(node.baseline)}</p>
+                  </li>
+                `).join('')}
+              </ul>
+            </div>
+          `).join('')}
+        ` : ''}
+
+        ${results.fixedEntries.length > 0 ? `
+          <h2>Fixed Since Baseline</h2>
+          <ul>
+            ${results.fixedEntries.map((entry) => `<li><code>${entry.rule}</code> ${entry.target || ''}</li>`).join('')}
+          </ul>
+        ` : ''}
       </body>
     </html>
   `;
 }
 
+/**
+ * Runs an accessibility audit using Axe
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} options - Audit options
+ * @returns {Promise<Object>} Audit results
+ */
+async function runAccessibilityAudit(page, options = {}) {
+  const timestamp = getFormattedTimestamp();
+
+  // Ensure reports directory exists
+  ensureDirectoryExists(reportPaths.axe);
+
+  // Wait for the page to be fully loaded
+  await page.waitForLoadState('networkidle');
+
+  // Wait for page content to be visible - using a more generic approach
+  // instead of waiting for a specific selector like '.todoapp'
+  await page.waitForSelector('body', { state: 'visible' });
+
+  // Configure Axe builder from the global and per-audit settings
+  const axeSettings = resolveAxeSettings(options.axe);
+  const builder = createAxeBuilder(page, axeSettings);
+
+  // Run the audit
+  const results = await builder.analyze();
+
+  // Generate report paths
+  const jsonReportPath = path.join(reportPaths.axe, `axe-${timestamp}.json`);
+  const htmlReportPath = path.join(reportPaths.axe, `axe-${timestamp}.html`);
+
+  // Update the baseline from this run if requested, then separate baselined violations from new ones
+  const baselineSettings = options.baseline === false
+    ? null
+    : { ...defaultBaselineSettings, ...options.baseline };
+  if (baselineSettings && baselineSettings.update) {
+    const { added, removed } = updateBaseline(results.violations, page.url(), baselineSettings.path);
+    console.log(`Updated accessibility baseline ${baselineSettings.path}: ${added} added, ${removed} removed`);
+  }
+  const baseline = baselineSettings ? loadBaseline(baselineSettings.path) : { entries: [] };
+  const {
+    violations,
+    baselinedViolations,
+    fixedEntries,
+    expiredEntries,
+  } = applyBaseline(results.violations, page.url(), baseline);
+
+  // Save JSON report
+  fs.writeFileSync(jsonReportPath, JSON.stringify({
+    ...results,
+    auditConfig: axeSettings,
+    baseline: { baselinedViolations, fixedEntries, expiredEntries },
+  }, null, 2));
+
+  // Calculate metrics, baselined violations do not count
+  const metrics = {
+    total_violations: violations.length,
+    critical_violations: violations.filter((v) => v.impact === 'critical').length,
+    serious_violations: violations.filter((v) => v.impact === 'serious').length,
+    moderate_violations: violations.filter((v) => v.impact === 'moderate').length,
+    minor_violations: violations.filter((v) => v.impact === 'minor').length,
+    baselined_violations: baselinedViolations.length,
+    fixed_violations: fixedEntries.length,
+    passes: results.passes.length,
+    total_tests: results.passes.length + violations.length,
+    has_critical_or_serious: violations.some((v) => ['critical', 'serious'].includes(v.impact)),
+    has_moderate_or_minor: violations.some((v) => ['moderate', 'minor'].includes(v.impact)),
+  };
+
+  // Generate HTML report
+  const htmlReport = generateAxeHtmlReport({
+    ...results,
+    violations,
+    baselinedViolations,
+    fixedEntries,
+  }, metrics);
+  fs.writeFileSync(htmlReportPath, htmlReport);
+
+  return {
+    metrics,
+    violations,
+    baselinedViolations,
+    fixedBaselineEntries: fixedEntries,
+    expiredBaselineEntries: expiredEntries,
+    passedRules: results.passes.map((rule) => rule.id),
+    testEngine: results.testEngine,
+    config: axeSettings,
+    reportPaths: {
+      html: htmlReportPath,
+      json: jsonReportPath,
+    },
+  };
+}
+
 module.exports = {
+  resolveAxeSettings,
   runAccessibilityAudit
 }; 
\ No newline at end of file
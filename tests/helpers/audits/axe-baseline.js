@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultBaselineSettings } = require('../config/audit-config');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+const { hashString } = require('../utils/hash-utils');
+const { matchesUrlPattern } = require('../utils/url-utils');
+
+/**
+ * Accessibility baseline of known violations.
+ *
+ * The baseline file holds entries such as:
+ * {
+ *   "rule": "color-contrast",
+ *   "target": "#navbarExample > a",
+ *   "url": "https://www.demoblaze.com/**",
+ *   "expires": "2025-12-31",
+ *   "justification": "Brand colours, redesign scheduled"
+ * }
+ * `target` and `url` are optional and match every node and every page when omitted.
+ */
+
+/**
+ * Formats an axe node target as a single selector string
+ * @param {Array} target - Axe node target (one selector per frame, arrays for shadow DOM)
+ * @returns {string} Selector string
+ */
+function formatTarget(target = []) {
+  return target.map((selector) => (Array.isArray(selector) ? selector.join(' >>> ') : selector)).join(' ');
+}
+
+/**
+ * Checks whether a baseline entry has expired
+ * @param {Object} entry - Baseline entry
+ * @param {Date} now - Current date
+ * @returns {boolean} Whether the entry has expired
+ */
+function isExpired(entry, now = new Date()) {
+  return Boolean(entry.expires) && new Date(entry.expires) < now;
+}
+
+/**
+ * Checks whether a baseline entry covers a violating node
+ * @param {Object} entry - Baseline entry
+ * @param {string} ruleId - Axe rule id
+ * @param {string} target - Formatted node target
+ * @returns {boolean} Whether the entry matches
+ */
+function matchesEntry(entry, ruleId, target) {
+  return entry.rule === ruleId && (!entry.target || entry.target === '*' || entry.target === target);
+}
+
+/**
+ * Loads the baseline file
+ * @param {string} filePath - Path of the baseline file
+ * @returns {{entries: Array}} Baseline, empty when the file does not exist
+ */
+function loadBaseline(filePath = defaultBaselineSettings.path) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { entries: [] };
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(content) ? content : content.entries || [];
+  entries.forEach((entry, index) => {
+    if (!entry.rule) {
+      throw new Error(`Baseline entry ${index} in ${filePath} is missing a "rule"`);
+    }
+  });
+  return { entries };
+}
+
+/**
+ * Hashes the baseline file, so cached results are invalidated when it changes
+ * @param {string} filePath - Path of the baseline file
+ * @returns {string|null} Hash of the file, or null when it does not exist
+ */
+function getBaselineFingerprint(filePath = defaultBaselineSettings.path) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return hashString(fs.readFileSync(filePath, 'utf8')).slice(0, 16);
+}
+
+/**
+ * Splits violations into new and baselined ones for a page
+ * @param {Array} violations - Axe violations
+ * @param {string} url - Audited page URL
+ * @param {{entries: Array}} baseline - Loaded baseline
+ * @param {Date} now - Current date, used for expiry
+ * @returns {{violations: Array, baselinedViolations: Array, fixedEntries: Array, expiredEntries: Array}} Split results
+ */
+function applyBaseline(violations, url, baseline, now = new Date()) {
+  const pageEntries = baseline.entries.filter((entry) => matchesUrlPattern(url, entry.url));
+  const activeEntries = pageEntries.filter((entry) => !isExpired(entry, now));
+  const expiredEntries = pageEntries.filter((entry) => isExpired(entry, now));
+  const matchedEntries = new Set();
+
+  const newViolations = [];
+  const baselinedViolations = [];
+
+  violations.forEach((violation) => {
+    const newNodes = [];
+    const baselinedNodes = [];
+
+    violation.nodes.forEach((node) => {
+      const target = formatTarget(node.target);
+      const entry = activeEntries.find((candidate) => matchesEntry(candidate, violation.id, target));
+      if (entry) {
+        matchedEntries.add(entry);
+        baselinedNodes.push({ ...node, baseline: entry });
+      } else {
+        newNodes.push(node);
+      }
+    });
+
+    if (newNodes.length > 0) {
+      newViolations.push({ ...violation, nodes: newNodes });
+    }
+    if (baselinedNodes.length > 0) {
+      baselinedViolations.push({ ...violation, nodes: baselinedNodes });
+    }
+  });
+
+  return {
+    violations: newViolations,
+    baselinedViolations,
+    // Entries recorded for this exact URL that no longer match any violation. Entries
+    // without a URL or with a URL pattern may still match on other pages of the run
+    fixedEntries: activeEntries.filter((entry) => entry.url === url && !matchedEntries.has(entry)),
+    expiredEntries,
+  };
+}
+
+/**
+ * Writes or updates the baseline with the violations found on a page.
+ * Entries recorded for this exact URL that no longer match are removed,
+ * entries using URL patterns are kept as they may cover other pages.
+ * The file is read and rewritten without a lock, run updates on one worker.
+ * @param {Array} violations - All axe violations found on the page
+ * @param {string} url - Audited page URL
+ * @param {string} filePath - Path of the baseline file
+ * @returns {{added: number, removed: number}} Number of entries added and removed
+ */
+function updateBaseline(violations, url, filePath = defaultBaselineSettings.path) {
+  const { entries } = loadBaseline(filePath);
+  const nodes = violations.flatMap((violation) => violation.nodes.map((node) => ({
+    rule: violation.id,
+    target: formatTarget(node.target),
+  })));
+
+  const keptEntries = entries.filter((entry) => entry.url !== url
+    || nodes.some((node) => matchesEntry(entry, node.rule, node.target)));
+  const addedEntries = nodes
+    .filter((node) => !keptEntries.some((entry) => matchesUrlPattern(url, entry.url)
+      && matchesEntry(entry, node.rule, node.target)))
+    .map((node) => ({
+      ...node,
+      url,
+      justification: '',
+      added: new Date().toISOString().split('T')[0],
+    }));
+
+  ensureDirectoryExists(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify({ entries: [...keptEntries, ...addedEntries] }, null, 2));
+
+  return {
+    added: addedEntries.length,
+    removed: entries.length - keptEntries.length,
+  };
+}
+
+module.exports = {
+  formatTarget,
+  loadBaseline,
+  applyBaseline,
+  updateBaseline,
+  getBaselineFingerprint,
+};
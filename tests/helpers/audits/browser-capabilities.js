@@ -0,0 +1,51 @@
+/**
+ * Audits each browser engine supports. Axe runs in any page, Lighthouse needs
+ * the Chrome DevTools Protocol, and the other engines fall back to in-page
+ * measurement with the Performance API.
+ */
+const browserCapabilities = {
+  chromium: { axe: true, lighthouse: true, performanceApi: true },
+  firefox: { axe: true, lighthouse: false, performanceApi: true },
+  webkit: { axe: true, lighthouse: false, performanceApi: true },
+};
+
+/**
+ * Gets the name of the engine running a page
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {string} Engine name (chromium, firefox or webkit)
+ */
+function getBrowserEngine(page) {
+  // Persistent contexts have no browser, they are only launched on Chromium here
+  return page.context().browser()?.browserType().name() || 'chromium';
+}
+
+/**
+ * Gets the audits supported by the engine running a page
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {{engine: string, axe: boolean, lighthouse: boolean, performanceApi: boolean}} Capabilities
+ */
+function getBrowserCapabilities(page) {
+  const engine = getBrowserEngine(page);
+  return {
+    engine,
+    ...(browserCapabilities[engine] || { axe: true, lighthouse: false, performanceApi: true }),
+  };
+}
+
+/**
+ * Gets the engine and method performance results come from. Lighthouse
+ * results cached before sources were recorded come from Chromium.
+ * @param {Object} performanceResults - Lighthouse or Performance API results
+ * @returns {{engine: string, method: string}|null} Source, or null without results
+ */
+function getPerformanceSource(performanceResults) {
+  if (!performanceResults) return null;
+  return performanceResults.source || { engine: 'chromium', method: 'lighthouse' };
+}
+
+module.exports = {
+  browserCapabilities,
+  getBrowserEngine,
+  getBrowserCapabilities,
+  getPerformanceSource,
+};
@@ -0,0 +1,164 @@
+const { defaultEnforcementPolicy, defaultBudgetSettings } = require('../config/audit-config');
+const { formatBudgetValue } = require('./performance-budget');
+
+// Log level constants, shared with the reports
+const LOG_LEVELS = {
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+};
+
+const AXE_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Merges the audit config into the default enforcement policy.
+ * `config.thresholds` set the warn level of the Lighthouse categories, and
+ * `config.enforcement` overrides any level of the policy, and
+ * `config.enforcement.budget` the log level of performance budget failures.
+ * @param {Object} config - Audit configuration
+ * @returns {Object} Enforcement policy
+ */
+function resolveEnforcementPolicy(config = {}) {
+  const overrides = config.enforcement || {};
+  const lighthouse = { ...defaultEnforcementPolicy.lighthouse };
+  const axe = { ...defaultEnforcementPolicy.axe };
+
+  Object.entries(config.thresholds || {}).forEach(([category, warn]) => {
+    lighthouse[category] = { ...lighthouse[category], warn };
+  });
+  Object.entries(overrides.lighthouse || {}).forEach(([category, levels]) => {
+    lighthouse[category] = { ...lighthouse[category], ...levels };
+  });
+  Object.entries(overrides.axe || {}).forEach(([impact, levels]) => {
+    axe[impact] = { ...axe[impact], ...levels };
+  });
+
+  return {
+    enabled: overrides.enabled ?? defaultEnforcementPolicy.enabled,
+    lighthouse,
+    axe,
+    budget: overrides.budget ?? defaultBudgetSettings.severity,
+  };
+}
+
+/**
+ * Gets the severity of a breach given the warn and error levels
+ * @param {number} value - Measured value
+ * @param {{warn?: number, error?: number}} levels - Warn and error levels, unset levels are ignored
+ * @param {function(number, number): boolean} breaches - Whether the value breaches a level
+ * @returns {string|null} Log level, or null when nothing is breached
+ */
+function getSeverity(value, levels, breaches) {
+  if (typeof levels.error === 'number' && breaches(value, levels.error)) return LOG_LEVELS.ERROR;
+  if (typeof levels.warn === 'number' && breaches(value, levels.warn)) return LOG_LEVELS.WARN;
+  return null;
+}
+
+/**
+ * Gets the highest log level of a list of breaches
+ * @param {Array} breaches - Breaches
+ * @returns {string} Log level
+ */
+function getHighestLevel(breaches) {
+  if (breaches.some((breach) => breach.severity === LOG_LEVELS.ERROR)) return LOG_LEVELS.ERROR;
+  if (breaches.some((breach) => breach.severity === LOG_LEVELS.WARN)) return LOG_LEVELS.WARN;
+  return LOG_LEVELS.INFO;
+}
+
+/**
+ * Evaluates audit results against an enforcement policy.
+ * Lighthouse scores breach a level when they are below it, axe violation
+ * counts breach a level when they are above it. Failed performance budget
+ * lines are Lighthouse breaches with the budget log level.
+ * @param {Object} result - Combined audit result
+ * @param {Object} policy - Enforcement policy
+ * @returns {{breaches: Array, logLevel: string, lighthouseSeverity: string, axeSeverity: string}} Evaluation
+ */
+function evaluateEnforcement(result, policy) {
+  const lighthouseBreaches = [];
+  const axeBreaches = [];
+
+  Object.entries(result.lighthouseResults?.metrics || {}).forEach(([category, score]) => {
+    const levels = policy.lighthouse[category];
+    if (!levels || typeof score !== 'number') return;
+
+    const severity = getSeverity(score, levels, (value, level) => value < level);
+    if (severity) {
+      const limit = levels[severity];
+      lighthouseBreaches.push({
+        source: 'lighthouse',
+        key: category,
+        value: score,
+        limit,
+        severity,
+        message: `Lighthouse ${category} score ${score} is below the ${severity} level of ${limit}`,
+      });
+    }
+  });
+
+  (result.lighthouseResults?.budget?.lines || [])
+    .filter((line) => line.pass === false)
+    .forEach((line) => {
+      lighthouseBreaches.push({
+        source: 'lighthouse',
+        key: `budget:${line.metric}`,
+        value: line.actual,
+        limit: line.limit,
+        severity: policy.budget,
+        message: `${line.label} of ${formatBudgetValue(line.actual, line.unit)} exceeds the performance budget`
+          + ` of ${formatBudgetValue(line.limit, line.unit)} by ${formatBudgetValue(line.overage, line.unit)}`,
+      });
+    });
+
+  AXE_IMPACTS.forEach((impact) => {
+    const levels = policy.axe[impact];
+    const count = result.axeResults?.metrics?.[`${impact}_violations`];
+    if (!levels || typeof count !== 'number') return;
+
+    const severity = getSeverity(count, levels, (value, level) => value > level);
+    if (severity) {
+      const limit = levels[severity];
+      const rules = (result.axeResults.violations || [])
+        .filter((violation) => violation.impact === impact)
+        .map((violation) => `${violation.id} (${violation.nodes.length})`);
+      axeBreaches.push({
+        source: 'axe',
+        key: impact,
+        value: count,
+        limit,
+        severity,
+        message: `${count} ${impact} accessibility violation(s) exceed the ${severity} level of ${limit}`
+          + `${rules.length > 0 ? `: ${rules.join(', ')}` : ''}`,
+      });
+    }
+  });
+
+  const breaches = [...lighthouseBreaches, ...axeBreaches];
+  return {
+    breaches,
+    logLevel: getHighestLevel(breaches),
+    lighthouseSeverity: getHighestLevel(lighthouseBreaches),
+    axeSeverity: getHighestLevel(axeBreaches),
+  };
+}
+
+/**
+ * Formats the error breaches of an audit as an assertion message
+ * @param {string} url - Audited page URL
+ * @param {Array} breaches - Breaches
+ * @returns {string} Assertion message
+ */
+function formatBreachMessage(url, breaches) {
+  return [
+    `Audit of ${url} breached ${breaches.length} error level(s):`,
+    ...breaches.map((breach) => `  - ${breach.message}`),
+  ].join('\n');
+}
+
+module.exports = {
+  LOG_LEVELS,
+  resolveEnforcementPolicy,
+  evaluateEnforcement,
+  formatBreachMessage,
+  getHighestLevel,
+};
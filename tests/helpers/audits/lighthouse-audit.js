@@ -2,10 +2,60 @@ const { playAudit } = require('playwright-lighthouse');
 const path = require('path');
 const fs = require('fs');
 const { getFormattedTimestamp, ensureDirectoryExists } = require('../utils/file-utils');
-const { defaultDeviceSettings, defaultThrottlingSettings, reportPaths, defaultLighthouseOptions } = require('../config/audit-config');
+const {
+  defaultDeviceSettings,
+  defaultThrottlingSettings,
+  reportPaths,
+  defaultLighthouseOptions,
+  lighthouseMetricAudits,
+  defaultLighthouseSessionSettings,
+} = require('../config/audit-config');
+const { getDeviceUserAgent } = require('../config/device-profiles');
+const { getLighthousePort, withLighthouseSlot } = require('./lighthouse-pool');
+const {
+  resolveLighthouseSession,
+  applyLighthouseSession,
+  assertNotRedirected,
+} = require('./lighthouse-session');
 
 /**
- * Runs a Lighthouse audit on the given page
+ * Extracts the numeric values of the tracked Lighthouse audits
+ * @param {Object} audits - The `lhr.audits` object of a Lighthouse result
+ * @returns {Object} Values and units keyed by audit id
+ */
+function extractMetricAudits(audits = {}) {
+  return Object.keys(lighthouseMetricAudits).reduce((acc, id) => {
+    const audit = audits[id];
+    if (audit && typeof audit.numericValue === 'number') {
+      acc[id] = {
+        value: audit.numericValue,
+        unit: audit.numericUnit || 'unitless',
+      };
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Extracts the request count and transfer size of each resource type
+ * @param {Object} audits - The `lhr.audits` object of a Lighthouse result
+ * @returns {Object} Request count and transfer size keyed by resource type (script, image, third-party, total...)
+ */
+function extractResourceSummary(audits = {}) {
+  const items = audits['resource-summary']?.details?.items || [];
+  return items.reduce((acc, item) => {
+    acc[item.resourceType] = {
+      requestCount: item.requestCount,
+      transferSize: item.transferSize,
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Runs a Lighthouse audit on the given page. Lighthouse navigates with the
+ * cookies, localStorage and extra HTTP headers of the page's context, see the
+ * `auth` option of `resolveLighthouseSession`, or `auth: false` to skip them.
  * @param {import('playwright').Page} page - Playwright page object
  * @param {Object} options - Audit options
  * @returns {Promise<Object>} Audit results
@@ -33,7 +83,7 @@ async function runLighthouseAudit(page, options = {}) {
   const auditConfig = {
     ...defaultLighthouseOptions,
     ...options,
-    port: options.port || defaultLighthouseOptions.port,
+    port: options.port || getLighthousePort(),
     url: page.url(),
     formFactor: deviceSettings.mobile ? 'mobile' : 'desktop',
     screenEmulation: {
@@ -42,6 +92,7 @@ async function runLighthouseAudit(page, options = {}) {
       width: deviceSettings.width,
       height: deviceSettings.height,
     },
+    emulatedUserAgent: getDeviceUserAgent(deviceSettings),
     throttling: {
       method: throttlingSettings.throttlingMethod,
       cpuSlowdownMultiplier: throttlingSettings.cpuSlowdownMultiplier,
@@ -51,23 +102,44 @@ async function runLighthouseAudit(page, options = {}) {
     }
   };
 
-  // Run the audit
-  const results = await playAudit({
-    page,
-    port: auditConfig.port,
-    thresholds: auditConfig.thresholds,
-    config: {
-      extends: 'lighthouse:default',
-      settings: {
-        formFactor: auditConfig.formFactor,
-        screenEmulation: auditConfig.screenEmulation,
-        throttling: auditConfig.throttling,
-        output: ['html', 'json'],
-        onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo']
-      }
+  const sessionSettings = {
+    ...defaultLighthouseSessionSettings,
+    ...options.session,
+  };
+  const session = sessionSettings.enabled && options.auth !== false
+    ? await resolveLighthouseSession(page, options.auth)
+    : null;
+
+  // Run the audit, waiting for a slot when the Lighthouse concurrency is limited
+  const results = await withLighthouseSlot(async () => {
+    if (session) {
+      await applyLighthouseSession(session, auditConfig.port);
     }
+    return playAudit({
+      page,
+      port: auditConfig.port,
+      thresholds: auditConfig.thresholds,
+      // The thresholds are warn levels, whether a breach fails is decided by `applyEnforcement`
+      ignoreError: true,
+      config: {
+        extends: 'lighthouse:default',
+        settings: {
+          formFactor: auditConfig.formFactor,
+          screenEmulation: auditConfig.screenEmulation,
+          emulatedUserAgent: auditConfig.emulatedUserAgent,
+          throttling: auditConfig.throttling,
+          extraHeaders: session && Object.keys(session.headers).length > 0 ? session.headers : undefined,
+          output: ['html', 'json'],
+          onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
+        },
+      },
+    });
   });
 
+  // A redirect, e.g. to the login page, means another page was audited
+  const finalUrl = results.lhr.finalDisplayedUrl || results.lhr.finalUrl;
+  assertNotRedirected(auditConfig.url, finalUrl, sessionSettings);
+
   // Extract metrics from the results
   const metrics = {
     performance: Math.round(results.lhr.categories.performance.score * 100),
@@ -76,6 +148,10 @@ async function runLighthouseAudit(page, options = {}) {
     seo: Math.round(results.lhr.categories.seo.score * 100)
   };
 
+  // Extract Core Web Vitals and timing audits
+  const vitals = extractMetricAudits(results.lhr.audits);
+  const resources = extractResourceSummary(results.lhr.audits);
+
   // Check if any metrics are below thresholds
   const thresholdBreached = Object.entries(auditConfig.thresholds || {}).some(([key, threshold]) => {
     return metrics[key] < threshold;
@@ -90,7 +166,13 @@ async function runLighthouseAudit(page, options = {}) {
 
   return {
     metrics,
+    vitals,
+    resources,
+    thresholds: auditConfig.thresholds,
     thresholdBreached,
+    source: { engine: 'chromium', method: 'lighthouse' },
+    mode: 'navigation',
+    finalUrl,
     reportPaths: {
       html: htmlReportPath,
       json: jsonReportPath
@@ -99,5 +181,7 @@ async function runLighthouseAudit(page, options = {}) {
 }
 
 module.exports = {
-  runLighthouseAudit
+  runLighthouseAudit,
+  extractMetricAudits,
+  extractResourceSummary,
 }; 
\ No newline at end of file
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { getFormattedTimestamp, ensureDirectoryExists } = require('../utils/file-utils');
+const { defaultDeviceSettings, reportPaths, defaultLighthouseOptions } = require('../config/audit-config');
+const { getDeviceUserAgent } = require('../config/device-profiles');
+const { extractMetricAudits, extractResourceSummary } = require('./lighthouse-audit');
+const { getLighthousePort, withLighthouseSlot } = require('./lighthouse-pool');
+
+/**
+ * Lighthouse user flows of the page in its current state. Snapshots audit the
+ * DOM as it is, timespans audit the interactions run while they are open, and
+ * neither reloads the page. Lighthouse drives the Playwright page through
+ * Puppeteer, connected to the debugging port of the worker's browser.
+ */
+
+// Categories audited by snapshots, which have no performance score
+const SNAPSHOT_CATEGORIES = ['accessibility', 'best-practices', 'seo'];
+
+// Categories audited by timespans
+const TIMESPAN_CATEGORIES = ['performance', 'best-practices'];
+
+/**
+ * Extracts the scores, audit values and resources of a Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @returns {{metrics: Object, vitals: Object, resources: Object}} Step results
+ */
+function summarizeLighthouseResult(lhr) {
+  const metrics = Object.entries(lhr.categories || {}).reduce((acc, [id, category]) => {
+    if (typeof category.score === 'number') {
+      acc[id] = Math.round(category.score * 100);
+    }
+    return acc;
+  }, {});
+
+  return {
+    metrics,
+    vitals: extractMetricAudits(lhr.audits),
+    resources: extractResourceSummary(lhr.audits),
+  };
+}
+
+/**
+ * Finds the Puppeteer page of a Playwright page, marking it with a unique id
+ * @param {import('puppeteer-core').Browser} browser - Puppeteer browser
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<import('puppeteer-core').Page>} Puppeteer page
+ */
+async function findPuppeteerPage(browser, page) {
+  const flowId = `${process.pid}-${Date.now()}-${Math.random()}`;
+  await page.evaluate((id) => {
+    window.__webAuditFlowId = id;
+  }, flowId);
+
+  const candidates = (await browser.pages()).filter((candidate) => candidate.url() === page.url());
+  const ids = await Promise.all(candidates.map((candidate) => candidate
+    .evaluate(() => window.__webAuditFlowId)
+    .catch(() => null)));
+  const match = candidates[ids.indexOf(flowId)];
+  if (!match) {
+    throw new Error(`Could not find ${page.url()} in the browser on port ${getLighthousePort()}`);
+  }
+  return match;
+}
+
+/**
+ * A Lighthouse user flow of a page, made of named snapshot and timespan steps
+ */
+class LighthouseFlow {
+  /**
+   * @param {import('puppeteer-core').Browser} browser - Puppeteer browser, disconnected at the end
+   * @param {Object} flow - Lighthouse user flow
+   * @param {string} name - Flow name
+   */
+  constructor(browser, flow, name) {
+    this.browser = browser;
+    this.flow = flow;
+    this.name = name;
+  }
+
+  /**
+   * Audits the page as it currently is
+   * @param {string} name - Step name
+   * @returns {Promise<void>}
+   */
+  async snapshot(name) {
+    await this.flow.snapshot({ name, onlyCategories: SNAPSHOT_CATEGORIES });
+  }
+
+  /**
+   * Audits the interactions of the steps, e.g. clicks and form input
+   * @param {string} name - Step name
+   * @param {function(): Promise<void>} steps - Interactions to record
+   * @returns {Promise<void>}
+   */
+  async timespan(name, steps) {
+    await this.flow.startTimespan({ name, onlyCategories: TIMESPAN_CATEGORIES });
+    try {
+      await steps();
+    } finally {
+      await this.flow.endTimespan();
+    }
+  }
+
+  /**
+   * Ends the flow and writes its reports
+   * @returns {Promise<{name: string, steps: Array, reportPaths: Object}>} Flow results
+   */
+  async end() {
+    try {
+      const flowResult = await this.flow.createFlowResult();
+      const timestamp = getFormattedTimestamp();
+      ensureDirectoryExists(reportPaths.lighthouse);
+      const htmlReportPath = path.join(reportPaths.lighthouse, `flow-${timestamp}.html`);
+      const jsonReportPath = path.join(reportPaths.lighthouse, `flow-${timestamp}.json`);
+      fs.writeFileSync(htmlReportPath, await this.flow.generateReport());
+      fs.writeFileSync(jsonReportPath, JSON.stringify(flowResult));
+
+      return {
+        name: flowResult.name || this.name,
+        steps: flowResult.steps.map((step) => ({
+          name: step.name,
+          mode: step.lhr.gatherMode,
+          ...summarizeLighthouseResult(step.lhr),
+        })),
+        reportPaths: {
+          html: htmlReportPath,
+          json: jsonReportPath,
+        },
+      };
+    } finally {
+      await this.disconnect();
+    }
+  }
+
+  /**
+   * Disconnects from the browser without closing it
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.browser.disconnect();
+  }
+}
+
+/**
+ * Starts a Lighthouse user flow on the page, without reloading it
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} options - Flow options: `name`, `deviceSettings` and `port`
+ * @returns {Promise<LighthouseFlow>} Flow
+ */
+async function startLighthouseFlow(page, options = {}) {
+  const deviceSettings = {
+    ...defaultDeviceSettings,
+    ...options.deviceSettings,
+  };
+  const browser = await puppeteer.connect({
+    browserURL: `http://127.0.0.1:${options.port || getLighthousePort()}`,
+    defaultViewport: null,
+  });
+
+  try {
+    const { startFlow } = await import('lighthouse');
+    const flow = await startFlow(await findPuppeteerPage(browser, page), {
+      name: options.name,
+      config: {
+        extends: 'lighthouse:default',
+        settings: {
+          formFactor: deviceSettings.mobile ? 'mobile' : 'desktop',
+          // The page keeps the viewport and network conditions of the test
+          screenEmulation: { disabled: true },
+          emulatedUserAgent: getDeviceUserAgent(deviceSettings),
+          throttlingMethod: 'provided',
+        },
+      },
+    });
+    return new LighthouseFlow(browser, flow, options.name);
+  } catch (error) {
+    await browser.disconnect();
+    throw error;
+  }
+}
+
+/**
+ * Runs a Lighthouse snapshot of the page in its current state, with the same
+ * result shape as `runLighthouseAudit`
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} options - Audit options
+ * @returns {Promise<Object>} Audit results
+ */
+async function runLighthouseSnapshot(page, options = {}) {
+  const flowResults = await withLighthouseSlot(async () => {
+    const flow = await startLighthouseFlow(page, { ...options, name: `Snapshot of ${page.url()}` });
+    try {
+      await flow.snapshot(options.pageState?.label || page.url());
+    } catch (error) {
+      await flow.disconnect();
+      throw error;
+    }
+    return flow.end();
+  });
+
+  const { name, ...step } = flowResults.steps[0];
+  const thresholds = options.thresholds || defaultLighthouseOptions.thresholds;
+  return {
+    ...step,
+    thresholds,
+    thresholdBreached: Object.entries(thresholds).some(([key, threshold]) => step.metrics[key] < threshold),
+    source: { engine: 'chromium', method: 'lighthouse' },
+    reportPaths: flowResults.reportPaths,
+  };
+}
+
+module.exports = {
+  startLighthouseFlow,
+  runLighthouseSnapshot,
+  summarizeLighthouseResult,
+};
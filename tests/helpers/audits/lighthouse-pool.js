@@ -0,0 +1,126 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { defaultLighthouseOptions, defaultLighthouseParallelSettings } = require('../config/audit-config');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+
+/**
+ * Debugging ports and concurrency limit of Lighthouse runs in parallel
+ * workers. Each worker launches Chromium on its own free port, and the runs
+ * of all workers share a limited number of slots, held as lock files.
+ */
+
+// Debugging port of the browser launched by this worker
+let lighthousePort = null;
+
+/**
+ * Finds a free local TCP port
+ * @returns {Promise<number>} Port number
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Sets the debugging port of the browser launched by this worker
+ * @param {number|null} port - Debugging port, or null to use the default one
+ */
+function setLighthousePort(port) {
+  lighthousePort = port;
+}
+
+/**
+ * Gets the debugging port Lighthouse connects to
+ * @returns {number} Debugging port
+ */
+function getLighthousePort() {
+  return lighthousePort || defaultLighthouseOptions.port;
+}
+
+/**
+ * Checks whether a lock file was left by a process that no longer runs
+ * @param {string} lockPath - Lock file path
+ * @returns {boolean} True if the lock is stale
+ */
+function isStaleLock(lockPath) {
+  try {
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+    if (!pid) return false;
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Creates a lock file, replacing it when it is stale
+ * @param {string} lockPath - Lock file path
+ * @param {boolean} retry - Whether to retry once after removing a stale lock
+ * @returns {boolean} True if the lock was created
+ */
+function createLock(lockPath, retry = true) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    if (retry && isStaleLock(lockPath)) {
+      fs.rmSync(lockPath, { force: true });
+      return createLock(lockPath, false);
+    }
+    return false;
+  }
+}
+
+/**
+ * Waits for a free Lighthouse slot
+ * @param {Object} settings - Parallel settings, see `defaultLighthouseParallelSettings`
+ * @returns {Promise<string>} Lock file of the slot
+ */
+async function acquireSlot(settings) {
+  ensureDirectoryExists(settings.lockDir);
+  const slots = Array.from(
+    { length: settings.concurrency },
+    (_, index) => path.join(settings.lockDir, `slot-${index}.lock`),
+  );
+  const lockPath = slots.find((slot) => createLock(slot));
+  if (lockPath) return lockPath;
+
+  await new Promise((resolve) => {
+    setTimeout(resolve, settings.pollInterval);
+  });
+  return acquireSlot(settings);
+}
+
+/**
+ * Runs a Lighthouse task once a slot is free, when a concurrency limit is set
+ * @param {function(): Promise<*>} task - Lighthouse task
+ * @param {Object} settings - Parallel settings, see `defaultLighthouseParallelSettings`
+ * @returns {Promise<*>} Result of the task
+ */
+async function withLighthouseSlot(task, settings = defaultLighthouseParallelSettings) {
+  if (!settings.concurrency) return task();
+
+  const lockPath = await acquireSlot(settings);
+  try {
+    return await task();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+module.exports = {
+  findFreePort,
+  setLighthousePort,
+  getLighthousePort,
+  withLighthouseSlot,
+};
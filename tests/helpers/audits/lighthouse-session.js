@@ -0,0 +1,196 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer-core');
+const { defaultLighthouseSessionSettings } = require('../config/audit-config');
+const { getLighthousePort } = require('./lighthouse-pool');
+
+/**
+ * Session of Lighthouse navigations. Lighthouse opens its own tab in the
+ * default context of the browser, which doesn't share the cookies, storage
+ * and headers of the test context, so they are copied there before each audit.
+ */
+
+/**
+ * Registered auth hooks, keyed by origin.
+ * A hook receives `{ page, url, origin }` and returns the `headers`, `cookies`
+ * and `localStorage` items authenticating the audit of a URL of its origin.
+ */
+const authHooks = new Map();
+
+// Extra HTTP headers the contexts were created with, see `setContextHeaders`
+const contextHeaders = new WeakMap();
+
+/**
+ * Registers the auth hook of an origin
+ * @param {string} origin - Origin, e.g. https://shop.example.com
+ * @param {function(Object): Promise<Object>} hook - Auth hook
+ */
+function registerAuthHook(origin, hook) {
+  if (typeof hook !== 'function') {
+    throw new Error(`Auth hook of "${origin}" must be a function`);
+  }
+  authHooks.set(new URL(origin).origin, hook);
+}
+
+/**
+ * Records the extra HTTP headers a context was created with, which Playwright
+ * doesn't expose. The `page` fixture of `tests/helpers` does it for each test.
+ * @param {import('playwright').BrowserContext} context - Playwright context
+ * @param {Object} headers - Extra HTTP headers
+ */
+function setContextHeaders(context, headers) {
+  contextHeaders.set(context, { ...headers });
+}
+
+/**
+ * Reads the storage state of the audit: a path to a storage state file, a
+ * storage state object, or by default the current state of the page's context
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string|Object} [storageState] - Storage state option
+ * @returns {Promise<{cookies: Array, origins: Array}>} Storage state
+ */
+async function readStorageState(page, storageState) {
+  if (typeof storageState === 'string') {
+    return JSON.parse(fs.readFileSync(storageState, 'utf8'));
+  }
+  return storageState || page.context().storageState();
+}
+
+/**
+ * Merges localStorage items into the origins of a storage state
+ * @param {Array} origins - Origins of the storage state
+ * @param {string} origin - Origin of the items
+ * @param {Array<{name: string, value: string}>} items - localStorage items
+ * @returns {Array} Origins
+ */
+function mergeOriginStorage(origins, origin, items = []) {
+  const existing = origins.find((entry) => entry.origin === origin);
+  if (!existing) {
+    return [...origins, { origin, localStorage: items }];
+  }
+  const names = new Set(items.map((item) => item.name));
+  return origins.map((entry) => (entry === existing
+    ? { origin, localStorage: [...entry.localStorage.filter((item) => !names.has(item.name)), ...items] }
+    : entry));
+}
+
+/**
+ * Resolves the session of a Lighthouse navigation from the `auth` audit option:
+ * `storageState` (path or object, defaults to the state of the page's context),
+ * `extraHTTPHeaders` (added to the headers of the context) and `hook` (used
+ * instead of the auth hook registered for the origin of the URL)
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} [auth] - Auth options
+ * @returns {Promise<{url: string, cookies: Array, origins: Array, headers: Object}>} Session
+ */
+async function resolveLighthouseSession(page, auth = {}) {
+  const url = page.url();
+  const { origin } = new URL(url);
+  const storageState = await readStorageState(page, auth.storageState);
+  const hook = auth.hook || authHooks.get(origin);
+  const hookSession = hook ? (await hook({ page, url, origin })) || {} : {};
+
+  return {
+    url,
+    cookies: [...(storageState.cookies || []), ...(hookSession.cookies || [])],
+    // The audited origin is always listed, so storage left by a previous audit is cleared
+    origins: mergeOriginStorage(storageState.origins || [], origin, hookSession.localStorage),
+    headers: {
+      ...contextHeaders.get(page.context()),
+      ...auth.extraHTTPHeaders,
+      ...hookSession.headers,
+    },
+  };
+}
+
+/**
+ * Converts a Playwright cookie to a Chrome DevTools Protocol cookie
+ * @param {Object} cookie - Playwright cookie
+ * @returns {Object} CDP cookie
+ */
+function toProtocolCookie(cookie) {
+  const { expires, ...rest } = cookie;
+  // Session cookies have no expiry, -1 in Playwright storage states
+  return expires > 0 ? { ...rest, expires } : rest;
+}
+
+/**
+ * Replaces the cookies and localStorage of the default browser context, which
+ * Lighthouse navigations run in, with the ones of the session. Headers are
+ * sent by Lighthouse itself, see `runLighthouseAudit`.
+ * @param {Object} session - Session, see `resolveLighthouseSession`
+ * @param {number} [port] - Debugging port of the browser
+ * @returns {Promise<void>}
+ */
+async function applyLighthouseSession(session, port = getLighthousePort()) {
+  const browser = await puppeteer.connect({
+    browserURL: `http://127.0.0.1:${port}`,
+    defaultViewport: null,
+  });
+
+  try {
+    // Without a browserContextId, the Storage domain applies to the default context
+    const client = await browser.target().createCDPSession();
+    await client.send('Storage.clearCookies');
+    if (session.cookies.length > 0) {
+      await client.send('Storage.setCookies', { cookies: session.cookies.map(toProtocolCookie) });
+    }
+    await client.detach();
+
+    // localStorage is written from a page of each origin, served empty instead of loading it
+    const storagePage = await browser.defaultBrowserContext().newPage();
+    try {
+      await storagePage.setRequestInterception(true);
+      storagePage.on('request', (request) => request.respond({ status: 200, contentType: 'text/html', body: '' }));
+      await session.origins.reduce((previous, { origin, localStorage }) => previous.then(async () => {
+        await storagePage.goto(origin);
+        await storagePage.evaluate((items) => {
+          window.localStorage.clear();
+          items.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+        }, localStorage || []);
+      }), Promise.resolve());
+    } finally {
+      await storagePage.close();
+    }
+  } finally {
+    await browser.disconnect();
+  }
+}
+
+/**
+ * Checks whether the audited page redirected away from the requested URL.
+ * Query strings and trailing slashes are ignored.
+ * @param {string} requestedUrl - URL Lighthouse was asked to audit
+ * @param {string} finalUrl - URL Lighthouse audited
+ * @returns {boolean} Whether the page redirected to another page
+ */
+function isRedirectedAway(requestedUrl, finalUrl) {
+  if (!finalUrl) return false;
+  const normalize = (value) => {
+    const { origin, pathname } = new URL(value);
+    return `${origin}${pathname.replace(/\/+$/, '')}`;
+  };
+  return normalize(requestedUrl) !== normalize(finalUrl);
+}
+
+/**
+ * Fails the audit when the page redirected away from the requested URL,
+ * usually to a login page when the session is missing or expired
+ * @param {string} requestedUrl - URL Lighthouse was asked to audit
+ * @param {string} finalUrl - URL Lighthouse audited
+ * @param {Object} settings - Session settings, see `defaultLighthouseSessionSettings`
+ */
+function assertNotRedirected(requestedUrl, finalUrl, settings = defaultLighthouseSessionSettings) {
+  if (settings.failOnRedirect && isRedirectedAway(requestedUrl, finalUrl)) {
+    throw new Error(`Lighthouse audited ${finalUrl} instead of ${requestedUrl}: the page redirected, `
+      + 'check the session of the audit (auth option or registered auth hook)');
+  }
+}
+
+module.exports = {
+  registerAuthHook,
+  setContextHeaders,
+  resolveLighthouseSession,
+  applyLighthouseSession,
+  isRedirectedAway,
+  assertNotRedirected,
+};
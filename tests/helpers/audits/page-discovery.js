@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { defaultDiscoverySettings } = require('../config/audit-config');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+const { matchesUrlPattern, normalizeUrl, getUrlTemplate } = require('../utils/url-utils');
+
+/**
+ * Discovery mode: crawls a site from a seed URL and/or its sitemap, following
+ * same-origin links, to list the pages to audit. Links are read from the HTML
+ * served by the site, links rendered by scripts need the sitemap.
+ */
+
+// Links to files that aren't pages
+const ASSET_EXTENSIONS = new RegExp(`\\.(${[
+  'png', 'jpe?g', 'gif', 'svg', 'webp', 'avif', 'ico', 'css', 'm?js', 'json', 'xml', 'txt',
+  'pdf', 'zip', 'gz', 'mp[34]', 'webm', 'woff2?', 'ttf', 'eot',
+].join('|')})$`, 'i');
+
+// Number of pages fetched at the same time
+const CRAWL_CONCURRENCY = 4;
+
+// Maximum nesting of sitemap indexes
+const MAX_SITEMAP_DEPTH = 2;
+
+/**
+ * Decodes the XML entities found in URLs
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+/**
+ * Fetches a document of the site
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Request timeout, in milliseconds
+ * @returns {Promise<{url: string, contentType: string, body: string}>} Final URL, content type and body
+ */
+async function fetchDocument(url, timeout) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(timeout),
+    headers: { Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9' },
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return {
+    url: response.url || url,
+    contentType: response.headers.get('content-type') || '',
+    body: await response.text(),
+  };
+}
+
+/**
+ * Reads the page URLs of a sitemap, following sitemap indexes
+ * @param {string} url - Sitemap URL
+ * @param {number} timeout - Request timeout, in milliseconds
+ * @param {number} [depth] - Nesting of the sitemap in sitemap indexes
+ * @returns {Promise<Array<string>>} Page URLs
+ */
+async function readSitemap(url, timeout, depth = 0) {
+  const { body } = await fetchDocument(url, timeout);
+  const locations = [...body.matchAll(/<(?:\w+:)?loc>\s*([^<]+?)\s*<\/(?:\w+:)?loc>/g)]
+    .map(([, location]) => decodeEntities(location));
+
+  if (!/<(?:\w+:)?sitemapindex[\s>]/.test(body)) {
+    return locations;
+  }
+  if (depth >= MAX_SITEMAP_DEPTH) return [];
+  const sitemaps = await Promise.all(locations.map((location) => readSitemap(location, timeout, depth + 1)));
+  return sitemaps.flat();
+}
+
+/**
+ * Extracts the absolute URLs of the links of an HTML document
+ * @param {string} html - HTML document
+ * @param {string} pageUrl - URL of the document
+ * @returns {Array<string>} Link URLs (http and https only)
+ */
+function extractLinks(html, pageUrl) {
+  const baseHref = html.match(/<base\b[^>]*\shref\s*=\s*["']([^"']+)["']/i)?.[1];
+  const baseUrl = baseHref ? new URL(decodeEntities(baseHref), pageUrl).toString() : pageUrl;
+
+  return [...html.matchAll(/<(?:a|area)\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)]
+    .map(([, doubleQuoted, singleQuoted, unquoted]) => decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted))
+    .map((href) => {
+      try {
+        return new URL(href, baseUrl);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((url) => url && ['http:', 'https:'].includes(url.protocol))
+    .map((url) => url.toString());
+}
+
+/**
+ * Discovers the pages of a site. The crawl starts from the seed and the sitemap
+ * URLs, and follows the same-origin links of each page up to `maxDepth` links
+ * away. Excluded URLs are neither audited nor crawled, URLs outside `include`
+ * are crawled but not audited. URLs equal once normalized are listed once.
+ * @param {Object} [options] - Discovery settings, see `defaultDiscoverySettings`
+ * @returns {Promise<Array<{url: string, template: string, depth: number}>>} Discovered pages, in crawl order
+ */
+async function discoverPages(options = {}) {
+  const settings = { ...defaultDiscoverySettings, ...options };
+  if (!settings.seed && !settings.sitemap) {
+    throw new Error('Discovery needs a seed URL or a sitemap (DISCOVERY_SEED or DISCOVERY_SITEMAP)');
+  }
+
+  const { origin } = new URL(settings.seed || settings.sitemap);
+  const seen = new Set();
+  const pages = [];
+
+  // Keeps the new same-origin URLs, and records the included ones as pages
+  const visit = (urls, depth) => urls.reduce((acc, url) => {
+    let normalized;
+    try {
+      normalized = normalizeUrl(url, settings);
+    } catch (error) {
+      console.warn(`Discovery skipped the malformed URL ${url}`);
+      return acc;
+    }
+    const { origin: urlOrigin, pathname } = new URL(normalized);
+    if (seen.has(normalized) || urlOrigin !== origin || ASSET_EXTENSIONS.test(pathname)
+      || settings.exclude.some((pattern) => matchesUrlPattern(normalized, pattern))) {
+      return acc;
+    }
+    seen.add(normalized);
+    const included = settings.include.length === 0
+      || settings.include.some((pattern) => matchesUrlPattern(normalized, pattern));
+    if (included && pages.length < settings.maxPages) {
+      pages.push({ url: normalized, template: getUrlTemplate(normalized, settings.templates), depth });
+    }
+    return [...acc, normalized];
+  }, []);
+
+  // Fetches the pages of a level a few at a time, returning their links
+  const readLinks = async (urls) => {
+    if (urls.length === 0) return [];
+    const batch = await Promise.all(urls.slice(0, CRAWL_CONCURRENCY).map(async (url) => {
+      try {
+        const document = await fetchDocument(url, settings.timeout);
+        return document.contentType.includes('html') ? extractLinks(document.body, document.url) : [];
+      } catch (error) {
+        console.warn(`Discovery could not read ${url}: ${error.message}`);
+        return [];
+      }
+    }));
+    return [...batch.flat(), ...(await readLinks(urls.slice(CRAWL_CONCURRENCY)))];
+  };
+
+  const crawl = async (urls, depth) => {
+    if (urls.length === 0 || depth >= settings.maxDepth || pages.length >= settings.maxPages) return;
+    const next = visit(await readLinks(urls), depth + 1);
+    await crawl(next, depth + 1);
+  };
+
+  const sitemapUrls = settings.sitemap ? await readSitemap(settings.sitemap, settings.timeout) : [];
+  await crawl(visit([settings.seed, ...sitemapUrls].filter(Boolean), 0), 0);
+  return pages;
+}
+
+/**
+ * Lists the discovered pages synchronously, so spec files can generate a test
+ * for each one. The test runner crawls the site and writes the pages to
+ * `outputPath`, the workers read them from there, so all processes see the
+ * same tests.
+ * @param {Object} [options] - Discovery settings, see `defaultDiscoverySettings`
+ * @returns {Array<{url: string, template: string, depth: number}>} Discovered pages
+ */
+function loadDiscoveredPages(options = {}) {
+  const settings = { ...defaultDiscoverySettings, ...options };
+  if (process.env.TEST_WORKER_INDEX !== undefined && fs.existsSync(settings.outputPath)) {
+    return JSON.parse(fs.readFileSync(settings.outputPath, 'utf8')).pages;
+  }
+
+  const crawler = spawnSync(process.execPath, [__filename, JSON.stringify(options)], {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  if (crawler.status !== 0) {
+    throw new Error(`Discovery of ${settings.seed || settings.sitemap} failed with exit code ${crawler.status}`);
+  }
+  const pages = JSON.parse(crawler.stdout);
+
+  ensureDirectoryExists(path.dirname(settings.outputPath));
+  fs.writeFileSync(settings.outputPath, JSON.stringify({
+    seed: settings.seed,
+    sitemap: settings.sitemap,
+    pages,
+  }, null, 2));
+  console.log(`Discovered ${pages.length} pages, listed in ${settings.outputPath}`);
+  return pages;
+}
+
+if (require.main === module) {
+  // Accepts the seed URL, or discovery settings as JSON
+  const [argument] = process.argv.slice(2);
+  const options = argument?.startsWith('{') ? JSON.parse(argument) : { ...(argument && { seed: argument }) };
+  discoverPages(options).then((pages) => {
+    process.stdout.write(JSON.stringify(pages, null, 2));
+  }).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  discoverPages,
+  loadDiscoveredPages,
+  readSitemap,
+  extractLinks,
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  deviceConfigs,
+  defaultAxeSettings,
+  defaultThrottlingSettings,
+  defaultManifestSettings,
+} = require('../config/audit-config');
+
+/**
+ * Page manifest: the audited pages declared in YAML or JSON instead of spec
+ * code. `tests/manifest.spec.js` turns each page, on each of its devices,
+ * into a test running `runCombinedAudit`:
+ *
+ * defaults:
+ *   thresholds: { performance: 60 }
+ * pages:
+ *   - name: Phones category
+ *     url: https://www.demoblaze.com/
+ *     tags: [category]
+ *     devices: [desktop, mobile]
+ *     state: category-phones
+ *     steps:
+ *       - click: 'a.list-group-item:has-text("Phones")'
+ *       - wait-for-selector: '#tbodyid .card'
+ *
+ * `defaults` holds the settings shared by every page, which the pages override.
+ */
+
+const CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const SELECTOR_STATES = ['attached', 'detached', 'visible', 'hidden'];
+const LIGHTHOUSE_MODES = ['navigation', 'snapshot'];
+
+/**
+ * Checks a value, recording an error message for its path when it's invalid
+ * @param {Array<string>} errors - Error messages
+ * @param {string} at - Path of the value in the manifest
+ * @param {boolean} valid - Whether the value is valid
+ * @param {string} expected - Description of the expected value
+ * @returns {boolean} Whether the value is valid
+ */
+function check(errors, at, valid, expected) {
+  if (!valid) errors.push(`${at}: expected ${expected}`);
+  return valid;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringList = (value) => Array.isArray(value) && value.every(isString);
+
+/**
+ * Checks that an object only has known keys
+ * @param {Array<string>} errors - Error messages
+ * @param {string} at - Path of the object
+ * @param {Object} value - Object to check
+ * @param {Array<string>} keys - Known keys
+ */
+function checkKeys(errors, at, value, keys) {
+  Object.keys(value)
+    .filter((key) => !keys.includes(key))
+    .forEach((key) => errors.push(`${at}.${key}: unknown field, expected one of ${keys.join(', ')}`));
+}
+
+/**
+ * Step types: the checks of their argument and the Playwright calls running them.
+ * Steps with a selector accept it as a string or as `{ selector, ... }`.
+ * `changesState` steps leave the page in a state its URL doesn't load.
+ */
+const STEP_TYPES = {
+  goto: {
+    validate: (errors, at, arg) => (isObject(arg)
+      ? check(errors, `${at}.url`, isString(arg.url), 'a URL')
+        && (arg.waitUntil === undefined
+          || check(errors, `${at}.waitUntil`, WAIT_UNTIL.includes(arg.waitUntil), `one of ${WAIT_UNTIL.join(', ')}`))
+      : check(errors, at, isString(arg), 'a URL or { url, waitUntil }')),
+    run: (page, arg) => {
+      const { url, waitUntil } = isObject(arg) ? arg : { url: arg };
+      return page.goto(new URL(url, page.url()).toString(), { ...(waitUntil && { waitUntil }) });
+    },
+  },
+  click: {
+    changesState: true,
+    validate: (errors, at, arg) => check(errors, at, isString(arg) || isString(arg?.selector), 'a selector'),
+    run: (page, arg) => page.click(arg.selector || arg),
+  },
+  fill: {
+    changesState: true,
+    validate: (errors, at, arg) => check(errors, at, isObject(arg), '{ selector, value }')
+      && check(errors, `${at}.selector`, isString(arg.selector), 'a selector')
+      && check(errors, `${at}.value`, typeof arg.value === 'string', 'a string'),
+    run: (page, arg) => page.fill(arg.selector, arg.value),
+  },
+  select: {
+    changesState: true,
+    validate: (errors, at, arg) => check(errors, at, isObject(arg), '{ selector, value }')
+      && check(errors, `${at}.selector`, isString(arg.selector), 'a selector')
+      && check(errors, `${at}.value`, typeof arg.value === 'string' || isStringList(arg.value), 'a value or a list'),
+    run: (page, arg) => page.selectOption(arg.selector, arg.value),
+  },
+  'wait-for-selector': {
+    validate: (errors, at, arg) => (isObject(arg)
+      ? check(errors, `${at}.selector`, isString(arg.selector), 'a selector')
+        && (arg.state === undefined
+          || check(errors, `${at}.state`, SELECTOR_STATES.includes(arg.state), `one of ${SELECTOR_STATES.join(', ')}`))
+        && (arg.timeout === undefined || check(errors, `${at}.timeout`, Number.isFinite(arg.timeout), 'a number'))
+      : check(errors, at, isString(arg), 'a selector or { selector, state, timeout }')),
+    run: (page, arg) => {
+      const { selector, ...options } = isObject(arg) ? arg : { selector: arg };
+      return page.waitForSelector(selector, options);
+    },
+  },
+};
+
+/**
+ * Fields shared by `defaults` and pages, with the checks of their value
+ */
+const SETTING_FIELDS = {
+  tags: (errors, at, value) => check(errors, at, isStringList(value), 'a list of tags'),
+  devices: (errors, at, value) => check(errors, at, isStringList(value), 'a list of device profiles')
+    && value.forEach((device, index) => check(
+      errors,
+      `${at}[${index}]`,
+      Boolean(deviceConfigs[device]),
+      `a device profile (${Object.keys(deviceConfigs).join(', ')}), got "${device}"`,
+    )),
+  thresholds: (errors, at, value) => check(errors, at, isObject(value), 'an object of category scores')
+    && Object.entries(value).forEach(([key, score]) => {
+      if (check(errors, `${at}.${key}`, CATEGORIES.includes(key), `a category (${CATEGORIES.join(', ')})`)) {
+        check(errors, `${at}.${key}`, Number.isFinite(score) && score >= 0 && score <= 100, 'a score from 0 to 100');
+      }
+    }),
+  axe: (errors, at, value) => check(errors, at, isObject(value), 'an object of axe settings')
+    && checkKeys(errors, at, value, Object.keys(defaultAxeSettings)),
+  throttlingSettings: (errors, at, value) => check(errors, at, isObject(value), 'an object of throttling settings')
+    && checkKeys(errors, at, value, Object.keys(defaultThrottlingSettings)),
+  budget: (errors, at, value) => check(errors, at, isObject(value), 'an object of budget limits'),
+  waitUntil: (errors, at, value) => check(errors, at, WAIT_UNTIL.includes(value), `one of ${WAIT_UNTIL.join(', ')}`),
+  lighthouseMode: (errors, at, value) => check(
+    errors,
+    at,
+    LIGHTHOUSE_MODES.includes(value),
+    `one of ${LIGHTHOUSE_MODES.join(', ')}`,
+  ),
+};
+
+/**
+ * Fields of pages only, with the checks of their value
+ */
+const PAGE_FIELDS = {
+  name: (errors, at, value) => check(errors, at, isString(value), 'a page name'),
+  url: (errors, at, value) => check(errors, at, isString(value) && /^https?:\/\//.test(value), 'an http(s) URL'),
+  expectedTitle: (errors, at, value) => check(errors, at, isString(value), 'a title'),
+  state: (errors, at, value) => check(errors, at, isString(value), 'a page state label'),
+  steps: (errors, at, value) => check(errors, at, Array.isArray(value), 'a list of steps')
+    && value.forEach((step, index) => {
+      const stepAt = `${at}[${index}]`;
+      const types = isObject(step) ? Object.keys(step) : [];
+      if (check(errors, stepAt, types.length === 1, `a step with one of ${Object.keys(STEP_TYPES).join(', ')}`)) {
+        const [type] = types;
+        if (check(errors, stepAt, Boolean(STEP_TYPES[type]), `a known step, got "${type}"`)) {
+          STEP_TYPES[type].validate(errors, `${stepAt}.${type}`, step[type]);
+        }
+      }
+    }),
+  ...SETTING_FIELDS,
+};
+
+/**
+ * Validates a manifest
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Array<string>} Error messages, with the path of each invalid value
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  if (!check(errors, 'manifest', isObject(manifest), 'an object with a "pages" list')) return errors;
+  checkKeys(errors, 'manifest', manifest, ['defaults', 'pages']);
+
+  if (manifest.defaults !== undefined && check(errors, 'defaults', isObject(manifest.defaults), 'an object')) {
+    checkKeys(errors, 'defaults', manifest.defaults, Object.keys(SETTING_FIELDS));
+    Object.entries(manifest.defaults)
+      .filter(([key]) => SETTING_FIELDS[key])
+      .forEach(([key, value]) => SETTING_FIELDS[key](errors, `defaults.${key}`, value));
+  }
+
+  if (!check(errors, 'pages', Array.isArray(manifest.pages) && manifest.pages.length > 0, 'a list of pages')) {
+    return errors;
+  }
+  const names = new Set();
+  manifest.pages.forEach((page, index) => {
+    const at = `pages[${index}]`;
+    if (!check(errors, at, isObject(page), 'a page object')) return;
+    checkKeys(errors, at, page, Object.keys(PAGE_FIELDS));
+    ['name', 'url']
+      .filter((key) => page[key] === undefined)
+      .forEach((key) => errors.push(`${at}.${key}: required`));
+    Object.entries(page)
+      .filter(([key]) => PAGE_FIELDS[key])
+      .forEach(([key, value]) => PAGE_FIELDS[key](errors, `${at}.${key}`, value));
+    if (names.has(page.name)) {
+      errors.push(`${at}.name: duplicate page name "${page.name}"`);
+    }
+    names.add(page.name);
+  });
+  return errors;
+}
+
+/**
+ * Loads and validates a manifest, YAML (.yml, .yaml) or JSON
+ * @param {string} [filePath] - Manifest path
+ * @returns {Object} Manifest
+ */
+function loadManifest(filePath = defaultManifestSettings.path) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Audit manifest ${filePath} does not exist`);
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  let manifest;
+  try {
+    manifest = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content, { filename: filePath });
+  } catch (error) {
+    throw new Error(`Audit manifest ${filePath} could not be parsed: ${error.message}`);
+  }
+
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid audit manifest ${filePath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+  return manifest;
+}
+
+/**
+ * Lists the tests of a manifest: one per page and device profile, with the
+ * audit configuration of the page merged over the defaults. Pages changed by
+ * clicks, input or selections are audited as Lighthouse snapshots, reloading
+ * them would reset their state, unless they set `lighthouseMode`.
+ * @param {Object} manifest - Manifest, see `loadManifest`
+ * @returns {Array<{title: string, tags: Array<string>, page: Object, device: string|null, config: Object}>} Tests
+ */
+function getManifestTests(manifest) {
+  const defaults = manifest.defaults || {};
+  return manifest.pages.flatMap((page) => {
+    const settings = { ...defaults, ...page };
+    const thresholds = { ...defaults.thresholds, ...page.thresholds };
+    const steps = page.steps || [];
+    const changesState = steps.some((step) => Object.keys(step).some((type) => STEP_TYPES[type].changesState));
+    const devices = settings.devices || [null];
+
+    return devices.map((device) => ({
+      title: device ? `should test ${page.name} (${device})` : `should test ${page.name}`,
+      tags: [...new Set([...(defaults.tags || []), ...(page.tags || [])])]
+        .map((tag) => (tag.startsWith('@') ? tag : `@${tag}`)),
+      page: { ...page, steps, waitUntil: settings.waitUntil || 'networkidle' },
+      device,
+      config: {
+        ...(Object.keys(thresholds).length > 0 && { thresholds }),
+        ...((defaults.axe || page.axe) && { axe: { ...defaults.axe, ...page.axe } }),
+        ...(settings.throttlingSettings && { throttlingSettings: settings.throttlingSettings }),
+        ...(settings.budget && { budget: settings.budget }),
+        ...(device && { device }),
+        ...(page.state && { pageState: { label: page.state } }),
+        ...((settings.lighthouseMode || changesState) && {
+          lighthouseMode: settings.lighthouseMode || 'snapshot',
+        }),
+      },
+    }));
+  });
+}
+
+/**
+ * Runs the setup steps of a manifest page, one after the other
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Array<Object>} steps - Validated steps
+ * @returns {Promise<void>}
+ */
+async function runManifestSteps(page, steps = []) {
+  await steps.reduce((previous, step) => previous.then(() => {
+    const [[type, arg]] = Object.entries(step);
+    return STEP_TYPES[type].run(page, arg);
+  }), Promise.resolve());
+}
+
+module.exports = {
+  STEP_TYPES,
+  validateManifest,
+  loadManifest,
+  getManifestTests,
+  runManifestSteps,
+};
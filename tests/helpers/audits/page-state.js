@@ -0,0 +1,109 @@
+const { hashString } = require('../utils/hash-utils');
+
+/**
+ * Registered page state resolvers, keyed by name.
+ * A resolver receives the Playwright page and its options and returns a state label.
+ */
+const stateResolvers = new Map();
+
+/**
+ * Name of the resolver used when the audit config does not specify one.
+ * The `default` resolver keeps the state stable between runs; `dom-hash` is opt-in.
+ */
+const DEFAULT_STATE_RESOLVER = process.env.PAGE_STATE_RESOLVER || 'default';
+
+/**
+ * Registers a page state resolver
+ * @param {string} name - Resolver name, referenced from the audit config
+ * @param {function(import('playwright').Page, Object): Promise<string>} resolver - Resolver function
+ */
+function registerStateResolver(name, resolver) {
+  if (typeof resolver !== 'function') {
+    throw new Error(`State resolver "${name}" must be a function`);
+  }
+  stateResolvers.set(name, resolver);
+}
+
+/**
+ * Resolves the state of the page using the audit config.
+ *
+ * `config.pageState` can be:
+ * - a function `(page) => string`
+ * - `{ label: 'phones' }` for an explicit state label
+ * - the name of a registered resolver, or `{ resolver: 'dom-hash', ...options }`
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} config - Audit configuration
+ * @returns {Promise<string>} State identifier
+ */
+async function resolvePageState(page, config = {}) {
+  const { pageState } = config;
+
+  if (typeof pageState === 'function') {
+    return String(await pageState(page));
+  }
+  if (pageState && typeof pageState === 'object' && pageState.label) {
+    return String(pageState.label);
+  }
+
+  const { resolver: name = DEFAULT_STATE_RESOLVER, ...options } = typeof pageState === 'string'
+    ? { resolver: pageState }
+    : pageState || {};
+  const resolver = stateResolvers.get(name);
+  if (!resolver) {
+    throw new Error(`Unknown state resolver "${name}". Registered resolvers: ${[...stateResolvers.keys()].join(', ')}`);
+  }
+  return String(await resolver(page, options));
+}
+
+/**
+ * Built-in resolver giving every page the same state
+ */
+registerStateResolver('default', async () => 'default');
+
+/**
+ * Built-in resolver hashing the DOM structure (tags, ids, classes and, when
+ * `includeText` is true, the text of leaf elements) of the visible page
+ */
+registerStateResolver('dom-hash', async (page, { includeText = false, root = 'body' } = {}) => {
+  const signature = await page.evaluate(({ includeText: withText, rootSelector }) => {
+    const ignored = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg']);
+    const parts = [];
+    const walk = (element) => {
+      if (ignored.has(element.tagName)) return;
+      const style = window.getComputedStyle(element);
+      if (style.display === 'none' || style.visibility === 'hidden') return;
+
+      const classes = [...element.classList].sort().join('.');
+      const text = withText && element.children.length === 0
+        ? (element.textContent || '').trim().slice(0, 50)
+        : '';
+      parts.push(`${element.tagName}#${element.id}.${classes}:${text}`);
+      [...element.children].forEach(walk);
+    };
+    const rootElement = document.querySelector(rootSelector);
+    if (rootElement) walk(rootElement);
+    return parts.join('|');
+  }, { includeText, rootSelector: root });
+
+  return `dom-${hashString(signature).slice(0, 12)}`;
+});
+
+/**
+ * Built-in resolver for TodoMVC style applications
+ */
+registerStateResolver('todo-list', async (page) => {
+  const totalItems = await page.$$('.todo-list li');
+  const completedItems = await page.$$('.todo-list li.completed');
+
+  if (totalItems.length === 0) return 'empty';
+  if (completedItems.length === totalItems.length) return 'completed';
+  if (completedItems.length > 0) return 'mixed';
+  return 'with-items'; // Default state when there are only active items
+});
+
+module.exports = {
+  registerStateResolver,
+  resolvePageState,
+  stateResolvers,
+};
@@ -0,0 +1,143 @@
+const { round } = require('../utils/statistics');
+
+/**
+ * In-page performance measurement with the Performance and PerformanceObserver
+ * APIs, used instead of Lighthouse on engines without the Chrome DevTools
+ * Protocol. Results have the shape of Lighthouse results, without category
+ * scores, so budgets, history and exporters apply to them as well.
+ */
+
+// Entry type each measured audit is computed from
+const MEASURED_AUDITS = {
+  'first-contentful-paint': 'paint',
+  'largest-contentful-paint': 'largest-contentful-paint',
+  'cumulative-layout-shift': 'layout-shift',
+  'server-response-time': 'navigation',
+  'total-blocking-time': 'longtask',
+};
+
+// Time given to the observers to deliver the buffered entries, in milliseconds
+const OBSERVE_TIME = 500;
+
+// Duration above which a task blocks the main thread, in milliseconds
+const LONG_TASK_THRESHOLD = 50;
+
+/**
+ * Collects the buffered performance entries of the page. Runs in the browser.
+ * @param {{entryTypes: Array<string>, observeTime: number}} options - Entry types to observe
+ * @returns {Promise<{supportedEntryTypes: Array<string>, entries: Object}>} Plain entries keyed by type
+ */
+async function collectEntries({ entryTypes, observeTime }) {
+  const supportedEntryTypes = (window.PerformanceObserver && PerformanceObserver.supportedEntryTypes) || [];
+  const entries = {};
+  const observers = entryTypes
+    .filter((type) => supportedEntryTypes.includes(type))
+    .map((type) => {
+      entries[type] = [];
+      const observer = new PerformanceObserver((list) => {
+        entries[type].push(...list.getEntries().map((entry) => ({
+          name: entry.name,
+          startTime: entry.startTime,
+          duration: entry.duration,
+          value: entry.value,
+          hadRecentInput: entry.hadRecentInput,
+          requestStart: entry.requestStart,
+          responseStart: entry.responseStart,
+        })));
+      });
+      observer.observe({ type, buffered: true });
+      return observer;
+    });
+
+  await new Promise((resolve) => {
+    setTimeout(resolve, observeTime);
+  });
+  observers.forEach((observer) => observer.disconnect());
+  return { supportedEntryTypes, entries };
+}
+
+/**
+ * Computes CLS as the largest session window of layout shifts: shifts less than
+ * 1s apart, over at most 5s, without recent input
+ * @param {Array} shifts - Layout shift entries
+ * @returns {number} Cumulative layout shift
+ */
+function computeLayoutShift(shifts) {
+  const windows = shifts
+    .filter((shift) => !shift.hadRecentInput)
+    .reduce((acc, shift) => {
+      const current = acc[acc.length - 1];
+      if (current
+        && shift.startTime - current.last < 1000
+        && shift.startTime - current.first < 5000) {
+        current.value += shift.value;
+        current.last = shift.startTime;
+      } else {
+        acc.push({ first: shift.startTime, last: shift.startTime, value: shift.value });
+      }
+      return acc;
+    }, []);
+  return Math.max(0, ...windows.map((window) => window.value));
+}
+
+/**
+ * Computes the audit values from the collected entries
+ * @param {Object} entries - Entries keyed by type
+ * @returns {Object} Values keyed by audit id, undefined when they can't be computed
+ */
+function computeAuditValues(entries) {
+  const fcp = (entries.paint || []).find((entry) => entry.name === 'first-contentful-paint');
+  const lcp = (entries['largest-contentful-paint'] || []).slice(-1)[0];
+  const navigation = (entries.navigation || [])[0];
+
+  return {
+    'first-contentful-paint': fcp?.startTime,
+    'largest-contentful-paint': lcp?.startTime,
+    'cumulative-layout-shift': entries['layout-shift'] && computeLayoutShift(entries['layout-shift']),
+    'server-response-time': navigation && navigation.responseStart - navigation.requestStart,
+    // Estimated as the blocking time of the long tasks after the first paint
+    'total-blocking-time': entries.longtask && entries.longtask
+      .filter((task) => !fcp || task.startTime >= fcp.startTime)
+      .reduce((acc, task) => acc + Math.max(0, task.duration - LONG_TASK_THRESHOLD), 0),
+  };
+}
+
+/**
+ * Measures the performance of the page with the Performance API
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} engine - Engine running the page
+ * @returns {Promise<Object>} Performance results, with the audits the engine can't measure in `unsupported`
+ */
+async function measurePerformance(page, engine) {
+  const { supportedEntryTypes, entries } = await page.evaluate(collectEntries, {
+    entryTypes: [...new Set(Object.values(MEASURED_AUDITS))],
+    observeTime: OBSERVE_TIME,
+  });
+  const values = computeAuditValues(entries);
+
+  const vitals = {};
+  const unsupported = [];
+  Object.entries(MEASURED_AUDITS).forEach(([id, entryType]) => {
+    if (!supportedEntryTypes.includes(entryType)) {
+      unsupported.push(id);
+    } else if (typeof values[id] === 'number' && Number.isFinite(values[id])) {
+      vitals[id] = {
+        value: round(values[id], 4),
+        unit: id === 'cumulative-layout-shift' ? 'unitless' : 'millisecond',
+      };
+    }
+  });
+
+  return {
+    metrics: {},
+    vitals,
+    resources: {},
+    unsupported,
+    source: { engine, method: 'performance-api' },
+  };
+}
+
+module.exports = {
+  measurePerformance,
+  computeLayoutShift,
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const {
+  defaultBudgetSettings,
+  lighthouseMetricAudits,
+  lighthouseMetricAliases,
+} = require('../config/audit-config');
+const { matchesUrlPattern } = require('../utils/url-utils');
+
+/**
+ * Per-URL performance budgets.
+ *
+ * The budget file holds entries such as:
+ * {
+ *   "url": "https://www.demoblaze.com/**",
+ *   "lcp": 2500,
+ *   "cls": 0.1,
+ *   "totalBytes": 1500000,
+ *   "requestCount": 60,
+ *   "scriptBytes": 500000,
+ *   "thirdPartyBytes": 200000
+ * }
+ * Every entry whose `url` matches the audited page applies, later entries
+ * overriding the limits of earlier ones. `url` matches every page when omitted.
+ *
+ * Limits are maximum values:
+ * - timings keyed by Lighthouse audit id or alias (`lcp`, `cls`, `tbt`, `fcp`, `ttfb`...)
+ * - `totalBytes` and `requestCount` for the whole page
+ * - `<type>Bytes` and `<type>Requests` per resource type, where type is one of
+ *   `document`, `script`, `stylesheet`, `image`, `media`, `font`, `other` or `thirdParty`
+ */
+
+const RESOURCE_TYPES = {
+  document: 'document',
+  script: 'script',
+  stylesheet: 'stylesheet',
+  image: 'image',
+  media: 'media',
+  font: 'font',
+  other: 'other',
+  thirdParty: 'third-party',
+};
+
+/**
+ * Describes how to read a budget metric from the Lighthouse results
+ * @param {string} key - Budget key
+ * @returns {{label: string, unit: string, read: function(Object): number}|null} Metric, or null for unknown keys
+ */
+function getBudgetMetric(key) {
+  const auditId = lighthouseMetricAliases[key] || key;
+  const resource = (type, field) => (results) => results.resources?.[type]?.[field];
+
+  if (key === 'totalBytes') {
+    return { label: 'Total bytes', unit: 'byte', read: resource('total', 'transferSize') };
+  }
+  if (key === 'requestCount') {
+    return { label: 'Requests', unit: 'count', read: resource('total', 'requestCount') };
+  }
+
+  const match = key.match(/^(\w+?)(Bytes|Requests)$/);
+  if (match && RESOURCE_TYPES[match[1]]) {
+    const type = RESOURCE_TYPES[match[1]];
+    const label = type.charAt(0).toUpperCase() + type.slice(1);
+    return match[2] === 'Bytes'
+      ? { label: `${label} bytes`, unit: 'byte', read: resource(type, 'transferSize') }
+      : { label: `${label} requests`, unit: 'count', read: resource(type, 'requestCount') };
+  }
+
+  if (lighthouseMetricAudits[auditId]) {
+    return {
+      label: lighthouseMetricAudits[auditId],
+      unit: null,
+      read: (results) => results.vitals?.[auditId]?.value,
+    };
+  }
+  return null;
+}
+
+/**
+ * Checks that every limit of a budget is a number on a known metric
+ * @param {Object} limits - Limits keyed by budget key
+ * @param {string} source - Where the limits come from, used in error messages
+ */
+function validateLimits(limits, source) {
+  Object.entries(limits).forEach(([key, limit]) => {
+    if (!getBudgetMetric(key)) {
+      throw new Error(`Unknown performance budget metric "${key}" in ${source}`);
+    }
+    if (typeof limit !== 'number') {
+      throw new Error(`Performance budget "${key}" in ${source} must be a number`);
+    }
+  });
+}
+
+/**
+ * Loads the budget file
+ * @param {string} filePath - Path of the budget file
+ * @returns {Array} Budget entries, empty when the file does not exist
+ */
+function loadBudgets(filePath = defaultBudgetSettings.path) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(content) ? content : content.budgets || [];
+  entries.forEach((entry, index) => {
+    const { url, ...limits } = entry;
+    validateLimits(limits, `budget ${index} of ${filePath}`);
+  });
+  return entries;
+}
+
+/**
+ * Resolves the limits that apply to a page
+ * @param {string} url - Audited page URL
+ * @param {Object} config - Audit configuration, `config.budget` overrides the file limits
+ * @param {Array} budgets - Loaded budget entries
+ * @returns {Object} Limits keyed by budget key
+ */
+function resolveBudget(url, config = {}, budgets = loadBudgets()) {
+  const limits = budgets
+    .filter((entry) => matchesUrlPattern(url, entry.url))
+    .reduce((acc, { url: pattern, ...entryLimits }) => ({ ...acc, ...entryLimits }), {});
+
+  if (config.budget) {
+    validateLimits(config.budget, 'the audit config');
+  }
+  return { ...limits, ...config.budget };
+}
+
+/**
+ * Formats a budget value with its unit
+ * @param {number} value - Budget or actual value
+ * @param {string|null} unit - Unit of the metric
+ * @returns {string} Formatted value
+ */
+function formatBudgetValue(value, unit) {
+  if (unit === 'millisecond') return `${Math.round(value)} ms`;
+  if (unit === 'byte') return `${Math.round(value)} bytes`;
+  return `${Math.round(value * 1000) / 1000}`;
+}
+
+/**
+ * Evaluates Lighthouse results against a budget
+ * @param {Object} lighthouseResults - Aggregated Lighthouse results
+ * @param {Object} limits - Limits keyed by budget key
+ * @returns {{lines: Array, failures: number}} One line per limit with its actual value and overage
+ */
+function evaluateBudget(lighthouseResults, limits) {
+  const lines = Object.entries(limits).map(([key, limit]) => {
+    const metric = getBudgetMetric(key);
+    const actual = metric.read(lighthouseResults);
+    const measured = typeof actual === 'number';
+    const unit = metric.unit || lighthouseResults.vitals?.[lighthouseMetricAliases[key] || key]?.unit || null;
+    return {
+      metric: key,
+      label: metric.label,
+      unit,
+      limit,
+      actual: measured ? actual : null,
+      // Unmeasured metrics are reported but neither pass nor fail
+      pass: measured ? actual <= limit : null,
+      overage: measured ? Math.max(0, actual - limit) : 0,
+    };
+  });
+
+  return {
+    lines,
+    failures: lines.filter((line) => line.pass === false).length,
+  };
+}
+
+module.exports = {
+  loadBudgets,
+  resolveBudget,
+  evaluateBudget,
+  formatBudgetValue,
+};
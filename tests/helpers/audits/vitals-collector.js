@@ -0,0 +1,206 @@
+const { defaultFlowVitalsSettings } = require('../config/audit-config');
+const { getBrowserEngine } = require('./browser-capabilities');
+const { computeLayoutShift } = require('./performance-api');
+const { round } = require('../utils/statistics');
+
+/**
+ * In-flow Web Vitals: a collector injected before navigation records the event
+ * timing, LCP, layout shift and long animation frame entries while the test
+ * drives the page, so INP covers the interactions the test performs.
+ */
+
+// Entry types recorded by the collector
+const COLLECTED_ENTRY_TYPES = ['event', 'largest-contentful-paint', 'layout-shift', 'long-animation-frame'];
+
+// Maximum number of entries of each type kept in the page
+const MAX_RECORDS = 500;
+
+/**
+ * Installs the collector in the page. Runs in the browser, before the page scripts.
+ * @param {{durationThreshold: number, maxRecords: number}} options - Collector options
+ */
+function installCollector({ durationThreshold, maxRecords }) {
+  if (window.__webAuditVitals) return;
+
+  const supportedEntryTypes = (window.PerformanceObserver && PerformanceObserver.supportedEntryTypes) || [];
+  const store = {
+    supportedEntryTypes,
+    events: [],
+    lcp: [],
+    shifts: [],
+    frames: [],
+  };
+
+  const describeNode = (node) => {
+    if (!node) return null;
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeName.toLowerCase();
+    const id = node.id ? `#${node.id}` : '';
+    const classes = typeof node.className === 'string' && node.className.trim()
+      ? `.${node.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    return `${node.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const observe = (type, options, records, toRecord) => {
+    if (!supportedEntryTypes.includes(type)) return;
+    const observer = new PerformanceObserver((list) => {
+      list.getEntries().forEach((entry) => {
+        const record = toRecord(entry);
+        if (record && records.length < maxRecords) records.push(record);
+      });
+    });
+    observer.observe({ type, buffered: true, ...options });
+  };
+
+  const toEventRecord = (entry) => (entry.interactionId
+    ? {
+      name: entry.name,
+      interactionId: entry.interactionId,
+      target: describeNode(entry.target),
+      startTime: entry.startTime,
+      duration: entry.duration,
+      processingStart: entry.processingStart,
+      processingEnd: entry.processingEnd,
+    }
+    : null);
+
+  observe('event', { durationThreshold }, store.events, toEventRecord);
+  observe('first-input', {}, store.events, toEventRecord);
+  observe('largest-contentful-paint', {}, store.lcp, (entry) => ({
+    startTime: entry.startTime,
+    element: describeNode(entry.element),
+    url: entry.url,
+  }));
+  observe('layout-shift', {}, store.shifts, (entry) => ({
+    startTime: entry.startTime,
+    value: entry.value,
+    hadRecentInput: entry.hadRecentInput,
+    sources: (entry.sources || []).map((source) => describeNode(source.node)).filter(Boolean),
+  }));
+  observe('long-animation-frame', {}, store.frames, (entry) => ({
+    startTime: entry.startTime,
+    duration: entry.duration,
+    blockingDuration: entry.blockingDuration,
+    scripts: (entry.scripts || []).map((script) => ({
+      invoker: script.invoker,
+      sourceURL: script.sourceURL,
+      duration: script.duration,
+    })),
+  }));
+
+  Object.defineProperty(window, '__webAuditVitals', { value: store });
+}
+
+/**
+ * Injects the collector in the page, for the next navigations. Call it before
+ * `page.goto`, the `page` fixture of `tests/helpers` does it for each test.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} settings - Collector settings, see `defaultFlowVitalsSettings`
+ * @returns {Promise<void>}
+ */
+async function installVitalsCollector(page, settings = defaultFlowVitalsSettings) {
+  await page.addInitScript(installCollector, {
+    durationThreshold: settings.durationThreshold,
+    maxRecords: MAX_RECORDS,
+  });
+}
+
+/**
+ * Groups event timing entries into interactions, keeping the longest entry of each
+ * @param {Array} events - Event timing records
+ * @returns {Array} Interactions, slowest first
+ */
+function getInteractions(events) {
+  const interactions = events.reduce((acc, event) => {
+    const existing = acc.get(event.interactionId);
+    if (!existing || event.duration > existing.duration) {
+      acc.set(event.interactionId, event);
+    }
+    return acc;
+  }, new Map());
+
+  return [...interactions.values()]
+    .sort((a, b) => b.duration - a.duration)
+    .map((event) => ({
+      name: event.name,
+      target: event.target,
+      startTime: round(event.startTime, 1),
+      duration: event.duration,
+      inputDelay: round(event.processingStart - event.startTime, 1),
+      processingTime: round(event.processingEnd - event.processingStart, 1),
+      presentationDelay: round(Math.max(0, event.startTime + event.duration - event.processingEnd), 1),
+    }));
+}
+
+/**
+ * Picks the INP interaction: the slowest one, ignoring one for every 50 interactions
+ * @param {Array} interactions - Interactions, slowest first
+ * @returns {Object|null} INP interaction
+ */
+function getInpInteraction(interactions) {
+  if (interactions.length === 0) return null;
+  return interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))];
+}
+
+/**
+ * Summarizes the entries recorded by the collector
+ * @param {Object} records - Records of the collector
+ * @param {string} engine - Engine running the page
+ * @param {Object} settings - Collector settings, see `defaultFlowVitalsSettings`
+ * @returns {Object} In-flow vitals
+ */
+function summarizeFlowVitals(records, engine, settings = defaultFlowVitalsSettings) {
+  const supported = (type) => records.supportedEntryTypes.includes(type);
+  const interactions = getInteractions(records.events);
+  const inp = getInpInteraction(interactions);
+  const lcp = records.lcp[records.lcp.length - 1];
+  const layoutShifts = records.shifts.filter((shift) => !shift.hadRecentInput);
+
+  const vitals = {};
+  if (supported('event')) {
+    // No interaction slower than the duration threshold means a fast INP
+    vitals['interaction-to-next-paint'] = { value: inp ? inp.duration : 0, unit: 'millisecond' };
+  }
+  if (lcp) {
+    vitals['largest-contentful-paint'] = { value: round(lcp.startTime, 1), unit: 'millisecond' };
+  }
+  if (supported('layout-shift')) {
+    vitals['cumulative-layout-shift'] = { value: round(computeLayoutShift(records.shifts), 4), unit: 'unitless' };
+  }
+
+  return {
+    source: { engine, method: 'in-flow' },
+    vitals,
+    unsupported: COLLECTED_ENTRY_TYPES.filter((type) => !supported(type)),
+    interactionCount: interactions.length,
+    inp,
+    slowestInteractions: interactions.slice(0, settings.maxEntries),
+    lcpElement: lcp?.element || null,
+    layoutShifts: [...layoutShifts]
+      .sort((a, b) => b.value - a.value)
+      .slice(0, settings.maxEntries)
+      .map((shift) => ({ ...shift, value: round(shift.value, 4), startTime: round(shift.startTime, 1) })),
+    longAnimationFrameCount: records.frames.length,
+    longAnimationFrames: [...records.frames]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, settings.maxEntries),
+  };
+}
+
+/**
+ * Reads the in-flow vitals of the page
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} settings - Collector settings, see `defaultFlowVitalsSettings`
+ * @returns {Promise<Object|null>} In-flow vitals, or null when the collector was not injected
+ */
+async function collectFlowVitals(page, settings = defaultFlowVitalsSettings) {
+  const records = await page.evaluate(() => window.__webAuditVitals || null);
+  if (!records) return null;
+  return summarizeFlowVitals(records, getBrowserEngine(page), settings);
+}
+
+module.exports = {
+  installVitalsCollector,
+  collectFlowVitals,
+  summarizeFlowVitals,
+};
@@ -0,0 +1,275 @@
+const { chromium } = require('@playwright/test');
+const {
+  getAuditContext,
+  getAccessibilityResults,
+  getLighthouseResults,
+  createTestResult,
+  applyEnforcement,
+  resetTestResults,
+  generateConsolidatedReport,
+  exportMetrics,
+  testState,
+} = require('./index');
+const {
+  deviceConfigs,
+  defaultDeviceType,
+  defaultAggregationSettings,
+  defaultAxeSettings,
+} = require('./config/audit-config');
+const { getDeviceSettings, getDeviceContextOptions } = require('./config/device-profiles');
+const { LOG_LEVELS } = require('./audits/enforcement');
+const { findFreePort, setLighthousePort } = require('./audits/lighthouse-pool');
+
+/**
+ * Command-line auditor, run without the Playwright test runner.
+ *
+ * Usage:
+ *   web-audit run <url...> [--device desktop,mobile,tablet] [--runs 3]
+ *     [--axe-tags wcag2a,wcag22aa] [--out reports] [--no-axe] [--no-lighthouse]
+ *
+ * Exits with 1 when an audit failed or breached an error level of the enforcement
+ * policy, 2 on invalid usage.
+ */
+
+const USAGE = `Usage: web-audit run <url...> [options]
+
+Options:
+  --device <names>     Comma separated device profiles: ${Object.keys(deviceConfigs).join(', ')}
+                       (default: ${defaultDeviceType})
+  --runs <n>           Lighthouse runs per URL (default: ${defaultAggregationSettings.runs})
+  --axe-tags <tags>    Comma separated axe tags (default: ${defaultAxeSettings.tags.join(',')})
+  --out <dir>          Reports directory (default: reports)
+  --no-axe             Skip the accessibility audit
+  --no-lighthouse      Skip the Lighthouse audit
+  --help               Show this help`;
+
+/**
+ * Parses the command line arguments of the auditor
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @returns {{command: string, urls: Array<string>, devices: Array<string>, runs?: number, axeTags?: Array<string>,
+ *   out?: string, axe: boolean, lighthouse: boolean, help: boolean}} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    urls: [],
+    devices: [defaultDeviceType],
+    axe: true,
+    lighthouse: true,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--device') {
+      options.devices = (value || '').split(',').map((device) => device.trim()).filter(Boolean);
+      i += 1;
+    } else if (arg === '--runs') {
+      options.runs = parseInt(value, 10);
+      i += 1;
+    } else if (arg === '--axe-tags') {
+      options.axeTags = (value || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+      i += 1;
+    } else if (arg === '--out') {
+      options.out = value;
+      i += 1;
+    } else if (arg === '--no-axe') {
+      options.axe = false;
+    } else if (arg === '--no-lighthouse') {
+      options.lighthouse = false;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.urls.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+  if (options.command !== 'run') {
+    throw new Error(options.command ? `Unknown command "${options.command}". Use: run` : 'Expected a command: run');
+  }
+  if (options.urls.length === 0) {
+    throw new Error('Expected at least one URL to audit');
+  }
+  options.urls.forEach((url) => {
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`Expected an http(s) URL, got "${url}"`);
+    }
+  });
+  if (options.devices.length === 0) {
+    throw new Error('--device must list at least one device profile');
+  }
+  options.devices.forEach((device) => {
+    if (!deviceConfigs[device]) {
+      throw new Error(`Unknown device "${device}". Use one of: ${Object.keys(deviceConfigs).join(', ')}`);
+    }
+  });
+  if (options.runs !== undefined && !(options.runs > 0)) {
+    throw new Error('--runs must be a positive number');
+  }
+  if (options.axeTags?.length === 0) {
+    throw new Error('--axe-tags must list at least one tag');
+  }
+  return options;
+}
+
+/**
+ * Builds the audit configuration of the command line options on a device
+ * @param {Object} options - Options, see `parseArgs`
+ * @param {string} device - Device profile name
+ * @returns {Object} Audit configuration
+ */
+function createAuditConfig(options, device) {
+  return {
+    device,
+    deviceSettings: getDeviceSettings(device),
+    ...(options.runs && { aggregation: { runs: options.runs } }),
+    ...(options.axeTags && { axe: { tags: options.axeTags } }),
+  };
+}
+
+/**
+ * Audits a URL in a new page of the browser emulating a device, and records its result
+ * @param {import('playwright').Browser} browser - Browser launched with a debugging port
+ * @param {string} url - URL to audit
+ * @param {string} device - Device profile name
+ * @param {Object} options - Options, see `parseArgs`
+ * @returns {Promise<Object>} Test result, see `createTestResult`
+ */
+async function auditUrl(browser, url, device, options) {
+  const config = createAuditConfig(options, device);
+  const context = await browser.newContext(getDeviceContextOptions(device));
+
+  try {
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'networkidle' });
+
+    const auditContext = await getAuditContext(page, config);
+    const axeResults = options.axe ? await getAccessibilityResults(page, config, auditContext) : null;
+    const lighthouseResults = options.lighthouse ? await getLighthouseResults(page, config, auditContext) : null;
+
+    // The command stands in for the test the results usually come from
+    const testInfo = { file: 'web-audit', title: url, project: { name: device } };
+    const result = createTestResult(testInfo, auditContext, { axeResults, lighthouseResults });
+    applyEnforcement(result, config);
+    testState.addResult(result);
+    return result;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Formats the summary table of the audits
+ * @param {Array<{url: string, device: string, result?: Object, error?: Error}>} audits - Audited URLs
+ * @returns {string} Summary table
+ */
+function formatSummary(audits) {
+  const score = (result, key) => {
+    const value = result?.lighthouseResults?.metrics?.[key];
+    return typeof value === 'number' ? String(value) : '–';
+  };
+  const rows = audits.map(({
+    url,
+    device,
+    result,
+    error,
+  }) => {
+    let status = error ? 'failed' : result.logLevel || LOG_LEVELS.INFO;
+    if (!error && result.lighthouseResults?.thresholdBreached) status = `${status}, below thresholds`;
+    return [
+      url,
+      device,
+      score(result, 'performance'),
+      score(result, 'accessibility'),
+      score(result, 'best-practices'),
+      score(result, 'seo'),
+      result?.axeResults ? String(result.axeResults.metrics?.total_violations || 0) : '–',
+      status,
+    ];
+  });
+
+  const header = ['URL', 'Device', 'Perf', 'A11y', 'BP', 'SEO', 'Axe', 'Status'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  const formatRow = (row) => row
+    .map((cell, column) => (column <= 1 || column === row.length - 1
+      ? cell.padEnd(widths[column])
+      : cell.padStart(widths[column])))
+    .join('  ')
+    .trimEnd();
+  return [formatRow(header), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+}
+
+/**
+ * Checks whether an audit should fail the command: it failed or breached an
+ * error level of the enforcement policy, scores below the Lighthouse
+ * thresholds are warnings unless the policy makes them errors
+ * @param {{result?: Object, error?: Error}} audit - Audited URL and device
+ * @returns {boolean} Whether the audit breached
+ */
+function isBreached({ result, error }) {
+  return Boolean(error) || result.logLevel === LOG_LEVELS.ERROR;
+}
+
+/**
+ * Runs the auditor
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  resetTestResults();
+  const port = await findFreePort();
+  setLighthousePort(port);
+  const browser = await chromium.launch({ args: [`--remote-debugging-port=${port}`] });
+
+  let audits;
+  try {
+    // One URL and device at a time, Lighthouse runs in the same browser
+    const targets = options.urls.flatMap((url) => options.devices.map((device) => ({ url, device })));
+    audits = await targets.reduce((previous, { url, device }) => previous.then(async (done) => {
+      console.log(`Auditing ${url} on ${device}`);
+      try {
+        return [...done, { url, device, result: await auditUrl(browser, url, device, options) }];
+      } catch (error) {
+        console.error(`Audit of ${url} on ${device} failed: ${error.message}`);
+        return [...done, { url, device, error }];
+      }
+    }), Promise.resolve([]));
+  } finally {
+    await browser.close();
+    setLighthousePort(null);
+  }
+
+  if (testState.getResults().length > 0) {
+    const reportFiles = generateConsolidatedReport();
+    await exportMetrics(reportFiles.json);
+    console.log(`Consolidated report: ${reportFiles.html}`);
+  }
+  console.log(`\n${formatSummary(audits)}`);
+  return audits.some(isBreached) ? 1 : 0;
+}
+
+module.exports = {
+  parseArgs,
+  createAuditConfig,
+  formatSummary,
+  isBreached,
+  main,
+};
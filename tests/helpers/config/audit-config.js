@@ -1,3 +1,6 @@
+const os = require('os');
+const path = require('path');
+
 /**
  * Predefined device configurations
  */
@@ -23,17 +26,32 @@ const deviceConfigs = {
 };
 
 /**
- * Default device settings for Lighthouse audits
+ * Device profile audited when no device is set, see `LIGHTHOUSE_DEVICE_TYPE`
+ */
+const defaultDeviceType = process.env.LIGHTHOUSE_DEVICE_TYPE || 'desktop';
+
+/**
+ * Default device settings for Lighthouse audits: the profile of the default
+ * device type, with the overrides set in env variables
  */
+const defaultDeviceProfile = deviceConfigs[defaultDeviceType] || deviceConfigs.desktop;
 const defaultDeviceSettings = {
-  ...deviceConfigs[process.env.LIGHTHOUSE_DEVICE_TYPE || 'desktop'],
-  // Allow overrides from env variables
-  mobile: process.env.LIGHTHOUSE_MOBILE === 'true',
-  deviceScaleFactor: parseFloat(process.env.LIGHTHOUSE_DEVICE_SCALE) || deviceConfigs.desktop.deviceScaleFactor,
-  width: parseInt(process.env.LIGHTHOUSE_WIDTH) || deviceConfigs.desktop.width,
-  height: parseInt(process.env.LIGHTHOUSE_HEIGHT) || deviceConfigs.desktop.height
+  ...defaultDeviceProfile,
+  mobile: process.env.LIGHTHOUSE_MOBILE ? process.env.LIGHTHOUSE_MOBILE === 'true' : defaultDeviceProfile.mobile,
+  deviceScaleFactor: parseFloat(process.env.LIGHTHOUSE_DEVICE_SCALE) || defaultDeviceProfile.deviceScaleFactor,
+  width: parseInt(process.env.LIGHTHOUSE_WIDTH, 10) || defaultDeviceProfile.width,
+  height: parseInt(process.env.LIGHTHOUSE_HEIGHT, 10) || defaultDeviceProfile.height,
 };
 
+/**
+ * Device profiles each page is audited on, one Chromium project per profile.
+ * Empty runs the single `chromium` project on the default device type.
+ */
+const defaultDeviceMatrix = (process.env.AUDIT_DEVICES || '')
+  .split(',')
+  .map((device) => device.trim())
+  .filter(Boolean);
+
 /**
  * Default throttling settings for Lighthouse audits
  */
@@ -45,20 +63,125 @@ const defaultThrottlingSettings = {
   latencyMs: parseInt(process.env.LIGHTHOUSE_LATENCY) || 50
 };
 
+/**
+ * Default settings for aggregating multiple Lighthouse runs of a page
+ */
+const defaultAggregationSettings = {
+  // Number of Lighthouse runs per page
+  runs: parseInt(process.env.LIGHTHOUSE_RUNS, 10) || 3,
+  // One of: median, mean, p75, trimmed-mean
+  aggregator: process.env.LIGHTHOUSE_AGGREGATOR || 'median',
+  // Ratio of runs dropped on each side by the trimmed-mean aggregator
+  trimRatio: 0.2,
+  // Modified z-score of the performance score above which a run is dropped
+  outlierThreshold: parseFloat(process.env.LIGHTHOUSE_OUTLIER_THRESHOLD) || 3.5,
+  // Coefficient of variation (stdDev / mean) above which a metric is marked unstable
+  maxVariation: parseFloat(process.env.LIGHTHOUSE_MAX_VARIATION) || 0.1,
+};
+
+/**
+ * Default settings for the audit cache
+ */
+const defaultCacheSettings = {
+  // Persist cache entries to disk so they survive between runs
+  persistent: process.env.AUDIT_CACHE_PERSIST === 'true',
+  directory: process.env.AUDIT_CACHE_DIR || '.audit-cache',
+  // Time to live of an entry, in milliseconds
+  ttl: (parseFloat(process.env.AUDIT_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  // Ignore entries persisted by earlier runs (fresh results are still stored)
+  bypass: process.env.AUDIT_CACHE_BYPASS === 'true',
+  // Delete every persisted entry when the test results are reset
+  purge: process.env.AUDIT_CACHE_PURGE === 'true',
+  // Invalidate entries when the hash of the page DOM ('dom') or of the document
+  // response served for its URL ('response') changes, or never (false)
+  contentHash: { false: false, response: 'response' }[process.env.AUDIT_CACHE_CONTENT_HASH] ?? 'dom',
+};
+
+/**
+ * Splits a comma separated environment variable into a list
+ * @param {string} value - Environment variable value
+ * @returns {Array<string>|undefined} List of values, or undefined when not set
+ */
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined);
+
+/**
+ * Default settings for Axe audits, can be overridden per audit with `config.axe`
+ */
+const defaultAxeSettings = {
+  // Tag sets to run, e.g. wcag2a, wcag2aa, wcag21aa, wcag22aa, section508, EN-301-549, best-practice
+  tags: parseList(process.env.AXE_TAGS) || ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'],
+  // Rules to run in addition to the tag sets
+  enableRules: parseList(process.env.AXE_ENABLE_RULES) || [
+    'color-contrast',
+    'document-title',
+    'html-has-lang',
+    'label',
+    'landmark-one-main',
+    'page-has-heading-one',
+    'region',
+  ],
+  // Rules to skip
+  disableRules: parseList(process.env.AXE_DISABLE_RULES) || [],
+  // Selectors to limit the audit to, and to leave out (e.g. third-party widgets).
+  // Use { fromShadowDom: [...] } or { fromFrames: [...] } to reach into shadow roots and iframes.
+  include: [],
+  exclude: parseList(process.env.AXE_EXCLUDE) || [],
+  // Audit the content of iframes
+  iframes: process.env.AXE_IFRAMES !== 'false',
+};
+
+/**
+ * Default settings for the accessibility baseline of known violations
+ */
+const defaultBaselineSettings = {
+  path: process.env.AXE_BASELINE_PATH || 'accessibility-baseline.json',
+  // Write or update the baseline from the violations of the current run
+  update: process.env.AXE_BASELINE_UPDATE === 'true',
+};
+
+/**
+ * Default enforcement policy. Lighthouse levels are minimum category scores,
+ * axe levels are the maximum number of violations of each impact.
+ * Breaching an error level fails the test, breaching a warn level annotates it.
+ */
+const defaultEnforcementPolicy = {
+  enabled: process.env.AUDIT_ENFORCE !== 'false',
+  lighthouse: {
+    performance: { warn: 80, error: 50 },
+    accessibility: { warn: 90, error: 70 },
+    'best-practices': { warn: 90, error: 70 },
+    seo: { warn: 90, error: 70 },
+  },
+  axe: {
+    critical: { warn: 0, error: 0 },
+    serious: { warn: 0, error: 5 },
+    moderate: { warn: 0 },
+    minor: { warn: 0 },
+  },
+};
+
+/**
+ * Directory of the reports, set by the `--out` option of the command-line auditor
+ */
+const reportsDir = process.env.AUDIT_REPORTS_DIR || 'reports';
+
 /**
  * Default paths for reports
  */
 const reportPaths = {
-  lighthouse: 'reports/lighthouse',
-  axe: 'reports/axe',
-  consolidated: 'reports/consolidated'
+  lighthouse: path.join(reportsDir, 'lighthouse'),
+  axe: path.join(reportsDir, 'axe'),
+  consolidated: path.join(reportsDir, 'consolidated'),
 };
 
 /**
  * Default options for Lighthouse audit
  */
 const defaultLighthouseOptions = {
-  port: 9222,
+  // Debugging port used when the worker did not launch the browser on a free port
+  port: parseInt(process.env.LIGHTHOUSE_PORT, 10) || 9222,
+  // navigation reloads the URL, snapshot audits the page as the test left it
+  mode: process.env.LIGHTHOUSE_MODE || 'navigation',
   output: ['html', 'json'],
   logLevel: 'error',
   thresholds: {
@@ -66,13 +189,220 @@ const defaultLighthouseOptions = {
     accessibility: 90,
     'best-practices': 90,
     seo: 90,
-    pwa: 50
-  }
+  },
+};
+
+/**
+ * Settings of Lighthouse runs in parallel workers
+ */
+const defaultLighthouseParallelSettings = {
+  // Maximum number of Lighthouse runs at the same time on this machine, 0 for no limit
+  concurrency: parseInt(process.env.LIGHTHOUSE_CONCURRENCY, 10) || 0,
+  // Directory holding one lock file per running audit, shared by all workers
+  lockDir: process.env.LIGHTHOUSE_LOCK_DIR || path.join(os.tmpdir(), 'web-audit-lighthouse-slots'),
+  // Delay between attempts to get a free slot, in milliseconds
+  pollInterval: 250,
+};
+
+/**
+ * Settings of the session Lighthouse navigations are authenticated with
+ */
+const defaultLighthouseSessionSettings = {
+  // Copy the cookies, localStorage and headers of the test context to the browser Lighthouse audits in
+  enabled: process.env.LIGHTHOUSE_SESSION !== 'false',
+  // Fail the audit when the audited page redirected away from the requested URL, e.g. to a login page
+  failOnRedirect: process.env.LIGHTHOUSE_FAIL_ON_REDIRECT !== 'false',
+};
+
+/**
+ * Settings of the collector recording Web Vitals while the test drives the page
+ */
+const defaultFlowVitalsSettings = {
+  enabled: process.env.FLOW_VITALS !== 'false',
+  // Minimum duration of the recorded event timing entries, in milliseconds (16 at least)
+  durationThreshold: parseInt(process.env.FLOW_VITALS_DURATION_THRESHOLD, 10) || 40,
+  // Number of interactions, layout shifts and long animation frames listed in reports
+  maxEntries: 5,
+};
+
+/**
+ * Per-URL performance budget settings
+ */
+const defaultBudgetSettings = {
+  path: process.env.PERFORMANCE_BUDGET_PATH || 'performance-budgets.json',
+  // Log level of budget failures in the enforcement policy
+  severity: process.env.PERFORMANCE_BUDGET_SEVERITY || 'warn',
+};
+
+/**
+ * Settings of the history store used for trends and regression detection
+ */
+const defaultHistorySettings = {
+  enabled: process.env.AUDIT_HISTORY !== 'false',
+  path: process.env.AUDIT_HISTORY_PATH || path.join(reportsDir, 'history', 'audit-history.jsonl'),
+  // Compare with the 'previous' run or the mean of a 'rolling' window of runs
+  baseline: process.env.AUDIT_HISTORY_BASELINE || 'rolling',
+  window: parseInt(process.env.AUDIT_HISTORY_WINDOW || '5', 10),
+  // Z-score above which a change of a rolling baseline is significant
+  zScore: parseFloat(process.env.AUDIT_HISTORY_Z_SCORE || '2'),
+  // Minimum relative change (0.1 = 10%) reported as a regression
+  minChange: parseFloat(process.env.AUDIT_HISTORY_MIN_CHANGE || '0.1'),
+  // Number of runs needed before the z-score is used
+  minSamples: 3,
+  // Number of runs shown in the trend sparklines
+  sparklineRuns: 20,
+};
+
+/**
+ * Settings of the discovery mode, which crawls a site to generate its audits
+ */
+const defaultDiscoverySettings = {
+  // Page the crawl starts from, and sitemap whose URLs are added to it (either one is enough)
+  seed: process.env.DISCOVERY_SEED || '',
+  sitemap: process.env.DISCOVERY_SITEMAP || '',
+  // Number of links followed from the seed and the sitemap URLs
+  maxDepth: parseInt(process.env.DISCOVERY_MAX_DEPTH || '2', 10),
+  maxPages: parseInt(process.env.DISCOVERY_MAX_PAGES || '20', 10),
+  // URL glob patterns of the pages to audit (all same-origin pages when empty) and to skip
+  include: parseList(process.env.DISCOVERY_INCLUDE) || [],
+  exclude: parseList(process.env.DISCOVERY_EXCLUDE) || [],
+  // Glob patterns of query parameters that don't change the page, or drop every parameter
+  ignoreParams: parseList(process.env.DISCOVERY_IGNORE_PARAMS),
+  stripQuery: process.env.DISCOVERY_STRIP_QUERY === 'true',
+  // URL glob patterns used as the templates of the matching pages, before the guessed ones
+  templates: parseList(process.env.DISCOVERY_TEMPLATES) || [],
+  // Timeout of each request of the crawl, in milliseconds
+  timeout: parseInt(process.env.DISCOVERY_TIMEOUT || '10000', 10),
+  // Discovered pages, written by the test runner and read by the workers
+  outputPath: process.env.DISCOVERY_OUTPUT || path.join(reportsDir, 'discovery', 'pages.json'),
+};
+
+/**
+ * Settings of the page manifest, which declares the audited pages in YAML or JSON
+ */
+const defaultManifestSettings = {
+  path: process.env.AUDIT_MANIFEST || 'audit-manifest.yml',
+};
+
+/**
+ * Tolerances of the report diff, changes beyond them are regressions
+ */
+const defaultDiffTolerances = {
+  // Maximum drop of a Lighthouse category score, in points
+  score: parseFloat(process.env.DIFF_SCORE_TOLERANCE || '2'),
+  // Maximum relative increase of a vital (0.1 = 10%)
+  vital: parseFloat(process.env.DIFF_VITAL_TOLERANCE || '0.1'),
+  // Maximum number of new accessibility violations per page
+  violations: parseInt(process.env.DIFF_VIOLATION_TOLERANCE || '0', 10),
+};
+
+/**
+ * Settings of the SARIF export of accessibility violations
+ */
+const defaultSarifSettings = {
+  // Module exporting a function mapping violating nodes to source locations
+  locationResolver: process.env.SARIF_LOCATION_RESOLVER || null,
+};
+
+/**
+ * Settings of the metrics exporter sending the report metrics to Datadog
+ */
+const defaultMetricsExporterSettings = {
+  // Comma separated exporters: dogstatsd, http, pushgateway
+  exporters: parseList(process.env.METRICS_EXPORTERS) || [],
+  prefix: process.env.METRICS_PREFIX || 'web_audit',
+  // Tags sent with every metric, others are dropped
+  tags: parseList(process.env.METRICS_TAGS)
+    || ['test_name', 'url_path', 'project', 'device', 'environment', 'git_sha'],
+  dryRun: process.env.METRICS_DRY_RUN === 'true',
+  gitSha: process.env.GIT_SHA || process.env.GITHUB_SHA || process.env.CI_COMMIT_SHA || '',
+  dogstatsd: {
+    host: process.env.DD_AGENT_HOST || 'localhost',
+    port: parseInt(process.env.DD_DOGSTATSD_PORT || '8125', 10),
+  },
+  http: {
+    // Can point at a local stub for testing
+    url: process.env.DD_METRICS_URL || `https://api.${process.env.DD_SITE || 'datadoghq.com'}/api/v2/series`,
+    apiKey: process.env.DD_API_KEY || '',
+    timeout: 10000,
+  },
+};
+
+/**
+ * Settings of the Prometheus / OpenMetrics exposition
+ */
+const defaultPrometheusSettings = {
+  prefix: process.env.PROMETHEUS_PREFIX || 'webaudit',
+  pushgateway: {
+    url: process.env.PUSHGATEWAY_URL || '',
+    job: process.env.PUSHGATEWAY_JOB || 'web_audit',
+    // Grouping key instance, defaults to the environment (ci or local)
+    instance: process.env.PUSHGATEWAY_INSTANCE || (process.env.CI ? 'ci' : 'local'),
+    timeout: 10000,
+  },
+};
+
+/**
+ * Lighthouse audits whose numeric values are extracted from each run,
+ * mapped to the short label used in reports
+ */
+const lighthouseMetricAudits = {
+  'largest-contentful-paint': 'LCP',
+  'cumulative-layout-shift': 'CLS',
+  'first-contentful-paint': 'FCP',
+  'total-blocking-time': 'TBT',
+  interactive: 'TTI',
+  'server-response-time': 'TTFB',
+  'speed-index': 'Speed Index',
+  'max-potential-fid': 'Max Potential FID',
+  'network-rtt': 'Network RTT',
+  'network-server-latency': 'Server Latency',
+  'total-byte-weight': 'Total Byte Weight',
+  'dom-size': 'DOM Nodes',
+  // Only measured by timespan steps of user flows
+  'interaction-to-next-paint': 'INP',
+};
+
+/**
+ * Short names accepted for Lighthouse audits in budgets and matchers
+ */
+const lighthouseMetricAliases = {
+  lcp: 'largest-contentful-paint',
+  cls: 'cumulative-layout-shift',
+  fcp: 'first-contentful-paint',
+  tbt: 'total-blocking-time',
+  tti: 'interactive',
+  ttfb: 'server-response-time',
+  si: 'speed-index',
+  bytes: 'total-byte-weight',
+  domSize: 'dom-size',
+  inp: 'interaction-to-next-paint',
 };
 
 module.exports = {
+  deviceConfigs,
+  defaultDeviceType,
   defaultDeviceSettings,
+  defaultDeviceMatrix,
   defaultThrottlingSettings,
   reportPaths,
-  defaultLighthouseOptions
+  defaultLighthouseOptions,
+  defaultLighthouseParallelSettings,
+  defaultLighthouseSessionSettings,
+  defaultFlowVitalsSettings,
+  defaultAggregationSettings,
+  defaultCacheSettings,
+  defaultBaselineSettings,
+  defaultAxeSettings,
+  defaultEnforcementPolicy,
+  defaultBudgetSettings,
+  defaultHistorySettings,
+  defaultDiscoverySettings,
+  defaultManifestSettings,
+  defaultDiffTolerances,
+  defaultSarifSettings,
+  defaultMetricsExporterSettings,
+  defaultPrometheusSettings,
+  lighthouseMetricAudits,
+  lighthouseMetricAliases,
 }; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { devices } = require('@playwright/test');
+const {
+  deviceConfigs,
+  defaultDeviceType,
+  defaultDeviceSettings,
+  defaultDeviceMatrix,
+} = require('./audit-config');
+
+/**
+ * Device profiles of the audits. The Playwright context of a device project
+ * and the Lighthouse settings of its audits come from the same profile, so
+ * the page viewport, user agent, `formFactor` and `screenEmulation` always agree.
+ */
+
+/**
+ * Get the settings of a device profile. The default device type includes the
+ * overrides of the LIGHTHOUSE_* env variables.
+ * @param {string} [device] - Device profile name, defaults to the default device type
+ * @returns {{mobile: boolean, deviceScaleFactor: number, width: number, height: number}} Device settings
+ */
+function getDeviceSettings(device = defaultDeviceType) {
+  if (device === defaultDeviceType) {
+    return { ...defaultDeviceSettings };
+  }
+  if (!deviceConfigs[device]) {
+    throw new Error(`Unknown device "${device}". Use one of: ${Object.keys(deviceConfigs).join(', ')}`);
+  }
+  return { ...deviceConfigs[device] };
+}
+
+/**
+ * Get the user agent of the pages audited on a device: the one of Playwright's
+ * Pixel 7 on mobile devices, else the one of Desktop Chrome
+ * @param {{mobile: boolean}} settings - Device settings, see `getDeviceSettings`
+ * @returns {string} User agent
+ */
+function getDeviceUserAgent(settings) {
+  return (settings.mobile ? devices['Pixel 7'] : devices['Desktop Chrome']).userAgent;
+}
+
+/**
+ * Get the Playwright context options emulating a device profile
+ * @param {string} [device] - Device profile name, defaults to the default device type
+ * @returns {Object} Context options: `viewport`, `deviceScaleFactor`, `isMobile`, `hasTouch` and `userAgent`
+ */
+function getDeviceContextOptions(device) {
+  const settings = getDeviceSettings(device);
+  return {
+    viewport: { width: settings.width, height: settings.height },
+    deviceScaleFactor: settings.deviceScaleFactor,
+    isMobile: settings.mobile,
+    hasTouch: settings.mobile,
+    // Sites serving mobile pages by user agent get the same page as Lighthouse's mobile emulation
+    userAgent: getDeviceUserAgent(settings),
+  };
+}
+
+/**
+ * Get the Chromium projects of the device matrix, one per device profile,
+ * named `<name>-<device>`. Without a matrix, a single project keeps the name
+ * and runs on the default device type.
+ * @param {Object} project - Playwright project the device projects are based on
+ * @param {Array<string>} [matrix] - Device profile names, see `AUDIT_DEVICES`
+ * @returns {Array<Object>} Playwright projects
+ */
+function getDeviceProjects(project, matrix = defaultDeviceMatrix) {
+  if (matrix.length === 0) {
+    return [{
+      ...project,
+      use: { ...project.use, ...getDeviceContextOptions(defaultDeviceType), auditDevice: defaultDeviceType },
+    }];
+  }
+  return matrix.map((device) => ({
+    ...project,
+    name: `${project.name}-${device}`,
+    use: { ...project.use, ...getDeviceContextOptions(device), auditDevice: device },
+  }));
+}
+
+/**
+ * Resolve the device an audit runs on: `config.device`, else the device of the
+ * test's project, else the default device type. `config.deviceSettings`
+ * overrides the settings of the profile.
+ * @param {Object} config - Audit configuration
+ * @param {import('@playwright/test').TestInfo} [testInfo] - Test info object
+ * @returns {Object} Audit configuration with the resolved `device` and `deviceSettings`
+ */
+function withAuditDevice(config = {}, testInfo = null) {
+  const device = config.device || testInfo?.project?.use?.auditDevice || defaultDeviceType;
+  return {
+    ...config,
+    device,
+    deviceSettings: { ...getDeviceSettings(device), ...config.deviceSettings },
+  };
+}
+
+module.exports = {
+  getDeviceSettings,
+  getDeviceUserAgent,
+  getDeviceContextOptions,
+  getDeviceProjects,
+  withAuditDevice,
+};
@@ -0,0 +1,45 @@
+const base = require('@playwright/test');
+const { defaultFlowVitalsSettings } = require('./config/audit-config');
+const { findFreePort, setLighthousePort } = require('./audits/lighthouse-pool');
+const { setContextHeaders } = require('./audits/lighthouse-session');
+const { installVitalsCollector } = require('./audits/vitals-collector');
+
+/**
+ * Playwright test with the audit fixtures. When Lighthouse is enabled, each
+ * worker launches Chromium with the debugging port on a free port, which
+ * `runLighthouseAudit` then connects to, so Lighthouse tests can run in
+ * parallel workers. Each page gets the in-flow vitals collector before its
+ * first navigation, and its context's extra HTTP headers are recorded for
+ * the Lighthouse session. The `auditDevice` option names the device profile
+ * of the project, see `getDeviceProjects`.
+ */
+const test = base.test.extend({
+  auditDevice: [null, { option: true }],
+
+  launchOptions: [async ({ launchOptions, browserName }, use) => {
+    if (process.env.ENABLE_LIGHTHOUSE !== 'true' || browserName !== 'chromium') {
+      await use(launchOptions);
+      return;
+    }
+
+    const port = await findFreePort();
+    setLighthousePort(port);
+    await use({
+      ...launchOptions,
+      args: [...(launchOptions.args || []), `--remote-debugging-port=${port}`],
+    });
+    setLighthousePort(null);
+  }, { scope: 'worker' }],
+
+  page: async ({ page, extraHTTPHeaders }, use) => {
+    setContextHeaders(page.context(), extraHTTPHeaders);
+    if (defaultFlowVitalsSettings.enabled) {
+      await installVitalsCollector(page);
+    }
+    await use(page);
+  },
+});
+
+module.exports = {
+  test,
+};
@@ -1,16 +1,76 @@
-const { runLighthouseAudit } = require("./audits/lighthouse-audit");
-const { runAccessibilityAudit } = require("./audits/axe-audit");
+const { expect } = require('@playwright/test');
+const { runLighthouseAudit } = require('./audits/lighthouse-audit');
+const {
+  startLighthouseFlow,
+  runLighthouseSnapshot,
+} = require('./audits/lighthouse-flow');
+const { withLighthouseSlot } = require('./audits/lighthouse-pool');
+const { registerAuthHook } = require('./audits/lighthouse-session');
+const {
+  runAccessibilityAudit,
+  resolveAxeSettings,
+} = require('./audits/axe-audit');
 const {
   generateConsolidatedReport,
-} = require("./reporting/consolidated-report");
-const auditCache = require("./audits/audit-cache");
+} = require('./reporting/consolidated-report');
+const auditCache = require('./audits/audit-cache');
+const { getBaselineFingerprint } = require('./audits/axe-baseline');
+const {
+  LOG_LEVELS,
+  resolveEnforcementPolicy,
+  evaluateEnforcement,
+  formatBreachMessage,
+} = require('./audits/enforcement');
+const {
+  resolveBudget,
+  evaluateBudget,
+} = require('./audits/performance-budget');
+const {
+  registerStateResolver,
+  resolvePageState,
+} = require('./audits/page-state');
+const { getBrowserCapabilities } = require('./audits/browser-capabilities');
+const { measurePerformance } = require('./audits/performance-api');
+const { collectFlowVitals } = require('./audits/vitals-collector');
+const {
+  discoverPages,
+  loadDiscoveredPages,
+} = require('./audits/page-discovery');
+const {
+  loadManifest,
+  validateManifest,
+  getManifestTests,
+  runManifestSteps,
+} = require('./audits/page-manifest');
+const { setLocationResolver } = require('./reporting/sarif-report');
+const { exportMetrics } = require('./reporting/metrics-exporter');
+const { attachAuditResult } = require('./reporting/audit-attachment');
 const {
   defaultDeviceSettings,
+  defaultDeviceMatrix,
   defaultThrottlingSettings,
+  defaultAggregationSettings,
+  defaultLighthouseOptions,
+  defaultDiscoverySettings,
+  defaultManifestSettings,
   reportPaths,
-} = require("./config/audit-config");
-const testState = require("./state");
-const { ensureDirectoryExists } = require("./utils/file-utils");
+} = require('./config/audit-config');
+const testState = require('./state');
+const { test } = require('./fixtures');
+const { ensureDirectoryExists } = require('./utils/file-utils');
+const { hashObject, hashString } = require('./utils/hash-utils');
+const { getUrlTemplate } = require('./utils/url-utils');
+const {
+  getDeviceSettings,
+  getDeviceContextOptions,
+  withAuditDevice,
+} = require('./config/device-profiles');
+const {
+  aggregate,
+  describe,
+  findOutliers,
+  round,
+} = require('./utils/statistics');
 
 const testResults = [];
 
@@ -19,7 +79,13 @@ const testResults = [];
  */
 function resetTestResults() {
   testState.reset();
-  auditCache.clear();
+
+  // Persisted cache entries are kept between runs unless a purge is requested
+  if (auditCache.settings.purge) {
+    auditCache.purge();
+  } else {
+    auditCache.clear();
+  }
 
   // Ensure report directories exist
   ensureDirectoryExists(reportPaths.consolidated);
@@ -36,159 +102,486 @@ function addTestResult(result) {
 }
 
 /**
- * Calculate average Lighthouse scores from multiple runs
+ * Aggregate one metric across runs and describe its spread
+ * @param {Array<number>} values - Values collected from the runs
+ * @param {Object} settings - Aggregation settings
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {Object|null} Aggregated value with its statistics, or null when there are no values
+ */
+function aggregateValues(values, settings, decimals = 2) {
+  if (values.length === 0) return null;
+  const stats = describe(values);
+  return {
+    value: round(aggregate(values, settings.aggregator, settings), decimals),
+    stdDev: round(stats.stdDev, decimals),
+    min: round(stats.min, decimals),
+    max: round(stats.max, decimals),
+    variation: round(stats.cv, 4),
+    samples: stats.samples,
+    unstable: stats.samples > 1 && stats.cv > settings.maxVariation,
+  };
+}
+
+/**
+ * Aggregate Lighthouse scores and vitals from multiple runs
  * @param {Array} runs - Array of Lighthouse results
- * @returns {Object} Averaged results
+ * @param {Object} settings - Aggregation settings, see `defaultAggregationSettings`
+ * @returns {Object} Aggregated results
  */
-function calculateAverageLighthouseScores(runs) {
-  if (!runs || runs.length === 0) return null;
+function aggregateLighthouseRuns(runs, settings = defaultAggregationSettings) {
+  // Ignore runs that failed to produce any score
+  const validRuns = (runs || []).filter(
+    (run) => run && run.metrics && Object.keys(run.metrics).length > 0,
+  );
+  if (validRuns.length === 0) return null;
 
-  const metrics = [
-    "performance",
-    "accessibility",
-    "bestPractices",
-    "seo",
-    "pwa",
-  ];
-  const totals = {};
-
-  // Initialize totals
-  metrics.forEach((metric) => (totals[metric] = 0));
-
-  // Sum up all scores
-  runs.forEach((run) => {
-    if (run && run.scores) {
-      metrics.forEach((metric) => {
-        if (typeof run.scores[metric] === "number") {
-          totals[metric] += run.scores[metric];
-        }
-      });
+  // Drop runs whose performance score is an outlier
+  const outlierIndexes = findOutliers(
+    validRuns.map((run) => run.metrics.performance ?? 0),
+    settings.outlierThreshold,
+  );
+  const keptRuns = validRuns.filter((_, index) => !outlierIndexes.includes(index));
+
+  // Aggregate category scores
+  const metrics = {};
+  const statistics = { metrics: {}, vitals: {} };
+  const metricKeys = new Set(keptRuns.flatMap((run) => Object.keys(run.metrics)));
+  metricKeys.forEach((key) => {
+    const values = keptRuns
+      .map((run) => run.metrics[key])
+      .filter((value) => typeof value === 'number');
+    const aggregated = aggregateValues(values, settings);
+    if (aggregated) {
+      metrics[key] = aggregated.value;
+      statistics.metrics[key] = aggregated;
     }
   });
 
-  // Calculate averages
-  const averages = {};
-  metrics.forEach((metric) => {
-    averages[metric] = Math.round((totals[metric] / runs.length) * 100) / 100;
+  // Aggregate Core Web Vitals and timing audits, keeping their units
+  const vitals = {};
+  const vitalKeys = new Set(keptRuns.flatMap((run) => Object.keys(run.vitals || {})));
+  vitalKeys.forEach((key) => {
+    const entries = keptRuns
+      .map((run) => run.vitals?.[key])
+      .filter((entry) => entry && typeof entry.value === 'number');
+    const aggregated = aggregateValues(entries.map((entry) => entry.value), settings, 4);
+    if (aggregated) {
+      vitals[key] = { value: aggregated.value, unit: entries[0].unit };
+      statistics.vitals[key] = aggregated;
+    }
   });
 
-  // Return averaged result with all the other properties from the last run
+  // Aggregate request counts and transfer sizes per resource type
+  const resources = {};
+  const resourceTypes = new Set(keptRuns.flatMap((run) => Object.keys(run.resources || {})));
+  resourceTypes.forEach((type) => {
+    const entries = keptRuns.map((run) => run.resources?.[type]).filter(Boolean);
+    const aggregateField = (field) => {
+      const values = entries.map((entry) => entry[field]);
+      return round(aggregate(values, settings.aggregator, settings), 0);
+    };
+    resources[type] = {
+      requestCount: aggregateField('requestCount'),
+      transferSize: aggregateField('transferSize'),
+    };
+  });
+
+  const unstableMetrics = [
+    ...Object.keys(statistics.metrics).filter((key) => statistics.metrics[key].unstable),
+    ...Object.keys(statistics.vitals).filter((key) => statistics.vitals[key].unstable),
+  ];
+
+  // Return aggregated result with all the other properties from the last run
   return {
-    ...runs[runs.length - 1],
-    scores: averages,
-    runs: runs.length,
+    ...keptRuns[keptRuns.length - 1],
+    metrics,
+    vitals,
+    resources,
+    statistics,
+    aggregator: settings.aggregator,
+    runs: keptRuns.length,
+    totalRuns: runs.length,
+    outlierRuns: outlierIndexes.length,
+    unstable: unstableMetrics.length > 0,
+    unstableMetrics,
   };
 }
 
 /**
- * Run combined accessibility and performance audit
+ * Get the Lighthouse mode of an audit: `navigation` reloads the URL, `snapshot`
+ * audits the page in its current state
+ * @param {Object} config - Audit configuration
+ * @returns {string} Lighthouse mode
+ */
+function getLighthouseMode(config = {}) {
+  return config.lighthouseMode || defaultLighthouseOptions.mode;
+}
+
+/**
+ * Fingerprint the parts of the audit config that change audit results
+ * @param {Object} config - Audit configuration
+ * @returns {string} Short hash of the config
+ */
+function getAuditFingerprint(config = {}) {
+  return hashObject({
+    axe: resolveAxeSettings(config.axe),
+    deviceSettings: { ...defaultDeviceSettings, ...config.deviceSettings },
+    throttlingSettings: {
+      ...defaultThrottlingSettings,
+      ...config.throttlingSettings,
+    },
+    thresholds: config.thresholds || null,
+    lighthouseMode: getLighthouseMode(config),
+    axeBaseline:
+      config.baseline === false
+        ? null
+        : getBaselineFingerprint(config.baseline?.path),
+  }).slice(0, 16);
+}
+
+/**
+ * Hash the content of the page that cache entries are invalidated on: its
+ * current DOM (`dom`), or the document the server responds with for its URL
+ * (`response`, fetched again with the cookies of the page's context)
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string|boolean} mode - Content hash mode, see `defaultCacheSettings`
+ * @returns {Promise<string|null>} Content hash, or null when disabled
+ */
+async function getContentHash(page, mode) {
+  if (mode === 'dom') {
+    return hashString(await page.content());
+  }
+  if (mode === 'response') {
+    const response = await page.request.get(page.url());
+    return hashString(await response.text());
+  }
+  return null;
+}
+
+/**
+ * Build the options used to look up and store audit results in the cache
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} config - Audit configuration
+ * @returns {Promise<Object>} Config fingerprint and page content hash
+ */
+async function getCacheOptions(page, config = {}) {
+  const cacheSettings = { ...auditCache.settings, ...config.cache };
+  return {
+    fingerprint: getAuditFingerprint(config),
+    contentHash: await getContentHash(page, cacheSettings.contentHash),
+  };
+}
+
+/**
+ * Resolve the URL, page state and cache options an audit is stored under, the
+ * URL template it is grouped by in reports (`config.urlTemplate`, or the
+ * template of the URL) and the device it runs on, see `withAuditDevice`
  * @param {import('playwright').Page} page - Playwright page object
- * @param {import('@playwright/test').TestInfo} testInfo - Test info object
  * @param {Object} config - Audit configuration
+ * @returns {Promise<{url: string, template: string, state: string, device: string,
+ *   deviceSettings: Object, cacheOptions: Object}>} Audit context
  */
-async function runCombinedAudit(page, testInfo, config = {}) {
+async function getAuditContext(page, config = {}) {
   const url = page.url();
-  const state = await getPageState(page);
-  const REQUIRED_LIGHTHOUSE_RUNS = 3;
+  const { templates } = defaultDiscoverySettings;
+  const { device, deviceSettings } = withAuditDevice(config);
+  return {
+    url,
+    template: config.urlTemplate || getUrlTemplate(url, templates),
+    state: await resolvePageState(page, config),
+    device,
+    deviceSettings,
+    cacheOptions: await getCacheOptions(page, config),
+  };
+}
 
-  let axeResults = null;
-  let lighthouseResults = null;
+/**
+ * Get Axe results for the page, from the cache when available
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} config - Audit configuration
+ * @param {Object} context - Audit context, see `getAuditContext`
+ * @returns {Promise<Object>} Axe results
+ */
+async function getAccessibilityResults(page, config, context) {
+  const { url, state, cacheOptions } = context;
 
-  // Handle Axe audit (can be cached as it's deterministic)
-  if (process.env.ENABLE_AXE === "true") {
-    if (auditCache.has(url, state)) {
-      const cachedResults = auditCache.get(url, state);
-      axeResults = cachedResults.axeResults;
-    } else {
-      axeResults = await runAccessibilityAudit(page, config);
-      auditCache.set(url, { axeResults }, state);
-    }
+  // Axe results can be cached as they're deterministic
+  const cachedResults = auditCache.get(url, state, cacheOptions);
+  if (cachedResults?.axeResults) {
+    return cachedResults.axeResults;
   }
 
-  // Handle Lighthouse audit (multiple runs)
-  if (process.env.ENABLE_LIGHTHOUSE === "true") {
-    if (
-      !auditCache.hasEnoughLighthouseRuns(url, state, REQUIRED_LIGHTHOUSE_RUNS)
-    ) {
-      // Run Lighthouse multiple times if we don't have enough runs
-      const remainingRuns =
-        REQUIRED_LIGHTHOUSE_RUNS -
-        auditCache.getLighthouseRuns(url, state).length;
-      for (let i = 0; i < remainingRuns; i++) {
-        const result = await runLighthouseAudit(page, config);
-        auditCache.addLighthouseRun(url, result, state);
-      }
-    }
+  const axeResults = await runAccessibilityAudit(page, config);
+  auditCache.set(url, { ...cachedResults, axeResults }, state, cacheOptions);
+  return axeResults;
+}
 
-    // Calculate average scores from all runs
-    const allRuns = auditCache.getLighthouseRuns(url, state);
-    lighthouseResults = calculateAverageLighthouseScores(allRuns);
+/**
+ * Get aggregated Lighthouse results for the page, running only the runs missing from the cache
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} config - Audit configuration
+ * @param {Object} context - Audit context, see `getAuditContext`
+ * @returns {Promise<Object>} Aggregated Lighthouse results
+ */
+async function getLighthouseResults(page, config, context) {
+  const { url, state, cacheOptions } = context;
+  const aggregationSettings = {
+    ...defaultAggregationSettings,
+    ...config.aggregation,
+  };
+  // Snapshots don't vary between runs, a single one is enough
+  const snapshot = getLighthouseMode(config) === 'snapshot';
+  const requiredRuns = snapshot ? 1 : aggregationSettings.runs;
+  const runAudit = snapshot ? runLighthouseSnapshot : runLighthouseAudit;
+
+  if (
+    !auditCache.hasEnoughLighthouseRuns(url, state, requiredRuns, cacheOptions)
+  ) {
+    // Run Lighthouse multiple times if we don't have enough runs, one after the other
+    const remainingRuns = requiredRuns - auditCache.getLighthouseRuns(url, state, cacheOptions).length;
+    await Array.from({ length: remainingRuns }).reduce((previous) => previous.then(async () => {
+      const result = await runAudit(page, config);
+      auditCache.addLighthouseRun(url, result, state, cacheOptions);
+    }), Promise.resolve());
   }
 
-  // Create the result object
-  const result = {
+  // Aggregate scores from the most recent runs
+  const allRuns = auditCache
+    .getLighthouseRuns(url, state, cacheOptions)
+    .slice(-requiredRuns);
+  const lighthouseResults = aggregateLighthouseRuns(allRuns, aggregationSettings);
+
+  // Budgets are evaluated on every call, so editing them needs no new runs
+  if (lighthouseResults) {
+    lighthouseResults.budget = evaluateBudget(
+      lighthouseResults,
+      resolveBudget(url, config),
+    );
+  }
+  return lighthouseResults;
+}
+
+/**
+ * Get the performance results for the page: aggregated Lighthouse results on
+ * Chromium, and Performance API measurements (not cached) on the other engines
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} config - Audit configuration
+ * @param {Object} context - Audit context, see `getAuditContext`
+ * @returns {Promise<Object>} Performance results, with the engine and method they come from in `source`
+ */
+async function getPerformanceResults(page, config, context) {
+  const capabilities = getBrowserCapabilities(page);
+  if (capabilities.lighthouse) {
+    return getLighthouseResults(page, config, context);
+  }
+
+  console.log(`Lighthouse is not supported on ${capabilities.engine}, measuring with the Performance API`);
+  const performanceResults = await measurePerformance(page, capabilities.engine);
+  performanceResults.budget = evaluateBudget(
+    performanceResults,
+    resolveBudget(context.url, config),
+  );
+  return performanceResults;
+}
+
+/**
+ * Create the result object recorded for a test
+ * @param {import('@playwright/test').TestInfo} testInfo - Test info object
+ * @param {Object} context - Audit context, see `getAuditContext`
+ * @param {Object} results - `axeResults`, `lighthouseResults`, `flowVitals` and `lighthouseFlow`
+ * @returns {Object} Test result
+ */
+function createTestResult(testInfo, context, results) {
+  const { url, state, cacheOptions } = context;
+  return {
     testFile: testInfo.file,
     testName: testInfo.title || `Test for ${url}`,
     url,
-    lighthouseResults,
-    axeResults,
+    template: context.template,
+    state,
+    device: context.device,
+    deviceSettings: context.deviceSettings,
+    lighthouseResults: results.lighthouseResults || null,
+    axeResults: results.axeResults || null,
+    flowVitals: results.flowVitals || null,
+    lighthouseFlow: results.lighthouseFlow || null,
+    cache: cacheOptions,
     testInfo: {
       title: testInfo.title || `Test for ${url}`,
       url,
       project: testInfo.project,
     },
   };
+}
 
-  // Add to test results
-  testState.addResult(result);
+/**
+ * Evaluate a test result against the enforcement policy of its audit, and
+ * record the log level and breaches in the result
+ * @param {Object} result - Test result, see `createTestResult`
+ * @param {Object} config - Audit configuration
+ * @returns {{policy: Object, evaluation: Object}} Policy and evaluation
+ */
+function applyEnforcement(result, config = {}) {
+  const policy = resolveEnforcementPolicy(config);
+  const evaluation = evaluateEnforcement(result, policy);
+  result.logLevel = evaluation.logLevel;
+  result.breaches = evaluation.breaches;
+  result.axeBreachSeverity = evaluation.axeSeverity;
+  result.enforcement = policy;
+  const { lighthouseResults } = result;
+  if (lighthouseResults) {
+    lighthouseResults.thresholdBreachSeverity = evaluation.lighthouseSeverity;
+  }
+  return { policy, evaluation };
+}
 
-  return result;
+/**
+ * Run a Lighthouse user flow of the page in its current state, and record it
+ * with the results of the test. The steps receive the flow, whose
+ * `snapshot(name)` audits the page as it is and `timespan(name, steps)` audits
+ * the interactions run by `steps`. Skipped on engines without Lighthouse.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {import('@playwright/test').TestInfo} testInfo - Test info object
+ * @param {string} name - Flow name
+ * @param {function(Object): Promise<void>} steps - Flow steps
+ * @param {Object} options - Audit configuration
+ * @returns {Promise<Object|null>} Flow results, or null when skipped
+ */
+async function runAuditFlow(page, testInfo, name, steps, options = {}) {
+  const config = withAuditDevice(options, testInfo);
+  const capabilities = getBrowserCapabilities(page);
+  if (!capabilities.lighthouse) {
+    console.log(`Lighthouse is not supported on ${capabilities.engine}, skipping the "${name}" flow`);
+    await steps({ snapshot: async () => {}, timespan: async (stepName, run) => run() });
+    return null;
+  }
+
+  const context = await getAuditContext(page, config);
+  const lighthouseFlow = await withLighthouseSlot(async () => {
+    const flow = await startLighthouseFlow(page, { ...config, name });
+    try {
+      await steps(flow);
+    } catch (error) {
+      await flow.disconnect();
+      throw error;
+    }
+    return flow.end();
+  });
+
+  const result = testState.mergeResult(
+    createTestResult(testInfo, context, { lighthouseFlow }),
+  );
+  await attachAuditResult(testInfo, result);
+  return lighthouseFlow;
 }
 
 /**
- * Determine the current state of the page
+ * Run combined accessibility and performance audit
  * @param {import('playwright').Page} page - Playwright page object
- * @returns {Promise<string>} State identifier
+ * @param {import('@playwright/test').TestInfo} testInfo - Test info object
+ * @param {Object} options - Audit configuration
  */
-async function getPageState(page) {
-  const states = {
-    empty: async () => {
-      const items = await page.$$(".todo-list li");
-      return items.length === 0;
-    },
-    completed: async () => {
-      const completedItems = await page.$$(".todo-list li.completed");
-      const totalItems = await page.$$(".todo-list li");
-      return (
-        completedItems.length > 0 && completedItems.length === totalItems.length
-      );
-    },
-    mixed: async () => {
-      const completedItems = await page.$$(".todo-list li.completed");
-      const totalItems = await page.$$(".todo-list li");
-      return (
-        completedItems.length > 0 && completedItems.length < totalItems.length
-      );
-    },
-  };
+async function runCombinedAudit(page, testInfo, options = {}) {
+  // Audit on the device of the test's project
+  const config = withAuditDevice(options, testInfo);
+  const context = await getAuditContext(page, config);
+  const { url } = context;
+
+  let axeResults = null;
+  let lighthouseResults = null;
+
+  // Read the vitals recorded while the test drove the page, before other audits load it
+  const flowVitals = await collectFlowVitals(page);
+
+  // Handle Axe audit
+  if (process.env.ENABLE_AXE === 'true') {
+    axeResults = await getAccessibilityResults(page, config, context);
+  }
+
+  // Handle Lighthouse audit (multiple runs), or its fallback on other engines
+  if (process.env.ENABLE_LIGHTHOUSE === 'true') {
+    lighthouseResults = await getPerformanceResults(page, config, context);
+  }
+
+  // Create the result object
+  const result = createTestResult(testInfo, context, {
+    axeResults,
+    lighthouseResults,
+    flowVitals,
+  });
+
+  // Evaluate the results against the enforcement policy
+  const { policy, evaluation } = applyEnforcement(result, config);
 
-  // Check each state in order
-  if (await states.empty()) return "empty";
-  if (await states.completed()) return "completed";
-  if (await states.mixed()) return "mixed";
-  return "with-items"; // Default state when there are only active items
+  // Add to test results, and attach them for the audit reporter
+  testState.addResult(result);
+  await attachAuditResult(testInfo, result);
+
+  // Warnings annotate the test, errors fail it when enforcement is enabled
+  const errors = evaluation.breaches.filter(
+    (breach) => breach.severity === LOG_LEVELS.ERROR,
+  );
+  evaluation.breaches
+    .filter((breach) => !policy.enabled || breach.severity === LOG_LEVELS.WARN)
+    .forEach((breach) => {
+      testInfo.annotations?.push({
+        type: breach.severity === LOG_LEVELS.ERROR ? 'error' : 'warning',
+        description: breach.message,
+      });
+    });
+  if (policy.enabled && errors.length > 0) {
+    expect(errors.length, formatBreachMessage(url, errors)).toBe(0);
+  }
+
+  return result;
 }
 
 module.exports = {
+  test,
   runCombinedAudit,
+  runAuditFlow,
+  getAuditContext,
+  getAccessibilityResults,
+  getLighthouseResults,
+  getPerformanceResults,
+  createTestResult,
+  applyEnforcement,
   runLighthouseAudit,
   runAccessibilityAudit,
   resetTestResults,
   addTestResult,
   testResults,
   defaultDeviceSettings,
+  defaultDeviceMatrix,
+  getDeviceSettings,
+  getDeviceContextOptions,
+  withAuditDevice,
   defaultThrottlingSettings,
+  defaultAggregationSettings,
+  defaultDiscoverySettings,
+  defaultManifestSettings,
   reportPaths,
+  discoverPages,
+  loadDiscoveredPages,
+  loadManifest,
+  validateManifest,
+  getManifestTests,
+  runManifestSteps,
+  aggregateLighthouseRuns,
+  getAuditFingerprint,
+  getContentHash,
+  auditCache,
+  registerStateResolver,
+  resolvePageState,
+  registerAuthHook,
+  setLocationResolver,
   generateConsolidatedReport,
+  exportMetrics,
   testState,
 };
+
+// The matchers use the helpers exported above, so they are required once these are exported
+const { expect: auditExpect, auditMatchers } = require('./matchers');
+
+module.exports.expect = auditExpect;
+module.exports.auditMatchers = auditMatchers;
@@ -0,0 +1,171 @@
+const { expect: baseExpect, test } = require('@playwright/test');
+const {
+  getAuditContext,
+  getAccessibilityResults,
+  getPerformanceResults,
+  createTestResult,
+} = require('./index');
+const testState = require('./state');
+const { defaultAxeSettings, lighthouseMetricAliases } = require('./config/audit-config');
+const { withAuditDevice } = require('./config/device-profiles');
+const { LOG_LEVELS, getHighestLevel } = require('./audits/enforcement');
+const { formatTarget } = require('./audits/axe-baseline');
+const { formatBudgetValue } = require('./audits/performance-budget');
+const { attachAuditResult } = require('./reporting/audit-attachment');
+
+// Number of violating nodes listed per rule in failure messages
+const MAX_NODES_IN_MESSAGE = 5;
+
+/**
+ * Records the results of a matcher in the test state and attaches them to the
+ * test, so the consolidated report shows the same failures as the assertion
+ * @param {Object} context - Audit context, see `getAuditContext`
+ * @param {Object} results - `axeResults` or `lighthouseResults`
+ * @param {string} source - Audit the failures come from ('axe' or 'lighthouse')
+ * @param {Array<string>} failures - Failure messages
+ * @returns {Promise<void>}
+ */
+async function recordMatcherResult(context, results, source, failures) {
+  const testInfo = test.info();
+  const recorded = testState.mergeResult(createTestResult(testInfo, context, results));
+  const breaches = failures.map((message) => ({
+    source,
+    severity: LOG_LEVELS.ERROR,
+    message,
+  }));
+
+  recorded.breaches = [
+    ...(recorded.breaches || []).filter((breach) => breach.source !== source),
+    ...breaches,
+  ];
+  recorded.logLevel = getHighestLevel(recorded.breaches);
+  await attachAuditResult(testInfo, recorded);
+}
+
+/**
+ * Describes an axe violation and the nodes it was found on
+ * @param {Object} violation - Axe violation
+ * @returns {string} Violation description
+ */
+function describeViolation(violation) {
+  const nodes = violation.nodes.slice(0, MAX_NODES_IN_MESSAGE).map((node) => `      ${formatTarget(node.target)}`);
+  const more = violation.nodes.length - MAX_NODES_IN_MESSAGE;
+  return [
+    `  - ${violation.id} (${violation.impact}): ${violation.help}`,
+    ...nodes,
+    ...(more > 0 ? [`      ... and ${more} more`] : []),
+  ].join('\n');
+}
+
+/**
+ * Audit matchers, to extend another `expect` with
+ */
+const auditMatchers = {
+  /**
+   * Asserts that the page has no (non-baselined) axe violations
+   * @param {import('playwright').Page} page - Playwright page object
+   * @param {Object} options - `impact` and `rules` to check, `exclude` selectors, and any audit config
+   */
+  async toHaveNoAxeViolations(page, options = {}) {
+    const {
+      impact,
+      rules,
+      exclude,
+      ...config
+    } = options;
+    const axeConfig = exclude
+      ? {
+        ...config,
+        axe: {
+          ...config.axe,
+          exclude: [...(config.axe?.exclude || defaultAxeSettings.exclude), ...[].concat(exclude)],
+        },
+      }
+      : config;
+    const auditConfig = withAuditDevice(axeConfig, test.info());
+
+    const context = await getAuditContext(page, auditConfig);
+    const axeResults = await getAccessibilityResults(page, auditConfig, context);
+
+    const impacts = impact && [].concat(impact);
+    const ruleIds = rules && [].concat(rules);
+    const violations = axeResults.violations
+      .filter((violation) => !impacts || impacts.includes(violation.impact))
+      .filter((violation) => !ruleIds || ruleIds.includes(violation.id));
+    const pass = violations.length === 0;
+
+    if (!this.isNot) {
+      await recordMatcherResult(context, { axeResults }, 'axe', violations.map(describeViolation));
+    }
+
+    const hint = this.utils.matcherHint('toHaveNoAxeViolations', 'page', 'options', { isNot: this.isNot });
+    return {
+      name: 'toHaveNoAxeViolations',
+      pass,
+      expected: 0,
+      actual: violations.length,
+      message: () => (pass
+        ? `${hint}\n\nExpected accessibility violations on ${context.url}, found none`
+        : `${hint}\n\nFound ${violations.length} accessibility violation(s) on ${context.url}:\n`
+          + `${violations.map(describeViolation).join('\n')}`),
+    };
+  },
+
+  /**
+   * Asserts that the page meets a Lighthouse budget. Category keys are minimum
+   * scores, other keys (e.g. `lcp`, `cls`, `tbt`) are maximum audit values.
+   * On engines without Lighthouse, audit values are measured with the Performance API.
+   * @param {import('playwright').Page} page - Playwright page object
+   * @param {Object} budget - Limits keyed by category, audit id or alias
+   * @param {Object} options - Audit configuration
+   */
+  async toMeetLighthouseBudget(page, budget = {}, options = {}) {
+    const config = withAuditDevice(options, test.info());
+    const context = await getAuditContext(page, config);
+    const lighthouseResults = await getPerformanceResults(page, config, context);
+    const metrics = lighthouseResults?.metrics || {};
+    const vitals = lighthouseResults?.vitals || {};
+
+    const failures = Object.entries(budget).reduce((acc, [key, limit]) => {
+      if (key in metrics) {
+        if (metrics[key] < limit) acc.push(`  - ${key}: score ${metrics[key]} is below ${limit}`);
+        return acc;
+      }
+
+      const id = lighthouseMetricAliases[key] || key;
+      const vital = vitals[id];
+      if (!vital && lighthouseResults?.unsupported?.includes(id)) {
+        acc.push(`  - ${key}: not measurable on ${lighthouseResults.source.engine}`);
+      } else if (!vital) {
+        acc.push(`  - ${key}: not measured`);
+      } else if (vital.value > limit) {
+        const format = (value) => formatBudgetValue(value, vital.unit);
+        acc.push(`  - ${key}: ${format(vital.value)} exceeds ${format(limit)}`);
+      }
+      return acc;
+    }, []);
+    const pass = failures.length === 0;
+
+    if (!this.isNot) {
+      await recordMatcherResult(context, { lighthouseResults }, 'lighthouse', failures);
+    }
+
+    const hint = this.utils.matcherHint('toMeetLighthouseBudget', 'page', 'budget', { isNot: this.isNot });
+    return {
+      name: 'toMeetLighthouseBudget',
+      pass,
+      expected: budget,
+      actual: { ...metrics, ...Object.fromEntries(Object.entries(vitals).map(([id, vital]) => [id, vital.value])) },
+      message: () => (pass
+        ? `${hint}\n\nExpected ${context.url} to exceed the Lighthouse budget, but it was met`
+        : `${hint}\n\nLighthouse budget of ${context.url} not met:\n${failures.join('\n')}`),
+    };
+  },
+};
+
+const expect = baseExpect.extend(auditMatchers);
+
+module.exports = {
+  auditMatchers,
+  expect,
+};
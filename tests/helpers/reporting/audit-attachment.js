@@ -0,0 +1,56 @@
+/**
+ * Test attachments carrying the audit results from the workers to the audit
+ * reporter, which builds the consolidated report of the whole run.
+ */
+
+const AUDIT_RESULT_ATTACHMENT = 'audit-result';
+
+/**
+ * Attaches a test result to the running test. The project is left out, the
+ * reporter restores it from the test case.
+ * @param {import('@playwright/test').TestInfo} testInfo - Test info object
+ * @param {Object} result - Test result
+ * @returns {Promise<void>}
+ */
+async function attachAuditResult(testInfo, result) {
+  const { project, ...info } = result.testInfo || {};
+  await testInfo.attach(AUDIT_RESULT_ATTACHMENT, {
+    body: JSON.stringify({ ...result, testInfo: info }),
+    contentType: 'application/json',
+  });
+}
+
+/**
+ * Reads the test results attached to a test attempt. A matcher attaches its
+ * result again after each assertion, so later attachments of the same URL,
+ * page state and device are merged into the earlier ones.
+ * @param {import('@playwright/test/reporter').TestResult} testResult - Test attempt
+ * @returns {Array} Test results
+ */
+function readAuditResults(testResult) {
+  return testResult.attachments
+    .filter((attachment) => attachment.name === AUDIT_RESULT_ATTACHMENT && attachment.body)
+    .map((attachment) => JSON.parse(attachment.body.toString('utf8')))
+    .reduce((acc, result) => {
+      const existing = acc.find((r) => r.url === result.url
+        && r.state === result.state
+        && r.device === result.device);
+      if (!existing) {
+        acc.push(result);
+        return acc;
+      }
+
+      Object.entries(result).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+          existing[key] = value;
+        }
+      });
+      return acc;
+    }, []);
+}
+
+module.exports = {
+  AUDIT_RESULT_ATTACHMENT,
+  attachAuditResult,
+  readAuditResults,
+};
@@ -0,0 +1,83 @@
+const testState = require('../state');
+const auditCache = require('../audits/audit-cache');
+const { resetTestResults, generateConsolidatedReport } = require('./consolidated-report');
+const { exportMetrics } = require('./metrics-exporter');
+const { readAuditResults } = require('./audit-attachment');
+
+/**
+ * Playwright reporter building one consolidated report for the whole run, from
+ * the audit results attached by the tests of every worker, project and spec file.
+ * Only the last attempt of a retried test is reported.
+ * @implements {import('@playwright/test/reporter').Reporter}
+ */
+class AuditReporter {
+  constructor() {
+    this.testOrder = new Map();
+    this.attempts = new Map();
+    // The console output is left to the other reporters
+    this.printsOutput = false;
+  }
+
+  /**
+   * Starts a new report and records the order of the tests. A purge of the
+   * persisted audit cache is done here, once before the workers start, as
+   * workers purging it would delete the entries other workers are writing.
+   * @param {import('@playwright/test/reporter').FullConfig} config - Playwright config
+   * @param {import('@playwright/test/reporter').Suite} suite - Root suite
+   */
+  onBegin(config, suite) {
+    resetTestResults();
+    if (auditCache.settings.purge) {
+      auditCache.purge();
+    }
+    suite.allTests().forEach((test, index) => this.testOrder.set(test.id, index));
+  }
+
+  /**
+   * Collects the audit results attached to a test attempt
+   * @param {import('@playwright/test/reporter').TestCase} test - Test case
+   * @param {import('@playwright/test/reporter').TestResult} result - Test attempt
+   */
+  onTestEnd(test, result) {
+    const previous = this.attempts.get(test.id);
+    if (previous && previous.retry > result.retry) return;
+
+    const project = test.parent.project();
+    const results = readAuditResults(result).map((auditResult) => ({
+      ...auditResult,
+      testInfo: { ...auditResult.testInfo, project },
+    }));
+    this.attempts.set(test.id, { retry: result.retry, results });
+  }
+
+  /**
+   * Writes the consolidated report and exports its metrics
+   * @returns {Promise<void>}
+   */
+  async onEnd() {
+    const results = [...this.attempts.entries()]
+      .sort(([a], [b]) => (this.testOrder.get(a) ?? Infinity) - (this.testOrder.get(b) ?? Infinity))
+      .flatMap(([, attempt]) => attempt.results);
+    if (results.length === 0) {
+      console.log('No audit results were attached, skipping the consolidated report');
+      return;
+    }
+
+    testState.reset();
+    results.forEach((result) => testState.addResult(result));
+    const reportFiles = generateConsolidatedReport();
+
+    // Send the report metrics when exporters are configured
+    await exportMetrics(reportFiles.json);
+  }
+
+  /**
+   * Tells Playwright whether the reporter prints the test output
+   * @returns {boolean} False, the console output is left to the other reporters
+   */
+  printsToStdio() {
+    return this.printsOutput;
+  }
+}
+
+module.exports = AuditReporter;
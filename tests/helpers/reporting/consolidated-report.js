@@ -1,177 +1,561 @@
 const fs = require('fs');
 const path = require('path');
 const { getFormattedTimestamp, formatDisplayDate, ensureDirectoryExists } = require('../utils/file-utils');
-const { reportPaths } = require('../config/audit-config');
+const { escapeHtml } = require('../utils/html-utils');
+const {
+  reportPaths,
+  lighthouseMetricAudits,
+  defaultEnforcementPolicy,
+  defaultHistorySettings,
+} = require('../config/audit-config');
+const { LOG_LEVELS } = require('../audits/enforcement');
+const { getPerformanceSource } = require('../audits/browser-capabilities');
+const {
+  createHistoryRecords,
+  loadHistory,
+  saveHistory,
+  compareWithHistory,
+  trackedMetrics,
+} = require('./history');
+const { createJunitReport } = require('./junit-report');
+const { createSarifLog } = require('./sarif-report');
+const { createOpenMetrics } = require('./prometheus-exporter');
+const { round } = require('../utils/statistics');
+const { getUrlTemplate } = require('../utils/url-utils');
 const testState = require('../state');
 
-// Log level constants
-const LOG_LEVELS = {
-  ERROR: 'error',
-  WARN: 'warn',
-  INFO: 'info'
+const UNSTABLE_BADGE = '<span class="unstable-badge">Unstable</span>';
+const REGRESSION_BADGE = '<span class="regression-badge">Regressed</span>';
+
+// Metrics shown as trend sparklines for each page
+const SPARKLINE_METRICS = [
+  'scores.performance',
+  'scores.accessibility',
+  'vitals.largest-contentful-paint',
+  'vitals.cumulative-layout-shift',
+  'vitals.total-blocking-time',
+  'violations.total',
+];
+
+// Description of the methods performance results are measured with
+const SOURCE_METHODS = {
+  lighthouse: 'Lighthouse',
+  'performance-api': 'the Performance API (no Lighthouse scores)',
 };
 
 let executionTimestamp = null;
 
 /**
- * Resets test results and cleans up old reports
+ * Formats a Lighthouse audit value for display using its unit
+ * @param {{value: number, unit: string}} vital - Audit value and unit
+ * @returns {string} Human readable value
  */
-function resetTestResults() {
-  executionTimestamp = getFormattedTimestamp();
-  ensureDirectoryExists(reportPaths.consolidated);
+function formatVitalValue({ value, unit }) {
+  switch (unit) {
+    case 'millisecond':
+      return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+    case 'byte':
+      return `${Math.round(value / 1024)} KiB`;
+    case 'element':
+      return `${Math.round(value)}`;
+    default:
+      return `${Math.round(value * 1000) / 1000}`;
+  }
 }
 
 /**
- * Generates a consolidated report from all test results
- * @returns {Object} Report paths
+ * Gets the averaged value of a Lighthouse audit for a test result
+ * @param {Object} result - Test result
+ * @param {string} auditId - Lighthouse audit id
+ * @returns {number} Audit value, or 0 when it was not measured
  */
-function generateConsolidatedReport() {
-  if (!executionTimestamp) {
-    executionTimestamp = getFormattedTimestamp();
-  }
+function getVitalValue(result, auditId) {
+  return result.lighthouseResults?.vitals?.[auditId]?.value || 0;
+}
 
-  const testResults = testState.getResults();
-  console.log(`Generating consolidated report with ${testResults.length} results from state`);
+/**
+ * Averages each Lighthouse audit value across all test results
+ * @param {Array} results - Test results
+ * @returns {Object} Average value and unit keyed by audit id
+ */
+function calculateAverageVitals(results) {
+  return Object.keys(lighthouseMetricAudits).reduce((acc, id) => {
+    const entries = results
+      .map((r) => r.lighthouseResults?.vitals?.[id])
+      .filter((entry) => entry && typeof entry.value === 'number');
+    if (entries.length > 0) {
+      const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+      acc[id] = {
+        value: Math.round((total / entries.length) * 10000) / 10000,
+        unit: entries[0].unit,
+      };
+    }
+    return acc;
+  }, {});
+}
 
-  // Ensure the consolidated reports directory exists
-  ensureDirectoryExists(reportPaths.consolidated);
+/**
+ * Sums an accessibility metric across all test results
+ * @param {Array} results - Test results
+ * @param {string} key - Metric key
+ * @returns {number} Sum of the metric
+ */
+function sumAxeMetric(results, key) {
+  return results.reduce((acc, r) => acc + (r.axeResults?.metrics?.[key] || 0), 0);
+}
 
-  const htmlReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.html`);
-  const jsonReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.json`);
+/**
+ * Gets the CSS class for a score
+ * @param {number} score - Performance score
+ * @param {number} threshold - Score threshold
+ * @returns {string} CSS class name
+ */
+function getScoreClass(score, threshold) {
+  if (score >= threshold) return 'good';
+  if (score >= threshold * 0.95) return 'average';
+  return 'poor';
+}
 
-  // Generate and save HTML report
-  const htmlReport = createConsolidatedHtmlReport(executionTimestamp, testResults);
-  fs.writeFileSync(htmlReportPath, htmlReport);
+/**
+ * Formats the warn and error levels of a category
+ * @param {{warn?: number, error?: number}} levels - Warn and error levels
+ * @returns {string} Levels for display
+ */
+function formatLevels(levels) {
+  return [
+    typeof levels.warn === 'number' ? `Warn: ${levels.warn}%` : null,
+    typeof levels.error === 'number' ? `Error: ${levels.error}%` : null,
+  ].filter(Boolean).join(' / ');
+}
 
-  // Get thresholds from the first result
-  const thresholds = testResults[0]?.lighthouseResults?.thresholds || {};
+/**
+ * Gets the CSS class for a score given its warn and error levels
+ * @param {number} score - Category score
+ * @param {{warn?: number, error?: number}} levels - Warn and error levels
+ * @returns {string} CSS class name
+ */
+function getLevelClass(score, levels = {}) {
+  if (typeof levels.error === 'number' && score < levels.error) return 'poor';
+  if (typeof levels.warn === 'number' && score < levels.warn) return 'average';
+  return 'good';
+}
 
-  // Generate and save JSON report
-  const jsonReport = {
-    timestamp: executionTimestamp,
-    displayDate: formatDisplayDate(executionTimestamp),
-    totalTests: testResults.length,
-    thresholds,
-    summary: {
-      totalAccessibilityViolations: testResults.reduce((acc, r) => acc + (r.axeResults?.metrics?.total_violations || 0), 0),
-      averageMetrics: Object.fromEntries(
-        Object.entries(thresholds).map(([key, threshold]) => [
-          key,
-          {
-            score: Math.round(testResults.reduce((acc, r) => acc + (r.lighthouseResults?.metrics?.[key] || 0), 0) / testResults.length),
-            threshold: threshold,
-            thresholdBreached: Math.round(testResults.reduce((acc, r) => acc + (r.lighthouseResults?.metrics?.[key] || 0), 0) / testResults.length) < threshold
-          }
-        ])
-      )
-    },
-    // Datadog-friendly metrics
-    metrics: testResults.map(result => ({
-      timestamp: executionTimestamp,
-      test_name: result.testName,
-      url_path: new URL(result.url).pathname,
-      // Performance scores and thresholds
-      perf_threshold: thresholds.performance || 80,
-      perf_score: result.lighthouseResults?.metrics?.performance || 0,
-      a11y_threshold: thresholds.accessibility || 90,
-      a11y_score: result.lighthouseResults?.metrics?.accessibility || 0,
-      bp_threshold: thresholds['best-practices'] || 90,
-      bp_score: result.lighthouseResults?.metrics?.['best-practices'] || 0,
-      seo_threshold: thresholds.seo || 90,
-      seo_score: result.lighthouseResults?.metrics?.seo || 0,
-      // Core Web Vitals
-      vital_lcp: result.lighthouseResults?.metrics?.['largest-contentful-paint'] || 0,
-      vital_fid: result.lighthouseResults?.metrics?.['max-potential-fid'] || 0,
-      vital_cls: result.lighthouseResults?.metrics?.['cumulative-layout-shift'] || 0,
-      // Additional performance metrics
-      metric_fcp: result.lighthouseResults?.metrics?.['first-contentful-paint'] || 0,
-      metric_si: result.lighthouseResults?.metrics?.['speed-index'] || 0,
-      metric_tbt: result.lighthouseResults?.metrics?.['total-blocking-time'] || 0,
-      metric_tti: result.lighthouseResults?.metrics?.['interactive'] || 0,
-      metric_ttfb: result.lighthouseResults?.metrics?.['server-response-time'] || 0,
-      // Network metrics
-      network_rtt: result.lighthouseResults?.metrics?.['network-rtt'] || 0,
-      network_latency: result.lighthouseResults?.metrics?.['network-server-latency'] || 0,
-      // Resource metrics
-      resource_bytes: result.lighthouseResults?.metrics?.['total-byte-weight'] || 0,
-      resource_dom_nodes: result.lighthouseResults?.metrics?.['dom-size'] || 0,
-      // Test metadata
-      device_type: result.testInfo.project?.name || 'unknown',
-      viewport_width: result.lighthouseResults?.deviceSettings?.width || 0,
-      viewport_height: result.lighthouseResults?.deviceSettings?.height || 0,
-      is_mobile: result.lighthouseResults?.deviceSettings?.mobile || false,
-      environment: process.env.CI ? 'ci' : 'local'
-    })),
-    // Keep original results for backward compatibility
-    results: testResults
-  };
-  fs.writeFileSync(jsonReportPath, JSON.stringify(jsonReport, null, 2));
+/**
+ * Generates an inline SVG sparkline, the last value being the current run
+ * @param {Array<number>} values - Values, oldest first
+ * @param {{width: number, height: number}} size - Size of the sparkline in pixels
+ * @returns {string} SVG markup
+ */
+function generateSparkline(values, { width = 120, height = 30 } = {}) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const padding = 3;
+  const points = values.map((value, i) => [
+    padding + (i / (values.length - 1)) * (width - 2 * padding),
+    height - padding - ((value - min) / range) * (height - 2 * padding),
+  ]);
+  const [lastX, lastY] = points[points.length - 1];
 
-  return {
-    html: htmlReportPath,
-    json: jsonReportPath
+  return `
+    <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <title>${values.map((value) => round(value, 4)).join(', ')}</title>
+      <polyline points="${points.map(([x, y]) => `${round(x, 1)},${round(y, 1)}`).join(' ')}" />
+      <circle cx="${round(lastX, 1)}" cy="${round(lastY, 1)}" r="2.5" />
+    </svg>
+  `;
+}
+
+/**
+ * Generates the line describing how Lighthouse runs were aggregated
+ * @param {Object} lighthouseResults - Aggregated Lighthouse results
+ * @returns {string} HTML content for the aggregation summary
+ */
+function generateAggregationSummary(lighthouseResults) {
+  if (!lighthouseResults.aggregator) return '';
+
+  const outliers = lighthouseResults.outlierRuns
+    ? `, ${lighthouseResults.outlierRuns} outlier run(s) dropped`
+    : '';
+  const unstable = lighthouseResults.unstable
+    ? `<br><strong>Unstable metrics:</strong> ${lighthouseResults.unstableMetrics.join(', ')}`
+    : '';
+  return `
+    <p class="aggregation">
+      ${lighthouseResults.aggregator} of ${lighthouseResults.runs} run(s)${outliers}${unstable}
+    </p>
+  `;
+}
+
+/**
+ * Generates the list of enforcement breaches for a test
+ * @param {Array} breaches - Breaches of the warn and error levels
+ * @returns {string} HTML content for the breaches
+ */
+function generateBreachesSection(breaches = []) {
+  if (breaches.length === 0) return '';
+
+  return `
+    <ul class="breaches">
+      ${breaches.map((breach) => `<li class="breach ${breach.severity}">${escapeHtml(breach.message)}</li>`).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Generates the list of regressions of a page against its earlier runs
+ * @param {Array} regressions - Regressions found by `compareWithHistory`
+ * @returns {string} HTML content for the regressions
+ */
+function generateRegressionsSection(regressions = []) {
+  if (regressions.length === 0) return '';
+
+  return `
+    <ul class="regressions">
+      ${regressions.map((regression) => {
+    const percent = regression.changePercent === null ? '' : ` (${regression.changePercent}%)`;
+    return `
+        <li class="regression">
+          <strong>${regression.label}</strong> regressed from ${regression.baseline} to ${regression.current}${percent}
+        </li>
+      `;
+  }).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Generates the trend sparklines of a page
+ * @param {Object} comparison - Comparison with the earlier runs of the page
+ * @returns {string} HTML content for the trends section
+ */
+function generateTrendsSection(comparison) {
+  const metrics = trackedMetrics.filter((metric) => SPARKLINE_METRICS.includes(metric.key)
+    && comparison.trends[metric.key]?.length > 1);
+  if (metrics.length === 0) return '';
+
+  const regressed = new Set(comparison.regressions.map((regression) => regression.metric));
+  return `
+    <h3>Trends</h3>
+    <div class="metrics">
+      ${metrics.map((metric) => {
+    const values = comparison.trends[metric.key];
+    return `
+        <div class="metric-card trend ${regressed.has(metric.key) ? 'regressed' : ''}">
+          ${generateSparkline(values)}
+          <div>${metric.label}</div>
+          <div class="spread">${values.length} run(s)</div>
+        </div>
+      `;
+  }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Generates the performance budget table of a test
+ * @param {Object} lighthouseResults - Aggregated Lighthouse results
+ * @returns {string} HTML content for the budget section
+ */
+function generateBudgetSection(lighthouseResults) {
+  const lines = lighthouseResults?.budget?.lines || [];
+  if (lines.length === 0) return '';
+
+  const format = (value, unit) => formatVitalValue({ value, unit });
+  return `
+    <h3>Performance Budget</h3>
+    <table class="budget">
+      <thead>
+        <tr><th>Metric</th><th>Budget</th><th>Actual</th><th>Over Budget</th><th>Status</th></tr>
+      </thead>
+      <tbody>
+        ${lines.map((line) => {
+    let status = line.pass ? '✅ Pass' : '❌ Fail';
+    if (line.pass === null) status = 'Not measured';
+    return `
+          <tr class="${line.pass === false ? 'fail' : ''}">
+            <td>${line.label}</td>
+            <td>${format(line.limit, line.unit)}</td>
+            <td>${line.actual === null ? '–' : format(line.actual, line.unit)}</td>
+            <td>${line.overage > 0 ? format(line.overage, line.unit) : '–'}</td>
+            <td>${status}</td>
+          </tr>
+        `;
+  }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Generates the steps of the Lighthouse user flow of a test
+ * @param {Object} lighthouseFlow - Flow results, see `runAuditFlow`
+ * @returns {string} HTML content for the flow section
+ */
+function generateFlowSection(lighthouseFlow) {
+  if (!lighthouseFlow) return '';
+
+  const categories = [...new Set(lighthouseFlow.steps.flatMap((step) => Object.keys(step.metrics)))];
+  const vitalIds = Object.keys(lighthouseMetricAudits)
+    .filter((id) => lighthouseFlow.steps.some((step) => step.vitals[id]));
+
+  return `
+    <h3>Lighthouse User Flow: ${escapeHtml(lighthouseFlow.name)}</h3>
+    <table class="flow-vitals">
+      <thead>
+        <tr>
+          <th>#</th><th>Step</th><th>Mode</th>
+          ${categories.map((category) => `<th>${category}</th>`).join('')}
+          ${vitalIds.map((id) => `<th>${lighthouseMetricAudits[id]}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${lighthouseFlow.steps.map((step, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(step.name)}</td>
+            <td>${step.mode}</td>
+            ${categories.map((category) => `<td>${step.metrics[category] ?? '–'}</td>`).join('')}
+            ${vitalIds.map((id) => `<td>${step.vitals[id] ? formatVitalValue(step.vitals[id]) : '–'}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Generates the card for a single vital
+ * @param {string} label - Short label of the vital
+ * @param {{value: number, unit: string}} vital - Aggregated value and unit
+ * @param {Object} [stats] - Spread of the value across runs
+ * @param {{engine: string, method: string}} [source] - Engine and method the value comes from
+ * @returns {string} HTML content for the card
+ */
+function generateVitalCard(label, vital, stats, source) {
+  const format = (value) => formatVitalValue({ value, unit: vital.unit });
+  const spread = stats ? `<div class="spread">${format(stats.min)} – ${format(stats.max)}</div>` : '';
+  return `
+    <div class="metric-card ${stats?.unstable ? 'unstable' : ''}">
+      <div class="score">${formatVitalValue(vital)}</div>
+      <div>${label}</div>
+      ${spread}
+      ${source ? `<div class="source">${source.engine} · ${source.method}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Generates the vitals recorded while the test drove the page
+ * @param {Object} flowVitals - In-flow vitals of a test, see `collectFlowVitals`
+ * @returns {string} HTML content for the in-flow vitals section
+ */
+function generateFlowVitalsSection(flowVitals) {
+  if (!flowVitals) return '';
+
+  const unsupported = flowVitals.unsupported.length > 0
+    ? `<br><strong>Not supported on ${flowVitals.source.engine}:</strong> ${flowVitals.unsupported.join(', ')}`
+    : '';
+  const lcpElement = flowVitals.lcpElement
+    ? `<br><strong>LCP element:</strong> <code>${escapeHtml(flowVitals.lcpElement)}</code>`
+    : '';
+  const interactions = flowVitals.slowestInteractions.length === 0 ? '' : `
+    <h4>Slowest Interactions</h4>
+    <table class="flow-vitals">
+      <thead>
+        <tr>
+          <th>Event</th><th>Target</th><th>Duration</th><th>Input Delay</th><th>Processing</th><th>Presentation</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${flowVitals.slowestInteractions.map((interaction) => `
+          <tr>
+            <td>${escapeHtml(interaction.name)}</td>
+            <td><code>${escapeHtml(interaction.target || '–')}</code></td>
+            <td>${interaction.duration} ms</td>
+            <td>${interaction.inputDelay} ms</td>
+            <td>${interaction.processingTime} ms</td>
+            <td>${interaction.presentationDelay} ms</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  const shifts = flowVitals.layoutShifts.length === 0 ? '' : `
+    <h4>Largest Layout Shifts</h4>
+    <ul>
+      ${flowVitals.layoutShifts.map((shift) => `
+        <li>
+          ${shift.value} at ${shift.startTime} ms:
+          ${shift.sources.map((source) => `<code>${escapeHtml(source)}</code>`).join(', ') || '–'}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  return `
+    <h3>In-flow Web Vitals</h3>
+    <p class="aggregation">
+      Recorded on ${flowVitals.source.engine} while the test drove the page:
+      ${flowVitals.interactionCount} interaction(s), ${flowVitals.longAnimationFrameCount} long animation frame(s)
+      ${lcpElement}
+      ${unsupported}
+    </p>
+    <div class="metrics">
+      ${Object.entries(flowVitals.vitals).map(([id, vital]) => generateVitalCard(
+    lighthouseMetricAudits[id] || id,
+    vital,
+    undefined,
+    flowVitals.source,
+  )).join('')}
+    </div>
+    ${interactions}
+    ${shifts}
+  `;
+}
+
+/**
+ * Generates the lists of new, baselined and fixed accessibility issues
+ * @param {Object} axeResults - Accessibility results of a test
+ * @returns {string} HTML content for the baseline section
+ */
+function generateBaselineSection(axeResults) {
+  const baselined = axeResults?.baselinedViolations || [];
+  const fixed = axeResults?.fixedBaselineEntries || [];
+  if (baselined.length === 0 && fixed.length === 0) return '';
+
+  const list = (items) => {
+    if (items.length === 0) return '<p>None</p>';
+    return `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>`;
   };
+  return `
+    <div class="baseline">
+      <h4>New Issues</h4>
+      ${list(axeResults.violations.map((v) => `<code>${v.id}</code> (${v.impact}, ${v.nodes.length} element(s))`))}
+      <h4>Baselined Issues</h4>
+      ${list(baselined.map((v) => `<code>${v.id}</code> (${v.impact}, ${v.nodes.length} element(s))`))}
+      <h4>Fixed Issues</h4>
+      ${list(fixed.map((entry) => `<code>${entry.rule}</code> ${entry.target || ''}`))}
+    </div>
+  `;
 }
 
 /**
- * Creates the HTML report content
- * @param {string} timestamp - Execution timestamp
- * @param {Array} results - Test results
- * @returns {string} HTML report content
+ * Generates the Core Web Vitals section for a test
+ * @param {Object} result - Test result
+ * @returns {string} HTML content for the vitals section
  */
-function createConsolidatedHtmlReport(timestamp, results) {
-  const displayDate = formatDisplayDate(timestamp);
-  const styles = getReportStyles();
-  const script = getReportScript();
+function generateVitalsSection(result) {
+  const vitals = result.lighthouseResults?.vitals || {};
+  const entries = Object.entries(lighthouseMetricAudits).filter(([id]) => vitals[id]);
+  if (entries.length === 0) return '';
 
-  // Get thresholds from the first result (they should be the same for all results)
-  const thresholds = results[0]?.lighthouseResults?.thresholds || {};
+  const source = getPerformanceSource(result.lighthouseResults);
+  const unsupported = (result.lighthouseResults.unsupported || []).map((id) => lighthouseMetricAudits[id] || id);
 
   return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <title>Consolidated Audit Report - ${timestamp}</title>
-        <style>${styles}</style>
-        <script>${script}</script>
-      </head>
-      <body>
-        <div class="container">
-          <h1>Consolidated Audit Report</h1>
-          <div class="test-info">
-            <p><strong>Execution Date:</strong> ${displayDate} (UTC)</p>
-            <p><strong>Total Tests:</strong> ${results.length}</p>
-          </div>
+    <h3>Core Web Vitals &amp; Timings</h3>
+    <p class="aggregation">
+      Measured on ${source.engine} with ${SOURCE_METHODS[source.method] || source.method}
+      ${result.lighthouseResults.mode ? `in ${result.lighthouseResults.mode} mode` : ''}
+      ${unsupported.length > 0
+    ? `<br><strong>Not measurable on ${source.engine}:</strong> ${unsupported.join(', ')}`
+    : ''}
+    </p>
+    <div class="metrics">
+      ${entries.map(([id, label]) => generateVitalCard(
+    label,
+    vitals[id],
+    result.lighthouseResults.statistics?.vitals?.[id],
+    source,
+  )).join('')}
+    </div>
+  `;
+}
 
-          <div class="summary">
-            <h2>Summary</h2>
-            <div class="metrics">
-              <div class="metric-card">
-                <div class="score">${results.length}</div>
-                <div>Total Tests</div>
-              </div>
-              <div class="metric-card">
-                <div class="score">${results.reduce((acc, r) => acc + r.axeResults.metrics.total_violations, 0)}</div>
-                <div>Total Accessibility Issues</div>
-              </div>
-              ${Object.entries(thresholds).map(([key, threshold]) => {
-                const average = Math.round(results.reduce((acc, r) => acc + r.lighthouseResults.metrics[key], 0) / results.length);
-                const scoreClass = getScoreClass(average, threshold);
-                return `
-                  <div class="metric-card">
-                    <div class="score ${scoreClass}">${average}%</div>
-                    <div>${key.charAt(0).toUpperCase() + key.slice(1)}</div>
-                    <div class="threshold">Threshold: ${threshold}%</div>
-                  </div>
-                `;
-              }).join('')}
-            </div>
-          </div>
+/**
+ * Generates the Lighthouse category scores of a test
+ * @param {Object} result - Test result
+ * @returns {string} HTML content for the performance section
+ */
+function generatePerformanceSection(result) {
+  const { lighthouseResults } = result;
+  if (!lighthouseResults) return '';
 
-          ${results.map((result, index) => generateTestSection(result, index)).join('')}
+  // Performance API measurements have no category scores
+  if (Object.keys(lighthouseResults.metrics || {}).length === 0) {
+    return `
+    <h3>Performance Metrics</h3>
+    <p class="aggregation">Lighthouse scores are not available on ${getPerformanceSource(lighthouseResults).engine}</p>
+  `;
+  }
+
+  // Warn and error levels the scores were enforced with
+  const levels = result.enforcement?.lighthouse || defaultEnforcementPolicy.lighthouse;
+
+  const cards = Object.entries(lighthouseResults.metrics)
+    .filter(([key]) => key !== 'pwa') // Remove PWA metrics
+    .map(([key, value]) => {
+      const scoreClass = getLevelClass(value, levels[key]);
+      const stats = lighthouseResults.statistics?.metrics?.[key];
+      return `
+        <div class="metric-card ${stats?.unstable ? 'unstable' : ''}">
+          <div class="score ${scoreClass}">${value}%</div>
+          <div>${key.charAt(0).toUpperCase() + key.slice(1)}</div>
+          ${levels[key] ? `<div class="threshold">${formatLevels(levels[key])}</div>` : ''}
+          ${stats ? `<div class="spread">±${stats.stdDev} (${stats.min}–${stats.max})</div>` : ''}
         </div>
-      </body>
-    </html>
+      `;
+    }).join('');
+
+  return `
+    <h3>Performance Metrics ${lighthouseResults.unstable ? UNSTABLE_BADGE : ''}</h3>
+    ${generateAggregationSummary(lighthouseResults)}
+    <div class="metrics">
+      ${cards}
+    </div>
+  `;
+}
+
+/**
+ * Generates the accessibility metrics of a test
+ * @param {Object} axeResults - Accessibility results of a test
+ * @returns {string} HTML content for the accessibility section
+ */
+function generateAccessibilitySection(axeResults) {
+  if (!axeResults) return '';
+
+  // Define which metrics to show
+  const metricsToShow = [
+    'total_violations',
+    'critical_violations',
+    'serious_violations',
+    'moderate_violations',
+    'minor_violations',
+    'baselined_violations',
+    'fixed_violations',
+    'passes',
+    'total_tests',
+  ];
+
+  // Axe tags the page was audited with
+  const axeTags = axeResults.config?.tags;
+
+  const cards = Object.entries(axeResults.metrics)
+    .filter(([key]) => metricsToShow.includes(key))
+    .map(([key, value]) => `
+      <div class="metric-card">
+        <div class="score">${value}</div>
+        <div>${key.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}</div>
+      </div>
+    `).join('');
+
+  return `
+    <h3>Accessibility Results</h3>
+    ${axeTags ? `<p class="aggregation">Tags: ${axeTags.join(', ')}</p>` : ''}
+    <div class="metrics">
+      ${cards}
+    </div>
+    ${generateBaselineSection(axeResults)}
   `;
 }
 
@@ -179,99 +563,79 @@ function createConsolidatedHtmlReport(timestamp, results) {
  * Generates a test section for the report
  * @param {Object} result - Test result
  * @param {number} index - Test index
+ * @param {Object} [comparison] - Comparison with the earlier runs of the page
  * @returns {string} HTML content for test section
  */
-function generateTestSection(result, index) {
-  const hasCriticalOrSerious = result.axeResults.metrics.critical_violations > 0 || result.axeResults.metrics.serious_violations > 0;
-  const hasModerateOrMinor = result.axeResults.metrics.moderate_violations > 0 || result.axeResults.metrics.minor_violations > 0;
+function generateTestSection(result, index, comparison = { regressions: [], trends: {} }) {
+  const { lighthouseResults, axeResults } = result;
+  const axeMetrics = axeResults?.metrics || {};
+  const hasCriticalOrSerious = axeMetrics.critical_violations > 0 || axeMetrics.serious_violations > 0;
+  const hasModerateOrMinor = axeMetrics.moderate_violations > 0 || axeMetrics.minor_violations > 0;
   
-  // Determine status based on log level
+  // Determine status based on log level, falling back to the violations for results without one
   let statusIcon = '✅';
   let statusClass = 'pass';
+  const logLevel = result.logLevel
+    || (hasCriticalOrSerious && LOG_LEVELS.ERROR)
+    || (hasModerateOrMinor && LOG_LEVELS.WARN);
   
-  if (result.logLevel === LOG_LEVELS.ERROR || hasCriticalOrSerious || result.lighthouseResults.thresholdBreachSeverity === LOG_LEVELS.ERROR) {
+  if (logLevel === LOG_LEVELS.ERROR || lighthouseResults?.thresholdBreachSeverity === LOG_LEVELS.ERROR) {
     statusIcon = '❌';
     statusClass = 'fail';
-  } else if (result.logLevel === LOG_LEVELS.WARN || hasModerateOrMinor || result.lighthouseResults.thresholdBreachSeverity === LOG_LEVELS.WARN) {
+  } else if (logLevel === LOG_LEVELS.WARN || lighthouseResults?.thresholdBreachSeverity === LOG_LEVELS.WARN) {
     statusIcon = '⚠️';
     statusClass = 'warning';
   }
 
-  // Extract just the filename from the full paths
-  const lighthouseReportPath = path.relative(
-    path.dirname(path.join(reportPaths.consolidated, 'dummy')),
-    result.lighthouseResults.reportPaths.html
-  );
-  const axeReportPath = path.relative(
-    path.dirname(path.join(reportPaths.consolidated, 'dummy')),
-    result.axeResults.reportPaths.html
-  );
+  // Link to an audit's own report, relative to the consolidated report
+  const reportLink = (auditResults, label) => {
+    if (!auditResults?.reportPaths) return '';
+    const href = path.relative(reportPaths.consolidated, auditResults.reportPaths.html);
+    return `<a href="${href}" class="report-link" target="_blank">${label}</a>`;
+  };
   
   // Get relative path for test file
   const relativePath = path.relative(process.cwd(), result.testFile);
-
-  // Define which metrics to show
-  const metricsToShow = [
-    'total_violations',
-    'critical_violations',
-    'serious_violations',
-    'moderate_violations',
-    'minor_violations',
-    'passes',
-    'total_tests'
-  ];
-
-  // Get thresholds from the first result (they should be the same for all results)
-  const defaultThresholds = {
-    performance: 80,
-    accessibility: 90,
-    'best-practices': 90,
-    seo: 90
-  };
+  const device = result.device ? ` (${result.device})` : '';
+  const viewport = result.deviceSettings ? ` (${result.deviceSettings.width}×${result.deviceSettings.height})` : '';
+  const deviceInfo = result.device
+    ? `<p><strong>Device:</strong> ${escapeHtml(`${result.device}${viewport}`)}</p>`
+    : '';
 
   return `
     <div class="test-section ${statusClass}">
       <div class="test-header" onclick="toggleSection(${index})">
         <span class="caret" id="caret-${index}"></span>
         <span class="status-icon">${statusIcon}</span>
-        <span class="test-title">${relativePath} - ${result.testName}</span>
+        <span class="test-title">${escapeHtml(`${relativePath} - ${result.testName}${device}`)}</span>
+        ${comparison.regressions.length > 0 ? REGRESSION_BADGE : ''}
       </div>
       
       <div class="test-content" id="test-content-${index}">
-        <p><strong>URL:</strong> ${result.url}</p>
+        <p><strong>URL:</strong> ${escapeHtml(result.url)}</p>
+        ${result.state ? `<p><strong>Page State:</strong> ${escapeHtml(result.state)}</p>` : ''}
+        ${deviceInfo}
+        ${generateBreachesSection(result.breaches)}
+        ${generateRegressionsSection(comparison.regressions)}
         
-        <h3>Performance Metrics</h3>
-        <div class="metrics">
-          ${Object.entries(result.lighthouseResults.metrics)
-            .filter(([key]) => key !== 'pwa') // Remove PWA metrics
-            .map(([key, value]) => {
-              const threshold = defaultThresholds[key];
-              const scoreClass = getScoreClass(value, threshold);
-              return `
-                <div class="metric-card">
-                  <div class="score ${scoreClass}">${value}%</div>
-                  <div>${key.charAt(0).toUpperCase() + key.slice(1)}</div>
-                  ${threshold ? `<div class="threshold">Threshold: ${threshold}%</div>` : ''}
-                </div>
-              `;
-            }).join('')}
-        </div>
+        ${generatePerformanceSection(result)}
 
-        <h3>Accessibility Results</h3>
-        <div class="metrics">
-          ${Object.entries(result.axeResults.metrics)
-            .filter(([key]) => metricsToShow.includes(key))
-            .map(([key, value]) => `
-              <div class="metric-card">
-                <div class="score">${value}</div>
-                <div>${key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}</div>
-              </div>
-            `).join('')}
-        </div>
+        ${generateAccessibilitySection(axeResults)}
+
+        ${generateVitalsSection(result)}
+
+        ${generateFlowVitalsSection(result.flowVitals)}
+
+        ${generateBudgetSection(lighthouseResults)}
+
+        ${generateFlowSection(result.lighthouseFlow)}
+
+        ${generateTrendsSection(comparison)}
 
         <div class="report-links">
-          <a href="${lighthouseReportPath}" class="report-link" target="_blank">View Lighthouse Report</a>
-          <a href="${axeReportPath}" class="report-link" target="_blank">View Accessibility Report</a>
+          ${reportLink(lighthouseResults, 'View Lighthouse Report')}
+          ${reportLink(axeResults, 'View Accessibility Report')}
+          ${reportLink(result.lighthouseFlow, 'View Lighthouse Flow Report')}
         </div>
       </div>
     </div>
@@ -279,15 +643,154 @@ function generateTestSection(result, index) {
 }
 
 /**
- * Gets the CSS class for a score
- * @param {number} score - Performance score
- * @param {number} threshold - Score threshold
- * @returns {string} CSS class name
+ * Groups the results by URL template, in the order of the first result of each
+ * @param {Array} results - Test results
+ * @returns {Array<{template: string, indexes: Array<number>}>} Templates and the indexes of their results
  */
-function getScoreClass(score, threshold) {
-  if (score >= threshold) return 'good';
-  if (score >= threshold * 0.95) return 'average';
-  return 'poor';
+function groupResultsByTemplate(results) {
+  const groups = results.reduce((acc, result, index) => {
+    // Results recorded before templates fall back to the template of their URL
+    const template = result.template || getUrlTemplate(result.url);
+    acc.set(template, [...(acc.get(template) || []), index]);
+    return acc;
+  }, new Map());
+  return [...groups.entries()].map(([template, indexes]) => ({ template, indexes }));
+}
+
+/**
+ * Summarizes the results of each URL template: pages, average scores and violations
+ * @param {Array} results - Test results
+ * @returns {Array<Object>} Summary of each template
+ */
+function summarizeTemplates(results) {
+  return groupResultsByTemplate(results).map(({ template, indexes }) => {
+    const templateResults = indexes.map((index) => results[index]);
+    const averageScore = (key) => {
+      const scores = templateResults
+        .map((r) => r.lighthouseResults?.metrics?.[key])
+        .filter((score) => typeof score === 'number');
+      return scores.length > 0 ? Math.round(scores.reduce((acc, score) => acc + score, 0) / scores.length) : null;
+    };
+    return {
+      template,
+      pages: templateResults.length,
+      urls: [...new Set(templateResults.map((r) => r.url))],
+      averageMetrics: Object.fromEntries(['performance', 'accessibility', 'best-practices', 'seo']
+        .map((key) => [key, averageScore(key)])),
+      accessibilityViolations: sumAxeMetric(templateResults, 'total_violations'),
+      errorPages: templateResults.filter((r) => r.logLevel === LOG_LEVELS.ERROR).length,
+    };
+  });
+}
+
+/**
+ * Generates the table of URL templates, with the average scores of their pages
+ * @param {Array<Object>} templates - Template summaries, see `summarizeTemplates`
+ * @returns {string} HTML content for the templates table
+ */
+function generateTemplatesSection(templates) {
+  const format = (score) => (score === null ? '–' : `${score}%`);
+  return `
+    <div class="templates">
+      <h2>URL Templates</h2>
+      <table class="budget">
+        <thead>
+          <tr>
+            <th>Template</th><th>Pages</th><th>Performance</th><th>Accessibility</th>
+            <th>Best Practices</th><th>SEO</th><th>A11y Issues</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${templates.map((summary) => `
+            <tr class="${summary.errorPages > 0 ? 'fail' : ''}">
+              <td>${escapeHtml(summary.template)}</td>
+              <td>${summary.pages}</td>
+              <td>${format(summary.averageMetrics.performance)}</td>
+              <td>${format(summary.averageMetrics.accessibility)}</td>
+              <td>${format(summary.averageMetrics['best-practices'])}</td>
+              <td>${format(summary.averageMetrics.seo)}</td>
+              <td>${summary.accessibilityViolations}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Lists the results of each page (test, URL and page state) by device, in the
+ * order of the first result of each page. Results without Lighthouse or axe
+ * results, like the ones of user flows, are left out.
+ * @param {Array} results - Test results
+ * @returns {{devices: Array<string>, pages: Array<Object>}} Audited devices, and the results of each page by device
+ */
+function summarizeDevices(results) {
+  const audited = results.filter((r) => r.device && (r.lighthouseResults || r.axeResults));
+  const devices = [...new Set(audited.map((r) => r.device))];
+  const pages = audited.reduce((acc, result) => {
+    const key = `${result.testName}\n${result.url}\n${result.state || ''}`;
+    const page = acc.get(key) || {
+      testName: result.testName,
+      url: result.url,
+      state: result.state || '',
+      devices: {},
+    };
+    page.devices[result.device] = {
+      deviceSettings: result.deviceSettings || null,
+      metrics: result.lighthouseResults?.metrics || {},
+      accessibilityViolations: result.axeResults?.metrics?.total_violations || 0,
+      logLevel: result.logLevel || LOG_LEVELS.INFO,
+    };
+    acc.set(key, page);
+    return acc;
+  }, new Map());
+  return { devices, pages: [...pages.values()] };
+}
+
+/**
+ * Generates the table of the scores of each page side by side per device,
+ * when pages were audited on more than one device
+ * @param {{devices: Array<string>, pages: Array<Object>}} summary - Device summary, see `summarizeDevices`
+ * @param {Object} thresholds - Lighthouse thresholds
+ * @returns {string} HTML content for the devices table
+ */
+function generateDevicesSection({ devices, pages }, thresholds = {}) {
+  if (devices.length < 2) return '';
+  const categories = ['performance', 'accessibility', 'best-practices', 'seo'];
+  const scoreCell = (score, key) => (typeof score === 'number'
+    ? `<td class="${getScoreClass(score, thresholds[key] ?? 0)}">${score}%</td>`
+    : '<td>–</td>');
+  const deviceCells = (result) => {
+    if (!result) return '<td colspan="5">Not audited</td>';
+    const scores = categories.map((key) => scoreCell(result.metrics[key], key)).join('');
+    return `${scores}<td>${result.accessibilityViolations}</td>`;
+  };
+  const rows = pages.map((page) => `
+            <tr class="${Object.values(page.devices).some((r) => r.logLevel === LOG_LEVELS.ERROR) ? 'fail' : ''}">
+              <td>${escapeHtml(`${page.testName}: ${page.url}${page.state ? ` (${page.state})` : ''}`)}</td>
+              ${devices.map((device) => deviceCells(page.devices[device])).join('')}
+            </tr>
+          `).join('');
+  return `
+    <div class="devices">
+      <h2>Devices</h2>
+      <table class="budget">
+        <thead>
+          <tr>
+            <th rowspan="2">Page</th>
+            ${devices.map((device) => `<th colspan="5">${escapeHtml(device)}</th>`).join('')}
+          </tr>
+          <tr>
+            ${devices.map(() => '<th>Perf</th><th>A11y</th><th>BP</th><th>SEO</th><th>A11y Issues</th>').join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+  `;
 }
 
 /**
@@ -403,6 +906,91 @@ function getReportStyles() {
       color: #666;
       margin-top: 0.5em;
     }
+    .breaches {
+      list-style: none;
+      padding: 0;
+    }
+    .breach {
+      padding: 0.5em 1em;
+      margin-bottom: 0.25em;
+      border-radius: 4px;
+    }
+    .breach.error { background: #fdecea; color: #b3261e; }
+    .breach.warn { background: #fff4e0; color: #8a5300; }
+    .budget,
+    .flow-vitals {
+      border-collapse: collapse;
+      width: 100%;
+      margin: 1em 0;
+    }
+    .budget th,
+    .budget td,
+    .flow-vitals th,
+    .flow-vitals td {
+      text-align: left;
+      padding: 0.4em 0.8em;
+      border-bottom: 1px solid #eee;
+    }
+    .budget tr.fail { background: #fdecea; }
+    .template-heading {
+      font-size: 1.1em;
+      font-family: monospace;
+      word-break: break-all;
+    }
+    .spread {
+      font-size: 0.8em;
+      color: #666;
+      margin-top: 0.25em;
+    }
+    .aggregation {
+      font-size: 0.9em;
+      color: #666;
+    }
+    .source {
+      font-size: 0.75em;
+      color: #888;
+      margin-top: 0.25em;
+    }
+    .metric-card.unstable {
+      border-style: dashed;
+      border-color: #ffa400;
+    }
+    .regression-badge {
+      font-size: 0.8em;
+      padding: 0.2em 0.6em;
+      margin-left: 0.5em;
+      border-radius: 4px;
+      background: #b3261e;
+      color: white;
+    }
+    .regressions {
+      list-style: none;
+      padding: 0;
+    }
+    .regression {
+      padding: 0.5em 1em;
+      margin-bottom: 0.25em;
+      border-radius: 4px;
+      background: #fdecea;
+      color: #b3261e;
+    }
+    .sparkline polyline {
+      fill: none;
+      stroke: #1a73e8;
+      stroke-width: 1.5;
+    }
+    .sparkline circle { fill: #1a73e8; }
+    .metric-card.regressed { border-color: #b3261e; }
+    .metric-card.regressed .sparkline polyline { stroke: #b3261e; }
+    .metric-card.regressed .sparkline circle { fill: #b3261e; }
+    .unstable-badge {
+      font-size: 0.6em;
+      padding: 0.2em 0.6em;
+      border-radius: 4px;
+      background: #ffa400;
+      color: white;
+      vertical-align: middle;
+    }
   `;
 }
 
@@ -421,7 +1009,258 @@ function getReportScript() {
   `;
 }
 
+/**
+ * Creates the HTML report content
+ * @param {string} timestamp - Execution timestamp
+ * @param {Array} results - Test results
+ * @param {Array} comparisons - Comparison of each result with its earlier runs
+ * @returns {string} HTML report content
+ */
+function createConsolidatedHtmlReport(timestamp, results, comparisons = []) {
+  const displayDate = formatDisplayDate(timestamp);
+  const styles = getReportStyles();
+  const script = getReportScript();
+
+  // Get thresholds from the first result (they should be the same for all results)
+  const thresholds = results[0]?.lighthouseResults?.thresholds || {};
+
+  // Average score of each category across the pages
+  const scoreCards = Object.entries(thresholds).map(([key, threshold]) => {
+    const scores = results
+      .map((r) => r.lighthouseResults?.metrics?.[key])
+      .filter((score) => typeof score === 'number');
+    const average = Math.round(scores.reduce((acc, score) => acc + score, 0) / (scores.length || 1));
+    const scoreClass = getScoreClass(average, threshold);
+    return `
+      <div class="metric-card">
+        <div class="score ${scoreClass}">${average}%</div>
+        <div>${key.charAt(0).toUpperCase() + key.slice(1)}</div>
+        <div class="threshold">Threshold: ${threshold}%</div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Consolidated Audit Report - ${timestamp}</title>
+        <style>${styles}</style>
+        <script>${script}</script>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Consolidated Audit Report</h1>
+          <div class="test-info">
+            <p><strong>Execution Date:</strong> ${displayDate} (UTC)</p>
+            <p><strong>Total Tests:</strong> ${results.length}</p>
+          </div>
+
+          <div class="summary">
+            <h2>Summary</h2>
+            <div class="metrics">
+              <div class="metric-card">
+                <div class="score">${results.length}</div>
+                <div>Total Tests</div>
+              </div>
+              <div class="metric-card">
+                <div class="score">${sumAxeMetric(results, 'total_violations')}</div>
+                <div>Total Accessibility Issues</div>
+              </div>
+              <div class="metric-card">
+                <div class="score">${comparisons.filter((c) => c?.regressions.length > 0).length}</div>
+                <div>Regressed Pages</div>
+              </div>
+              ${scoreCards}
+            </div>
+          </div>
+
+          ${generateTemplatesSection(summarizeTemplates(results))}
+
+          ${generateDevicesSection(summarizeDevices(results), thresholds)}
+
+          ${groupResultsByTemplate(results).map(({ template, indexes }) => `
+            <div class="template-group">
+              <h2 class="template-heading">${escapeHtml(template)}</h2>
+              ${indexes.map((index) => generateTestSection(results[index], index, comparisons[index])).join('')}
+            </div>
+          `).join('')}
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Resets test results and cleans up old reports
+ */
+function resetTestResults() {
+  executionTimestamp = getFormattedTimestamp();
+  ensureDirectoryExists(reportPaths.consolidated);
+}
+
+/**
+ * Generates a consolidated report from all test results
+ * @returns {Object} Report paths
+ */
+function generateConsolidatedReport() {
+  if (!executionTimestamp) {
+    executionTimestamp = getFormattedTimestamp();
+  }
+
+  const testResults = testState.getResults();
+  console.log(`Generating consolidated report with ${testResults.length} results from state`);
+
+  // Ensure the consolidated reports directory exists
+  ensureDirectoryExists(reportPaths.consolidated);
+
+  const htmlReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.html`);
+  const jsonReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.json`);
+  const junitReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.xml`);
+  const sarifReportPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.sarif`);
+  const openMetricsPath = path.join(reportPaths.consolidated, `consolidated-${executionTimestamp}.prom`);
+
+  // Compare each page with its earlier runs
+  const historyRecords = createHistoryRecords(executionTimestamp, testResults);
+  const comparisons = defaultHistorySettings.enabled
+    ? compareWithHistory(historyRecords, loadHistory())
+    : historyRecords.map(() => ({ regressions: [], trends: {} }));
+
+  // Generate and save HTML report
+  const htmlReport = createConsolidatedHtmlReport(executionTimestamp, testResults, comparisons);
+  fs.writeFileSync(htmlReportPath, htmlReport);
+
+  // Get thresholds from the first result
+  const thresholds = testResults[0]?.lighthouseResults?.thresholds || {};
+
+  // Generate and save JSON report
+  const jsonReport = {
+    timestamp: executionTimestamp,
+    displayDate: formatDisplayDate(executionTimestamp),
+    totalTests: testResults.length,
+    thresholds,
+    summary: {
+      totalAccessibilityViolations: sumAxeMetric(testResults, 'total_violations'),
+      totalBaselinedViolations: sumAxeMetric(testResults, 'baselined_violations'),
+      totalFixedViolations: sumAxeMetric(testResults, 'fixed_violations'),
+      averageMetrics: Object.fromEntries(
+        Object.entries(thresholds).map(([key, threshold]) => {
+          const total = testResults.reduce((acc, r) => acc + (r.lighthouseResults?.metrics?.[key] || 0), 0);
+          const score = Math.round(total / testResults.length);
+          return [key, { score, threshold, thresholdBreached: score < threshold }];
+        }),
+      ),
+      averageVitals: calculateAverageVitals(testResults),
+      unstablePages: testResults.filter((r) => r.lighthouseResults?.unstable).map((r) => r.testName),
+      totalBudgetFailures: testResults.reduce((acc, r) => acc + (r.lighthouseResults?.budget?.failures || 0), 0),
+      budgetFailures: testResults.flatMap((r) => (r.lighthouseResults?.budget?.lines || [])
+        .filter((line) => line.pass === false)
+        .map((line) => ({ testName: r.testName, url: r.url, ...line }))),
+      templates: summarizeTemplates(testResults),
+      devices: summarizeDevices(testResults),
+      historyBaseline: defaultHistorySettings.enabled ? defaultHistorySettings.baseline : null,
+      regressions: testResults.flatMap((r, index) => comparisons[index].regressions
+        .map((regression) => ({
+          testName: r.testName,
+          url: r.url,
+          state: r.state || '',
+          ...regression,
+        }))),
+    },
+    // Datadog-friendly metrics
+    metrics: testResults.map((result, index) => ({
+      timestamp: executionTimestamp,
+      test_name: result.testName,
+      url_path: new URL(result.url).pathname,
+      url_template: result.template || getUrlTemplate(result.url),
+      page_state: result.state || '',
+      log_level: result.logLevel || LOG_LEVELS.INFO,
+      error_breaches: (result.breaches || []).filter((b) => b.severity === LOG_LEVELS.ERROR).length,
+      warn_breaches: (result.breaches || []).filter((b) => b.severity === LOG_LEVELS.WARN).length,
+      // Performance scores and thresholds
+      perf_threshold: thresholds.performance || 80,
+      perf_score: result.lighthouseResults?.metrics?.performance || 0,
+      a11y_threshold: thresholds.accessibility || 90,
+      a11y_score: result.lighthouseResults?.metrics?.accessibility || 0,
+      bp_threshold: thresholds['best-practices'] || 90,
+      bp_score: result.lighthouseResults?.metrics?.['best-practices'] || 0,
+      seo_threshold: thresholds.seo || 90,
+      seo_score: result.lighthouseResults?.metrics?.seo || 0,
+      // Core Web Vitals
+      vital_lcp: getVitalValue(result, 'largest-contentful-paint'),
+      vital_inp: result.flowVitals?.vitals?.['interaction-to-next-paint']?.value || 0,
+      vital_cls: getVitalValue(result, 'cumulative-layout-shift'),
+      // Additional performance metrics
+      metric_fcp: getVitalValue(result, 'first-contentful-paint'),
+      metric_si: getVitalValue(result, 'speed-index'),
+      metric_tbt: getVitalValue(result, 'total-blocking-time'),
+      metric_tti: getVitalValue(result, 'interactive'),
+      metric_ttfb: getVitalValue(result, 'server-response-time'),
+      // Vitals recorded while the test drove the page
+      flow_interactions: result.flowVitals?.interactionCount || 0,
+      flow_cls: result.flowVitals?.vitals?.['cumulative-layout-shift']?.value || 0,
+      flow_long_animation_frames: result.flowVitals?.longAnimationFrameCount || 0,
+      // Network metrics
+      network_rtt: getVitalValue(result, 'network-rtt'),
+      network_latency: getVitalValue(result, 'network-server-latency'),
+      // Resource metrics
+      resource_bytes: getVitalValue(result, 'total-byte-weight'),
+      resource_dom_nodes: getVitalValue(result, 'dom-size'),
+      // Accessibility violations
+      a11y_violations: result.axeResults?.metrics?.total_violations || 0,
+      a11y_baselined_violations: result.axeResults?.metrics?.baselined_violations || 0,
+      a11y_fixed_violations: result.axeResults?.metrics?.fixed_violations || 0,
+      // Lighthouse run aggregation
+      lh_runs: result.lighthouseResults?.runs || 0,
+      lh_outlier_runs: result.lighthouseResults?.outlierRuns || 0,
+      lh_unstable: result.lighthouseResults?.unstable || false,
+      perf_score_stddev: result.lighthouseResults?.statistics?.metrics?.performance?.stdDev || 0,
+      // Engine and method of the performance results
+      perf_engine: getPerformanceSource(result.lighthouseResults)?.engine || null,
+      perf_method: getPerformanceSource(result.lighthouseResults)?.method || null,
+      // Performance budget
+      budget_lines: result.lighthouseResults?.budget?.lines.length || 0,
+      budget_failures: result.lighthouseResults?.budget?.failures || 0,
+      // Regressions against earlier runs
+      regressions: comparisons[index].regressions.length,
+      // Test metadata
+      device_type: result.testInfo.project?.name || 'unknown',
+      device: result.device || null,
+      viewport_width: result.deviceSettings?.width || 0,
+      viewport_height: result.deviceSettings?.height || 0,
+      is_mobile: result.deviceSettings?.mobile || false,
+      environment: process.env.CI ? 'ci' : 'local',
+    })),
+    // Keep original results for backward compatibility
+    results: testResults,
+  };
+  fs.writeFileSync(jsonReportPath, JSON.stringify(jsonReport, null, 2));
+
+  // Generate and save JUnit report for CI test views
+  fs.writeFileSync(junitReportPath, createJunitReport(testResults));
+
+  // Generate and save SARIF log of the accessibility violations for code scanning
+  fs.writeFileSync(sarifReportPath, JSON.stringify(createSarifLog(testResults), null, 2));
+
+  // Generate and save OpenMetrics exposition for Prometheus
+  fs.writeFileSync(openMetricsPath, createOpenMetrics(testResults));
+
+  // Record this run for the next comparisons
+  if (defaultHistorySettings.enabled) {
+    saveHistory(historyRecords);
+  }
+
+  return {
+    html: htmlReportPath,
+    json: jsonReportPath,
+    junit: junitReportPath,
+    sarif: sarifReportPath,
+    openMetrics: openMetricsPath,
+  };
+}
+
 module.exports = {
   resetTestResults,
-  generateConsolidatedReport
-}; 
\ No newline at end of file
+  generateConsolidatedReport,
+  summarizeDevices,
+};
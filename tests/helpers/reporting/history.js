@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultHistorySettings, lighthouseMetricAudits } = require('../config/audit-config');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+const { mean, round, standardDeviation } = require('../utils/statistics');
+
+/**
+ * History of audit results, stored as one JSON record per page per run
+ * in a JSON-lines file.
+ */
+
+const AXE_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+/**
+ * Metrics tracked across runs. `higherIsBetter` gives the direction of a
+ * regression, `count` metrics regress on any increase.
+ */
+const trackedMetrics = [
+  ...LIGHTHOUSE_CATEGORIES.map((category) => ({
+    key: `scores.${category}`,
+    label: category.charAt(0).toUpperCase() + category.slice(1),
+    higherIsBetter: true,
+  })),
+  ...Object.entries(lighthouseMetricAudits).map(([id, label]) => ({
+    key: `vitals.${id}`,
+    label,
+    higherIsBetter: false,
+  })),
+  {
+    key: 'violations.total',
+    label: 'Accessibility Violations',
+    higherIsBetter: false,
+    count: true,
+  },
+];
+
+/**
+ * Gets the key identifying a page across runs. The test name is part of it, as
+ * tests auditing the same URL (e.g. a page and a user flow starting on it) do
+ * not measure the same thing.
+ * @param {{testName?: string, url: string, state?: string, project?: string}} record - History record or page
+ * @returns {string} Page key
+ */
+function getPageKey(record) {
+  return [record.testName || '', record.url, record.state || '', record.project || ''].join('|');
+}
+
+/**
+ * Reads a tracked metric from a history record
+ * @param {Object} record - History record
+ * @param {string} key - Metric key, e.g. `scores.performance`
+ * @returns {number|undefined} Metric value
+ */
+function getRecordValue(record, key) {
+  const [group, name] = key.split(/\.(.+)/);
+  return record[group]?.[name];
+}
+
+/**
+ * Creates the history records of a run, one per page
+ * @param {string} runId - Execution timestamp of the run
+ * @param {Array} results - Test results
+ * @returns {Array} History records
+ */
+function createHistoryRecords(runId, results) {
+  const recordedAt = new Date().toISOString();
+  return results.map((result) => {
+    const lighthouseResults = result.lighthouseResults || {};
+    const axeMetrics = result.axeResults?.metrics;
+
+    return {
+      runId,
+      recordedAt,
+      testName: result.testName,
+      url: result.url,
+      state: result.state || '',
+      project: result.testInfo?.project?.name || '',
+      scores: { ...lighthouseResults.metrics },
+      vitals: Object.fromEntries(Object.entries(lighthouseResults.vitals || {})
+        .map(([id, vital]) => [id, vital.value])),
+      violations: axeMetrics
+        ? {
+          total: axeMetrics.total_violations,
+          ...Object.fromEntries(AXE_IMPACTS.map((impact) => [impact, axeMetrics[`${impact}_violations`]])),
+        }
+        : {},
+    };
+  });
+}
+
+/**
+ * Loads the history file
+ * @param {string} filePath - Path of the history file
+ * @returns {Array} History records, oldest first
+ */
+function loadHistory(filePath = defaultHistorySettings.path) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .reduce((acc, line, index) => {
+      try {
+        acc.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping invalid line ${index + 1} of ${filePath}: ${error.message}`);
+      }
+      return acc;
+    }, []);
+}
+
+/**
+ * Saves the records of a run in the history file. Records already saved for
+ * the same run and page are replaced, so reports generated several times
+ * during a run are recorded once.
+ * @param {Array} records - History records of the run
+ * @param {string} filePath - Path of the history file
+ */
+function saveHistory(records, filePath = defaultHistorySettings.path) {
+  if (records.length === 0) return;
+
+  const replaced = new Set(records.map((record) => `${record.runId}|${getPageKey(record)}`));
+  const history = loadHistory(filePath)
+    .filter((record) => !replaced.has(`${record.runId}|${getPageKey(record)}`));
+
+  ensureDirectoryExists(path.dirname(filePath));
+  fs.writeFileSync(filePath, `${[...history, ...records].map((record) => JSON.stringify(record)).join('\n')}\n`);
+}
+
+/**
+ * Compares a metric with its baseline values
+ * @param {Object} metric - Tracked metric
+ * @param {number} current - Value of the current run
+ * @param {Array<number>} values - Values of the baseline runs
+ * @param {Object} settings - History settings
+ * @returns {Object|null} Regression, or null when the change is not a significant degradation
+ */
+function compareMetric(metric, current, values, settings) {
+  const baseline = mean(values);
+  const change = current - baseline;
+  const worse = metric.higherIsBetter ? change < 0 : change > 0;
+  if (!worse) return null;
+
+  const relativeChange = baseline === 0 ? Infinity : Math.abs(change) / Math.abs(baseline);
+  const stdDev = standardDeviation(values);
+  const zScore = stdDev > 0 ? Math.abs(change) / stdDev : Infinity;
+
+  let significant;
+  if (metric.count) {
+    significant = Math.abs(change) >= 1;
+  } else if (values.length >= settings.minSamples) {
+    significant = zScore >= settings.zScore && relativeChange >= settings.minChange;
+  } else {
+    significant = relativeChange >= settings.minChange;
+  }
+  if (!significant) return null;
+
+  return {
+    metric: metric.key,
+    label: metric.label,
+    current,
+    baseline: round(baseline, 4),
+    change: round(change, 4),
+    changePercent: Number.isFinite(relativeChange) ? round(relativeChange * 100, 1) : null,
+    zScore: Number.isFinite(zScore) ? round(zScore, 2) : null,
+    samples: values.length,
+  };
+}
+
+/**
+ * Compares the records of the current run with the earlier runs of each page
+ * @param {Array} records - History records of the current run
+ * @param {Array} history - Records of earlier runs, oldest first
+ * @param {Object} settings - History settings, see `defaultHistorySettings`
+ * @returns {Array<{regressions: Array, trends: Object}>} Comparison of each record, in the same order
+ */
+function compareWithHistory(records, history, settings = defaultHistorySettings) {
+  const windowSize = settings.baseline === 'previous' ? 1 : settings.window;
+
+  return records.map((record) => {
+    const key = getPageKey(record);
+    const pageHistory = history.filter((entry) => entry.runId !== record.runId && getPageKey(entry) === key);
+    const baselineRuns = pageHistory.slice(-windowSize);
+    const trendRuns = [...pageHistory.slice(-(settings.sparklineRuns - 1)), record];
+
+    const regressions = [];
+    const trends = {};
+    trackedMetrics.forEach((metric) => {
+      const current = getRecordValue(record, metric.key);
+      if (typeof current !== 'number') return;
+
+      trends[metric.key] = trendRuns
+        .map((entry) => getRecordValue(entry, metric.key))
+        .filter((value) => typeof value === 'number');
+
+      const values = baselineRuns
+        .map((entry) => getRecordValue(entry, metric.key))
+        .filter((value) => typeof value === 'number');
+      const regression = values.length > 0 && compareMetric(metric, current, values, settings);
+      if (regression) regressions.push(regression);
+    });
+
+    return { regressions, trends };
+  });
+}
+
+module.exports = {
+  trackedMetrics,
+  getPageKey,
+  createHistoryRecords,
+  loadHistory,
+  saveHistory,
+  compareMetric,
+  compareWithHistory,
+};
@@ -0,0 +1,214 @@
+const path = require('path');
+const { defaultEnforcementPolicy, defaultBudgetSettings } = require('../config/audit-config');
+const { formatTarget } = require('../audits/axe-baseline');
+const { formatBudgetValue } = require('../audits/performance-budget');
+
+/**
+ * JUnit XML output, with one testsuite per audited page and one testcase per
+ * Lighthouse category threshold, performance budget line and axe rule.
+ * Failures carry the log level they breach in their `type`.
+ */
+
+// Number of selectors listed in the failure message of an axe rule
+const MAX_SELECTORS_IN_MESSAGE = 5;
+
+/**
+ * Checks whether a character is allowed in an XML 1.0 document
+ * @param {string} char - Character (code point)
+ * @returns {boolean} Whether the character is allowed
+ */
+function isXmlChar(char) {
+  const code = char.codePointAt(0);
+  return code === 0x9 || code === 0xA || code === 0xD
+    || (code >= 0x20 && code <= 0xD7FF)
+    || (code >= 0xE000 && code <= 0xFFFD)
+    || code >= 0x10000;
+}
+
+/**
+ * Escapes text for XML attributes and content, dropping the characters XML
+ * does not allow (e.g. control characters in axe failure summaries)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return Array.from(String(value))
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Creates a testcase element
+ * @param {string} classname - Class name of the testcase, the audited page
+ * @param {string} name - Name of the check
+ * @param {{type: string, message: string, details?: string}} [failure] - Failure, when the check failed
+ * @param {string} [output] - Additional output of the check
+ * @returns {{failed: boolean, xml: string}} Testcase
+ */
+function createTestCase(classname, name, failure, output) {
+  const children = [
+    failure
+      ? `<failure type="${escapeXml(failure.type)}" message="${escapeXml(failure.message)}">`
+        + `${escapeXml(failure.details || failure.message)}</failure>`
+      : '',
+    output ? `<system-out>${escapeXml(output)}</system-out>` : '',
+  ].join('');
+
+  return {
+    failed: Boolean(failure),
+    xml: `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}" time="0">${children}</testcase>`,
+  };
+}
+
+/**
+ * Creates the testcases of the Lighthouse category thresholds of a result
+ * @param {Object} result - Test result
+ * @param {string} classname - Class name of the testcases
+ * @returns {Array} Testcases
+ */
+function createLighthouseTestCases(result, classname) {
+  const levels = result.enforcement?.lighthouse || defaultEnforcementPolicy.lighthouse;
+
+  return Object.entries(result.lighthouseResults?.metrics || {})
+    .filter(([category, score]) => levels[category] && typeof score === 'number')
+    .map(([category, score]) => {
+      const { warn, error } = levels[category];
+      let failure;
+      if (typeof error === 'number' && score < error) {
+        failure = { type: 'error', message: `${category} score ${score} is below the error level of ${error}` };
+      } else if (typeof warn === 'number' && score < warn) {
+        failure = { type: 'warn', message: `${category} score ${score} is below the threshold of ${warn}` };
+      }
+      return createTestCase(classname, `lighthouse: ${category}`, failure, `Score: ${score}`);
+    });
+}
+
+/**
+ * Creates the testcases of the performance budget lines of a result
+ * @param {Object} result - Test result
+ * @param {string} classname - Class name of the testcases
+ * @returns {Array} Testcases
+ */
+function createBudgetTestCases(result, classname) {
+  const severity = result.enforcement?.budget || defaultBudgetSettings.severity;
+
+  return (result.lighthouseResults?.budget?.lines || []).map((line) => {
+    const format = (value) => formatBudgetValue(value, line.unit);
+    const failure = line.pass === false
+      ? {
+        type: severity,
+        message: `${line.label} of ${format(line.actual)} exceeds the budget of ${format(line.limit)}`
+          + ` by ${format(line.overage)}`,
+      }
+      : undefined;
+    const output = line.pass === null
+      ? 'Not measured'
+      : `Actual: ${format(line.actual)}, budget: ${format(line.limit)}`;
+    return createTestCase(classname, `budget: ${line.label}`, failure, output);
+  });
+}
+
+/**
+ * Creates the testcases of the axe rules of a result. Rules that passed and
+ * rules whose violations are all baselined pass.
+ * @param {Object} result - Test result
+ * @param {string} classname - Class name of the testcases
+ * @returns {Array} Testcases
+ */
+function createAxeTestCases(result, classname) {
+  const { axeResults } = result;
+  if (!axeResults) return [];
+
+  const baselined = new Map((axeResults.baselinedViolations || []).map((violation) => [violation.id, violation]));
+  const violated = (axeResults.violations || []).map((violation) => {
+    const selectors = violation.nodes.map((node) => formatTarget(node.target));
+    const listed = selectors.slice(0, MAX_SELECTORS_IN_MESSAGE).join(', ');
+    const more = selectors.length > MAX_SELECTORS_IN_MESSAGE
+      ? ` and ${selectors.length - MAX_SELECTORS_IN_MESSAGE} more`
+      : '';
+    return createTestCase(classname, `axe: ${violation.id}`, {
+      type: violation.impact,
+      message: `${violation.help} (${violation.impact}): ${listed}${more}`,
+      details: [violation.help, violation.helpUrl, 'Elements:', ...selectors.map((selector) => `  ${selector}`)]
+        .filter(Boolean)
+        .join('\n'),
+    });
+  });
+  const violatedIds = new Set((axeResults.violations || []).map((violation) => violation.id));
+
+  const passed = [...new Set([...(axeResults.passedRules || []), ...baselined.keys()])]
+    .filter((id) => !violatedIds.has(id))
+    .map((id) => createTestCase(
+      classname,
+      `axe: ${id}`,
+      undefined,
+      baselined.has(id) ? `${baselined.get(id).nodes.length} baselined element(s)` : undefined,
+    ));
+
+  return [...violated, ...passed];
+}
+
+/**
+ * Creates the testsuite of an audited page
+ * @param {Object} result - Test result
+ * @param {string} timestamp - ISO timestamp of the run
+ * @returns {{tests: number, failures: number, xml: string}} Testsuite
+ */
+function createTestSuite(result, timestamp) {
+  const testFile = result.testFile ? path.relative(process.cwd(), result.testFile) : '';
+  const classname = [testFile, result.testName].filter(Boolean).join(' - ');
+  const testCases = [
+    ...createLighthouseTestCases(result, classname),
+    ...createBudgetTestCases(result, classname),
+    ...createAxeTestCases(result, classname),
+  ];
+  const failures = testCases.filter((testCase) => testCase.failed).length;
+  const properties = {
+    url: result.url,
+    state: result.state,
+    project: result.testInfo?.project?.name,
+  };
+
+  const xml = [
+    `  <testsuite name="${escapeXml(`${result.testName} (${result.url})`)}" tests="${testCases.length}"`
+      + ` failures="${failures}" errors="0" skipped="0" timestamp="${timestamp}">`,
+    '    <properties>',
+    ...Object.entries(properties)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`),
+    '    </properties>',
+    ...testCases.map((testCase) => testCase.xml),
+    '  </testsuite>',
+  ].join('\n');
+
+  return { tests: testCases.length, failures, xml };
+}
+
+/**
+ * Creates the JUnit XML report of all test results
+ * @param {Array} results - Test results
+ * @returns {string} JUnit XML content
+ */
+function createJunitReport(results) {
+  const timestamp = new Date().toISOString().split('.')[0];
+  const suites = results.map((result) => createTestSuite(result, timestamp));
+  const tests = suites.reduce((acc, suite) => acc + suite.tests, 0);
+  const failures = suites.reduce((acc, suite) => acc + suite.failures, 0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Accessibility and Performance Audits" tests="${tests}" failures="${failures}" errors="0">`,
+    ...suites.map((suite) => suite.xml),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  createJunitReport,
+};
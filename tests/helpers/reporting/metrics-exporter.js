@@ -0,0 +1,209 @@
+const dgram = require('dgram');
+const fs = require('fs');
+const { defaultMetricsExporterSettings } = require('../config/audit-config');
+const { createOpenMetrics, pushToGateway } = require('./prometheus-exporter');
+
+/**
+ * Exports the metrics of a consolidated report to Datadog, through DogStatsD
+ * over UDP and/or the v2 series HTTP endpoint, and/or to a Prometheus Pushgateway.
+ */
+
+// Fields of the report metrics sent as tags rather than values
+const TAG_FIELDS = [
+  'timestamp', 'test_name', 'url_path', 'page_state', 'log_level', 'device_type', 'device', 'environment',
+];
+
+// Maximum size of a DogStatsD packet, metrics are batched up to it
+const MAX_PACKET_SIZE = 1432;
+
+// Datadog v2 series metric type of gauges
+const GAUGE_TYPE = 3;
+
+/**
+ * Sanitizes a tag value for Datadog
+ * @param {*} value - Tag value
+ * @returns {string} Sanitized value
+ */
+function sanitizeTag(value) {
+  return String(value).replace(/[,|#\s]+/g, '_');
+}
+
+/**
+ * Creates the gauges of a consolidated report, one per numeric field of each page
+ * @param {Object} report - Consolidated JSON report
+ * @param {Object} settings - Exporter settings
+ * @returns {Array<{metric: string, value: number, tags: Array<string>}>} Gauges
+ */
+function createSeries(report, settings) {
+  return (report.metrics || []).flatMap((entry) => {
+    const tagValues = {
+      test_name: entry.test_name,
+      url_path: entry.url_path,
+      page_state: entry.page_state,
+      project: entry.device_type,
+      device: entry.device || (entry.is_mobile ? 'mobile' : 'desktop'),
+      environment: entry.environment,
+      git_sha: settings.gitSha,
+    };
+    const tags = settings.tags
+      .filter((name) => tagValues[name])
+      .map((name) => `${name}:${sanitizeTag(tagValues[name])}`);
+
+    return Object.entries(entry)
+      .filter(([field, value]) => !TAG_FIELDS.includes(field) && ['number', 'boolean'].includes(typeof value))
+      .map(([field, value]) => ({
+        metric: `${settings.prefix}.${field}`,
+        value: Number(value),
+        tags,
+      }));
+  });
+}
+
+/**
+ * Formats gauges as DogStatsD lines
+ * @param {Array} series - Gauges
+ * @returns {Array<string>} DogStatsD lines
+ */
+function toDogStatsdLines(series) {
+  return series.map(({ metric, value, tags }) => `${metric}:${value}|g${tags.length > 0 ? `|#${tags.join(',')}` : ''}`);
+}
+
+/**
+ * Sends gauges to a DogStatsD agent over UDP
+ * @param {Array} series - Gauges
+ * @param {{host: string, port: number}} options - Agent address
+ * @returns {Promise<number>} Number of packets sent
+ */
+async function sendDogStatsd(series, { host, port }) {
+  const packets = toDogStatsdLines(series).reduce((acc, line) => {
+    const last = acc[acc.length - 1];
+    if (last && Buffer.byteLength(`${last}\n${line}`) <= MAX_PACKET_SIZE) {
+      acc[acc.length - 1] = `${last}\n${line}`;
+    } else {
+      acc.push(line);
+    }
+    return acc;
+  }, []);
+
+  const socket = dgram.createSocket('udp4');
+  try {
+    await Promise.all(packets.map((packet) => new Promise((resolve, reject) => {
+      socket.send(packet, port, host, (error) => (error ? reject(error) : resolve()));
+    })));
+  } finally {
+    socket.close();
+  }
+  return packets.length;
+}
+
+/**
+ * Creates the body of a Datadog v2 series request
+ * @param {Array} series - Gauges
+ * @param {number} timestamp - Point timestamp, in seconds
+ * @returns {Object} Request body
+ */
+function toHttpPayload(series, timestamp) {
+  return {
+    series: series.map(({ metric, value, tags }) => ({
+      metric,
+      type: GAUGE_TYPE,
+      points: [{ timestamp, value }],
+      tags,
+    })),
+  };
+}
+
+/**
+ * Sends gauges to the Datadog v2 series HTTP endpoint
+ * @param {Array} series - Gauges
+ * @param {{url: string, apiKey: string, timeout: number}} options - Endpoint settings
+ * @returns {Promise<number>} HTTP status
+ */
+async function sendHttpSeries(series, { url, apiKey, timeout }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'DD-API-KEY': apiKey }),
+    },
+    body: JSON.stringify(toHttpPayload(series, Math.floor(Date.now() / 1000))),
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!response.ok) {
+    throw new Error(`Datadog series endpoint ${url} responded ${response.status}: ${await response.text()}`);
+  }
+  return response.status;
+}
+
+/**
+ * Sends the metrics of a consolidated report with the configured exporters.
+ * Export failures are logged and reported, they never throw.
+ * @param {Object|string} report - Consolidated JSON report, or its path
+ * @param {Object} overrides - Settings overriding `defaultMetricsExporterSettings`
+ * @returns {Promise<{series: number, exporters: Object}>} Number of gauges and outcome of each exporter
+ */
+async function exportMetrics(report, overrides = {}) {
+  const settings = {
+    ...defaultMetricsExporterSettings,
+    ...overrides,
+    dogstatsd: { ...defaultMetricsExporterSettings.dogstatsd, ...overrides.dogstatsd },
+    http: { ...defaultMetricsExporterSettings.http, ...overrides.http },
+  };
+  const content = typeof report === 'string' ? JSON.parse(fs.readFileSync(report, 'utf8')) : report;
+  const series = createSeries(content, settings);
+  const outcome = { series: series.length, exporters: {} };
+
+  const senders = {
+    dogstatsd: () => sendDogStatsd(series, settings.dogstatsd),
+    http: () => sendHttpSeries(series, settings.http),
+    pushgateway: () => pushToGateway(content.results || []),
+  };
+  const dryRunOutputs = {
+    dogstatsd: () => toDogStatsdLines(series).join('\n'),
+    http: () => JSON.stringify(toHttpPayload(series, Math.floor(Date.now() / 1000)), null, 2),
+    pushgateway: () => createOpenMetrics(content.results || []),
+  };
+
+  await Promise.all(settings.exporters.map(async (exporter) => {
+    if (settings.dryRun && dryRunOutputs[exporter]) {
+      console.log(`[dry-run] ${exporter}:`);
+      console.log(dryRunOutputs[exporter]());
+      outcome.exporters[exporter] = 'dry-run';
+      return;
+    }
+
+    try {
+      if (!senders[exporter]) {
+        throw new Error(`Unknown metrics exporter "${exporter}". Use dogstatsd, http or pushgateway`);
+      }
+      await senders[exporter]();
+      outcome.exporters[exporter] = 'sent';
+      console.log(`Sent the report metrics with the ${exporter} exporter`);
+    } catch (error) {
+      outcome.exporters[exporter] = `failed: ${error.message}`;
+      console.error(`Failed to export metrics with ${exporter}: ${error.message}`);
+    }
+  }));
+
+  return outcome;
+}
+
+// Usage: node tests/helpers/reporting/metrics-exporter.js <consolidated.json>
+if (require.main === module) {
+  const [reportPath] = process.argv.slice(2);
+  if (!reportPath) {
+    console.error('Expected the path of a consolidated JSON report');
+    process.exitCode = 2;
+  } else {
+    exportMetrics(reportPath).then((outcome) => {
+      const failed = Object.values(outcome.exporters).some((status) => status.startsWith('failed'));
+      process.exitCode = failed ? 1 : 0;
+    });
+  }
+}
+
+module.exports = {
+  createSeries,
+  toDogStatsdLines,
+  exportMetrics,
+};
@@ -0,0 +1,199 @@
+const { defaultPrometheusSettings } = require('../config/audit-config');
+const { getPerformanceSource } = require('../audits/browser-capabilities');
+
+/**
+ * Prometheus / OpenMetrics exposition of the audit results, and push to a
+ * Pushgateway.
+ */
+
+const AXE_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Escapes a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a sample line
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label values keyed by label name
+ * @param {number} value - Sample value
+ * @returns {string} Sample line
+ */
+function formatSample(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`)
+    .join(',');
+  return `${name}{${labelText}} ${value}`;
+}
+
+/**
+ * Gets the labels identifying the page of a test result
+ * @param {Object} result - Test result
+ * @returns {Object} Page labels
+ */
+function getPageLabels(result) {
+  let urlPath = result.url;
+  try {
+    urlPath = new URL(result.url).pathname;
+  } catch (error) {
+    // Keep the raw URL when it can't be parsed
+  }
+
+  return {
+    page: result.testName,
+    url_path: urlPath,
+    state: result.state || '',
+    project: result.testInfo?.project?.name || '',
+    device: result.device || (result.deviceSettings?.mobile ? 'mobile' : 'desktop'),
+  };
+}
+
+/**
+ * Gets the labels of the vitals of a test result, with the engine and method they were measured with
+ * @param {Object} result - Test result
+ * @param {Object} labels - Page labels
+ * @param {string} id - Audit id
+ * @returns {Object} Vital labels
+ */
+function getVitalLabels(result, labels, id) {
+  const { engine, method } = getPerformanceSource(result.lighthouseResults);
+  return {
+    ...labels,
+    vital: id,
+    engine,
+    method,
+  };
+}
+
+/**
+ * Renders the results as an OpenMetrics text exposition
+ * @param {Array} results - Test results
+ * @param {Object} settings - Prometheus settings, see `defaultPrometheusSettings`
+ * @returns {string} OpenMetrics text
+ */
+function createOpenMetrics(results, settings = defaultPrometheusSettings) {
+  const families = [
+    {
+      name: 'lighthouse_score',
+      help: 'Lighthouse category score (0-100)',
+      samples: (result, labels) => Object.entries(result.lighthouseResults?.metrics || {})
+        .map(([category, score]) => [{ ...labels, category }, score]),
+    },
+    {
+      name: 'vital_seconds',
+      unit: 'seconds',
+      help: 'Timing audit value, from Lighthouse or the Performance API',
+      samples: (result, labels) => Object.entries(result.lighthouseResults?.vitals || {})
+        .filter(([, vital]) => vital.unit === 'millisecond')
+        .map(([id, vital]) => [getVitalLabels(result, labels, id), vital.value / 1000]),
+    },
+    {
+      name: 'vital_bytes',
+      unit: 'bytes',
+      help: 'Byte weight audit value',
+      samples: (result, labels) => Object.entries(result.lighthouseResults?.vitals || {})
+        .filter(([, vital]) => vital.unit === 'byte')
+        .map(([id, vital]) => [getVitalLabels(result, labels, id), vital.value]),
+    },
+    {
+      name: 'vital_value',
+      help: 'Audit value without unit (e.g. CLS, DOM size)',
+      samples: (result, labels) => Object.entries(result.lighthouseResults?.vitals || {})
+        .filter(([, vital]) => !['millisecond', 'byte'].includes(vital.unit))
+        .map(([id, vital]) => [getVitalLabels(result, labels, id), vital.value]),
+    },
+    {
+      name: 'axe_violations',
+      help: 'Number of non-baselined axe violations',
+      samples: (result, labels) => (result.axeResults?.metrics
+        ? AXE_IMPACTS.map((impact) => [{ ...labels, impact }, result.axeResults.metrics[`${impact}_violations`] || 0])
+        : []),
+    },
+    {
+      name: 'axe_baselined_violations',
+      help: 'Number of axe violations listed in the accessibility baseline',
+      samples: (result, labels) => (result.axeResults?.metrics
+        ? [[labels, result.axeResults.metrics.baselined_violations || 0]]
+        : []),
+    },
+    {
+      name: 'budget_failures',
+      help: 'Number of failed performance budget lines',
+      samples: (result, labels) => (result.lighthouseResults?.budget
+        ? [[labels, result.lighthouseResults.budget.failures]]
+        : []),
+    },
+  ];
+
+  const lines = families.flatMap((family) => {
+    const name = `${settings.prefix}_${family.name}`;
+    const samples = results.flatMap((result) => family.samples(result, getPageLabels(result)))
+      .filter(([, value]) => typeof value === 'number' && Number.isFinite(value));
+    if (samples.length === 0) return [];
+
+    return [
+      `# TYPE ${name} gauge`,
+      ...(family.unit ? [`# UNIT ${name} ${family.unit}`] : []),
+      `# HELP ${name} ${family.help}`,
+      ...samples.map(([labels, value]) => formatSample(name, labels, value)),
+    ];
+  });
+
+  return [...lines, '# EOF', ''].join('\n');
+}
+
+/**
+ * Converts an OpenMetrics exposition to the Prometheus text format accepted by the Pushgateway
+ * @param {string} openMetrics - OpenMetrics text
+ * @returns {string} Prometheus text format
+ */
+function toPrometheusText(openMetrics) {
+  return openMetrics
+    .split('\n')
+    .filter((line) => line !== '# EOF' && !line.startsWith('# UNIT '))
+    .join('\n');
+}
+
+/**
+ * Pushes the results to a Pushgateway, replacing the metrics of the same grouping key
+ * @param {Array} results - Test results
+ * @param {Object} settings - Prometheus settings, see `defaultPrometheusSettings`
+ * @returns {Promise<number>} HTTP status
+ */
+async function pushToGateway(results, settings = defaultPrometheusSettings) {
+  const {
+    url,
+    job,
+    instance,
+    timeout,
+  } = settings.pushgateway;
+  if (!url) {
+    throw new Error('No Pushgateway URL configured (PUSHGATEWAY_URL)');
+  }
+
+  const endpoint = `${url.replace(/\/$/, '')}/metrics/job/${encodeURIComponent(job)}`
+    + `/instance/${encodeURIComponent(instance)}`;
+  const response = await fetch(endpoint, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+    body: toPrometheusText(createOpenMetrics(results, settings)),
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!response.ok) {
+    throw new Error(`Pushgateway ${endpoint} responded ${response.status}: ${await response.text()}`);
+  }
+  return response.status;
+}
+
+module.exports = {
+  createOpenMetrics,
+  pushToGateway,
+};
@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultDiffTolerances, lighthouseMetricAudits } = require('../config/audit-config');
+const { formatTarget } = require('../audits/axe-baseline');
+const { formatBudgetValue } = require('../audits/performance-budget');
+const { getPageKey } = require('./history');
+const { ensureDirectoryExists } = require('../utils/file-utils');
+const { escapeHtml } = require('../utils/html-utils');
+const { round } = require('../utils/statistics');
+
+/**
+ * Diff of two consolidated JSON reports.
+ *
+ * Usage:
+ *   node tests/helpers/reporting/report-diff.js <base.json> <head.json>
+ *     [--format text|markdown|html] [--output file]
+ *     [--score-tolerance 2] [--vital-tolerance 0.1] [--violation-tolerance 0]
+ *
+ * Exits with 1 when a regression exceeds the tolerances, 2 on invalid usage.
+ */
+
+const FORMATS = ['text', 'markdown', 'html'];
+
+/**
+ * Loads a consolidated JSON report
+ * @param {string} filePath - Path of the report
+ * @returns {Object} Report
+ */
+function loadReport(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Report ${filePath} does not exist`);
+  }
+  const report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(report.results)) {
+    throw new Error(`${filePath} is not a consolidated report (missing "results")`);
+  }
+  return report;
+}
+
+/**
+ * Lists the violating nodes of a result, keyed by rule and target
+ * @param {Object} result - Test result
+ * @returns {Map<string, {rule: string, target: string, impact: string}>} Violations
+ */
+function getViolationNodes(result) {
+  const nodes = new Map();
+  (result.axeResults?.violations || []).forEach((violation) => {
+    violation.nodes.forEach((node) => {
+      const target = formatTarget(node.target);
+      nodes.set(`${violation.id}|${target}`, { rule: violation.id, target, impact: violation.impact });
+    });
+  });
+  return nodes;
+}
+
+/**
+ * Gets the key of a result, matching the pages of both reports
+ * @param {Object} result - Test result
+ * @param {boolean} [withState] - Whether the key includes the page state
+ * @returns {string} Page key
+ */
+function getResultKey(result, withState = true) {
+  return getPageKey({
+    testName: result.testName,
+    url: result.url,
+    state: withState ? result.state : '',
+    project: result.testInfo?.project?.name,
+  });
+}
+
+/**
+ * Pairs the results of both reports. Results are matched on their test, URL,
+ * state and project first; the remaining ones without the state, so a
+ * page whose state changed between the runs (e.g. a `dom-hash` state) is
+ * compared rather than reported as removed and added.
+ * @param {Array} baseResults - Results of the base report
+ * @param {Array} headResults - Results of the head report
+ * @returns {{pairs: Map<Object, Object>, removed: Array}} Base result of each matched head result,
+ * and the base results without a head result
+ */
+function matchResults(baseResults, headResults) {
+  const pairs = new Map();
+  let added = [...headResults];
+  let removed = [...baseResults];
+
+  [true, false].forEach((withState) => {
+    const unmatched = [];
+    added.forEach((head) => {
+      const key = getResultKey(head, withState);
+      const index = removed.findIndex((base) => getResultKey(base, withState) === key);
+      if (index === -1) {
+        unmatched.push(head);
+      } else {
+        pairs.set(head, removed[index]);
+        removed = removed.filter((_, i) => i !== index);
+      }
+    });
+    added = unmatched;
+  });
+
+  return { pairs, removed };
+}
+
+/**
+ * Compares the results of a page in both reports
+ * @param {Object} base - Result of the base report
+ * @param {Object} head - Result of the head report
+ * @param {Object} tolerances - Diff tolerances
+ * @returns {Object} Page diff
+ */
+function diffPage(base, head, tolerances) {
+  const baseNodes = getViolationNodes(base);
+  const headNodes = getViolationNodes(head);
+  const violations = {
+    new: [...headNodes.keys()].filter((key) => !baseNodes.has(key)).map((key) => headNodes.get(key)),
+    fixed: [...baseNodes.keys()].filter((key) => !headNodes.has(key)).map((key) => baseNodes.get(key)),
+    unchanged: [...headNodes.keys()].filter((key) => baseNodes.has(key)).map((key) => headNodes.get(key)),
+  };
+
+  const baseScores = base.lighthouseResults?.metrics || {};
+  const headScores = head.lighthouseResults?.metrics || {};
+  const scores = Object.keys(headScores)
+    .filter((key) => typeof baseScores[key] === 'number' && typeof headScores[key] === 'number')
+    .map((key) => {
+      const delta = round(headScores[key] - baseScores[key]);
+      return {
+        key,
+        base: baseScores[key],
+        head: headScores[key],
+        delta,
+        regression: -delta > tolerances.score,
+      };
+    });
+
+  const baseVitals = base.lighthouseResults?.vitals || {};
+  const headVitals = head.lighthouseResults?.vitals || {};
+  const vitals = Object.keys(lighthouseMetricAudits)
+    .filter((id) => baseVitals[id] && headVitals[id])
+    .map((id) => {
+      const delta = round(headVitals[id].value - baseVitals[id].value, 4);
+      const relative = baseVitals[id].value === 0 ? 0 : delta / baseVitals[id].value;
+      return {
+        key: id,
+        label: lighthouseMetricAudits[id],
+        unit: headVitals[id].unit,
+        base: baseVitals[id].value,
+        head: headVitals[id].value,
+        delta,
+        deltaPercent: round(relative * 100, 1),
+        regression: relative > tolerances.vital,
+      };
+    });
+
+  const regressions = [
+    ...scores.filter((score) => score.regression)
+      .map((score) => `${score.key} score dropped by ${-score.delta} (${score.base} → ${score.head})`),
+    ...vitals.filter((vital) => vital.regression)
+      .map((vital) => `${vital.label} increased by ${vital.deltaPercent}%`
+        + ` (${formatBudgetValue(vital.base, vital.unit)} → ${formatBudgetValue(vital.head, vital.unit)})`),
+    ...(violations.new.length > tolerances.violations
+      ? [`${violations.new.length} new accessibility violation(s)`]
+      : []),
+  ];
+
+  return {
+    status: 'changed',
+    testName: head.testName,
+    url: head.url,
+    state: head.state || '',
+    violations,
+    scores,
+    vitals,
+    regressions,
+  };
+}
+
+/**
+ * Compares two consolidated reports
+ * @param {Object} baseReport - Consolidated report of the base run (e.g. main)
+ * @param {Object} headReport - Consolidated report of the head run (e.g. a branch)
+ * @param {Object} tolerances - Diff tolerances, see `defaultDiffTolerances`
+ * @returns {{base: Object, head: Object, pages: Array, regressions: number}} Diff
+ */
+function diffReports(baseReport, headReport, tolerances = {}) {
+  const limits = { ...defaultDiffTolerances, ...tolerances };
+  const { pairs, removed } = matchResults(baseReport.results, headReport.results);
+  const describePage = (result, status, regressions = []) => ({
+    status,
+    testName: result.testName,
+    url: result.url,
+    state: result.state || '',
+    regressions,
+  });
+
+  const pages = [
+    ...headReport.results.map((head) => (pairs.has(head)
+      ? diffPage(pairs.get(head), head, limits)
+      : describePage(head, 'added'))),
+    // A page missing from the head report is no longer audited, which can hide its regressions
+    ...removed.map((base) => describePage(base, 'removed', ['Page missing from the head report'])),
+  ];
+
+  return {
+    base: { timestamp: baseReport.timestamp, totalTests: baseReport.totalTests },
+    head: { timestamp: headReport.timestamp, totalTests: headReport.totalTests },
+    tolerances: limits,
+    pages,
+    regressions: pages.reduce((acc, page) => acc + page.regressions.length, 0),
+  };
+}
+
+/**
+ * Formats a signed delta
+ * @param {number} delta - Delta
+ * @param {string} [unit] - Lighthouse unit
+ * @returns {string} Delta with its sign
+ */
+function formatDelta(delta, unit) {
+  const value = unit ? formatBudgetValue(Math.abs(delta), unit) : `${Math.abs(delta)}`;
+  if (delta > 0) return `+${value}`;
+  if (delta < 0) return `-${value}`;
+  return value;
+}
+
+/**
+ * Describes a page for the headings of the diff
+ * @param {Object} page - Page diff
+ * @returns {string} Page title
+ */
+function getPageTitle(page) {
+  return `${page.testName} (${page.url}${page.state ? `, ${page.state}` : ''})`;
+}
+
+/**
+ * Formats the diff as plain text
+ * @param {Object} diff - Report diff
+ * @returns {string} Text output
+ */
+function formatText(diff) {
+  const lines = [`Report diff ${diff.base.timestamp} → ${diff.head.timestamp}`, ''];
+
+  diff.pages.forEach((page) => {
+    lines.push(`[${page.status}] ${getPageTitle(page)}`);
+    if (page.status === 'changed') {
+      page.scores.forEach((score) => {
+        lines.push(`  ${score.key}: ${score.base} → ${score.head} (${formatDelta(score.delta)})`);
+      });
+      page.vitals.forEach((vital) => {
+        lines.push(`  ${vital.label}: ${formatBudgetValue(vital.base, vital.unit)} → `
+          + `${formatBudgetValue(vital.head, vital.unit)} (${formatDelta(vital.delta, vital.unit)})`);
+      });
+      lines.push(`  Violations: ${page.violations.new.length} new, ${page.violations.fixed.length} fixed, `
+        + `${page.violations.unchanged.length} unchanged`);
+      page.violations.new.forEach((node) => lines.push(`    + ${node.rule} (${node.impact}) ${node.target}`));
+      page.violations.fixed.forEach((node) => lines.push(`    - ${node.rule} (${node.impact}) ${node.target}`));
+    }
+    page.regressions.forEach((regression) => lines.push(`  REGRESSION: ${regression}`));
+    lines.push('');
+  });
+
+  lines.push(`${diff.regressions} regression(s)`);
+  return lines.join('\n');
+}
+
+/**
+ * Formats the diff as Markdown, e.g. for a pull request comment
+ * @param {Object} diff - Report diff
+ * @returns {string} Markdown output
+ */
+function formatMarkdown(diff) {
+  const lines = [
+    `## Audit diff: ${diff.base.timestamp} → ${diff.head.timestamp}`,
+    '',
+    diff.regressions > 0 ? `❌ **${diff.regressions} regression(s)**` : '✅ No regressions',
+    '',
+  ];
+
+  diff.pages.forEach((page) => {
+    lines.push(`### ${page.status === 'changed' ? '' : `[${page.status}] `}${getPageTitle(page)}`, '');
+    page.regressions.forEach((regression) => lines.push(`- ❌ ${regression}`));
+    if (page.regressions.length > 0) lines.push('');
+    if (page.status !== 'changed') return;
+
+    lines.push('| Metric | Base | Head | Delta |', '| --- | --- | --- | --- |');
+    page.scores.forEach((score) => {
+      lines.push(`| ${score.key} | ${score.base} | ${score.head} | ${formatDelta(score.delta)} |`);
+    });
+    page.vitals.forEach((vital) => {
+      lines.push(`| ${vital.label} | ${formatBudgetValue(vital.base, vital.unit)} | `
+        + `${formatBudgetValue(vital.head, vital.unit)} | ${formatDelta(vital.delta, vital.unit)} |`);
+    });
+    lines.push('');
+
+    lines.push(`**Violations:** ${page.violations.new.length} new, ${page.violations.fixed.length} fixed, `
+      + `${page.violations.unchanged.length} unchanged`, '');
+    page.violations.new.forEach((node) => lines.push(`- 🆕 \`${node.rule}\` (${node.impact}) \`${node.target}\``));
+    page.violations.fixed.forEach((node) => lines.push(`- ✅ \`${node.rule}\` (${node.impact}) \`${node.target}\``));
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats the diff as a standalone HTML page
+ * @param {Object} diff - Report diff
+ * @returns {string} HTML output
+ */
+function formatHtml(diff) {
+  const nodeList = (nodes, className) => nodes.map((node) => `
+    <li class="${className}">
+      <code>${escapeHtml(node.rule)}</code> (${node.impact}) <code>${escapeHtml(node.target)}</code>
+    </li>
+  `).join('');
+
+  const pages = diff.pages.map((page) => {
+    const regressions = page.regressions.map((regression) => `<li class="regression">${escapeHtml(regression)}</li>`);
+    if (page.status !== 'changed') {
+      return `
+        <h2 class="${page.status}">[${page.status}] ${escapeHtml(getPageTitle(page))}</h2>
+        <ul>${regressions.join('')}</ul>
+      `;
+    }
+
+    const rows = [
+      ...page.scores.map((score) => [score.key, score.base, score.head, formatDelta(score.delta), score.regression]),
+      ...page.vitals.map((vital) => [
+        vital.label,
+        formatBudgetValue(vital.base, vital.unit),
+        formatBudgetValue(vital.head, vital.unit),
+        formatDelta(vital.delta, vital.unit),
+        vital.regression,
+      ]),
+    ];
+    return `
+      <h2>${escapeHtml(getPageTitle(page))}</h2>
+      <ul>${regressions.join('')}</ul>
+      <table>
+        <tr><th>Metric</th><th>Base</th><th>Head</th><th>Delta</th></tr>
+        ${rows.map(([label, base, head, delta, regression]) => `
+          <tr class="${regression ? 'regression' : ''}">
+            <td>${label}</td><td>${base}</td><td>${head}</td><td>${delta}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <p>
+        <strong>Violations:</strong> ${page.violations.new.length} new, ${page.violations.fixed.length} fixed,
+        ${page.violations.unchanged.length} unchanged
+      </p>
+      <ul>
+        ${nodeList(page.violations.new, 'new')}
+        ${nodeList(page.violations.fixed, 'fixed')}
+      </ul>
+    `;
+  }).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Audit Diff - ${diff.base.timestamp} → ${diff.head.timestamp}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 2em; }
+          table { border-collapse: collapse; }
+          th, td { text-align: left; padding: 0.3em 0.8em; border-bottom: 1px solid #eee; }
+          .regression, .new { color: #b3261e; }
+          .fixed { color: #0c6b2e; }
+          .added, .removed { color: #666; }
+        </style>
+      </head>
+      <body>
+        <h1>Audit Diff</h1>
+        <p>${diff.base.timestamp} → ${diff.head.timestamp}: <strong>${diff.regressions} regression(s)</strong></p>
+        ${pages}
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Formats a diff in the given format
+ * @param {Object} diff - Report diff
+ * @param {string} format - Output format (text, markdown or html)
+ * @returns {string} Formatted diff
+ */
+function formatDiff(diff, format = 'text') {
+  switch (format) {
+    case 'markdown':
+      return formatMarkdown(diff);
+    case 'html':
+      return formatHtml(diff);
+    case 'text':
+      return formatText(diff);
+    default:
+      throw new Error(`Unknown diff format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Parses the command line arguments of the diff command
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @returns {{files: Array<string>, format: string, output?: string, tolerances: Object}} Options
+ */
+function parseArgs(argv) {
+  const options = { files: [], format: 'text', tolerances: {} };
+  const tolerances = {
+    '--score-tolerance': 'score',
+    '--vital-tolerance': 'vital',
+    '--violation-tolerance': 'violations',
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === '--format') {
+      options.format = value;
+      i += 1;
+    } else if (arg === '--output') {
+      options.output = value;
+      i += 1;
+    } else if (tolerances[arg]) {
+      options.tolerances[tolerances[arg]] = parseFloat(value);
+      i += 1;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length !== 2) {
+    throw new Error('Expected two consolidated report files: <base.json> <head.json>');
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown diff format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Runs the diff command
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  let options;
+  let reports;
+  try {
+    options = parseArgs(argv);
+    reports = options.files.map(loadReport);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const diff = diffReports(reports[0], reports[1], options.tolerances);
+  const output = formatDiff(diff, options.format);
+
+  if (options.output) {
+    ensureDirectoryExists(path.dirname(options.output));
+    fs.writeFileSync(options.output, output);
+    console.log(`Diff written to ${options.output}`);
+  } else {
+    console.log(output);
+  }
+  return diff.regressions > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  loadReport,
+  diffReports,
+  formatDiff,
+  main,
+};
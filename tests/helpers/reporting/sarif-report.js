@@ -0,0 +1,215 @@
+const { createRequire } = require('module');
+const path = require('path');
+const { defaultSarifSettings } = require('../config/audit-config');
+const { formatTarget } = require('../audits/axe-baseline');
+const { hashString } = require('../utils/hash-utils');
+
+/**
+ * SARIF 2.1.0 export of the accessibility violations, for code scanning tools.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF level of each axe impact
+const IMPACT_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note',
+};
+
+/**
+ * Resolver mapping a violating node to a location in the source code,
+ * loaded from `SARIF_LOCATION_RESOLVER` unless one is set programmatically
+ */
+let locationResolver;
+
+/**
+ * Registers a resolver mapping violating nodes to source locations, e.g. using
+ * source maps or a selector-to-component map. The resolver receives
+ * `{ url, target, html, ruleId }` and returns `{ logicalName, kind, file, line }`
+ * (all optional), or null when the node can't be mapped.
+ * @param {function(Object): Object|null} resolver - Location resolver, or null to remove it
+ */
+function setLocationResolver(resolver) {
+  if (resolver !== null && typeof resolver !== 'function') {
+    throw new Error('SARIF location resolver must be a function');
+  }
+  locationResolver = resolver;
+}
+
+/**
+ * Gets the location resolver, loading the configured module the first time
+ * @returns {function(Object): Object|null|null} Location resolver
+ */
+function getLocationResolver() {
+  if (locationResolver === undefined) {
+    const modulePath = defaultSarifSettings.locationResolver;
+    // The module path is relative to the working directory
+    const requireFromCwd = createRequire(path.join(process.cwd(), 'index.js'));
+    setLocationResolver(modulePath ? requireFromCwd(path.resolve(modulePath)) : null);
+  }
+  return locationResolver;
+}
+
+/**
+ * Lists the WCAG success criteria of axe tags, e.g. `wcag143` is 1.4.3
+ * @param {Array<string>} tags - Axe rule tags
+ * @returns {Array<string>} WCAG success criteria
+ */
+function getWcagCriteria(tags = []) {
+  return tags
+    .map((tag) => tag.match(/^wcag(\d)(\d)(\d+)$/))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+}
+
+/**
+ * Creates the SARIF rule of an axe rule
+ * @param {Object} violation - Axe violation
+ * @returns {Object} SARIF reporting descriptor
+ */
+function createRule(violation) {
+  const wcag = getWcagCriteria(violation.tags);
+  return {
+    id: violation.id,
+    name: violation.id,
+    shortDescription: { text: violation.help },
+    fullDescription: { text: violation.description || violation.help },
+    helpUri: violation.helpUrl,
+    help: {
+      text: `${violation.help}. See ${violation.helpUrl}`,
+      markdown: `${violation.help}. [More information](${violation.helpUrl})`,
+    },
+    defaultConfiguration: { level: IMPACT_LEVELS[violation.impact] || 'warning' },
+    properties: {
+      tags: [...(violation.tags || []), 'accessibility'],
+      impact: violation.impact,
+      ...(wcag.length > 0 && { wcag }),
+    },
+  };
+}
+
+/**
+ * Creates the location of a violating node, using the location resolver when one is set
+ * @param {string} url - Audited page URL
+ * @param {string} target - Formatted node target
+ * @param {Object} node - Axe node
+ * @param {string} ruleId - Axe rule id
+ * @returns {Object} SARIF location
+ */
+function createLocation(url, target, node, ruleId) {
+  const resolver = getLocationResolver();
+  const resolved = resolver && resolver({
+    url,
+    target,
+    html: node.html,
+    ruleId,
+  });
+
+  const physicalLocation = resolved?.file
+    ? {
+      artifactLocation: { uri: resolved.file },
+      ...(resolved.line && { region: { startLine: resolved.line } }),
+    }
+    : { artifactLocation: { uri: url } };
+
+  return {
+    physicalLocation,
+    ...(resolved && {
+      logicalLocations: [{
+        fullyQualifiedName: resolved.logicalName || target,
+        kind: resolved.kind || 'element',
+      }],
+    }),
+  };
+}
+
+/**
+ * Creates the SARIF results of the violations of a test result
+ * @param {Object} testResult - Test result
+ * @param {Array} violations - Axe violations
+ * @param {Map<string, number>} ruleIndexes - Index of each rule in the driver rules
+ * @param {boolean} baselined - Whether the violations are suppressed by the baseline
+ * @returns {Array} SARIF results
+ */
+function createResults(testResult, violations, ruleIndexes, baselined) {
+  return violations.flatMap((violation) => violation.nodes.map((node) => {
+    const target = formatTarget(node.target);
+    return {
+      ruleId: violation.id,
+      ruleIndex: ruleIndexes.get(violation.id),
+      level: IMPACT_LEVELS[node.impact || violation.impact] || 'warning',
+      message: {
+        text: `${violation.help} on ${target}${node.failureSummary ? `\n${node.failureSummary}` : ''}`,
+      },
+      locations: [createLocation(testResult.url, target, node, violation.id)],
+      partialFingerprints: {
+        'axeTarget/v1': hashString(`${violation.id}|${testResult.url}|${target}`).slice(0, 32),
+      },
+      ...(baselined && {
+        suppressions: [{
+          kind: 'external',
+          justification: node.baseline?.justification || 'Listed in the accessibility baseline',
+        }],
+      }),
+      properties: {
+        url: testResult.url,
+        pageState: testResult.state || '',
+        testName: testResult.testName,
+        target,
+        html: node.html,
+        impact: node.impact || violation.impact,
+      },
+    };
+  }));
+}
+
+/**
+ * Creates a SARIF log of the accessibility violations of all test results.
+ * Baselined violations are included as suppressed results.
+ * @param {Array} results - Test results
+ * @returns {Object} SARIF log
+ */
+function createSarifLog(results) {
+  const axeResults = results.filter((result) => result.axeResults);
+  const allViolations = axeResults.flatMap((result) => [
+    ...(result.axeResults.violations || []),
+    ...(result.axeResults.baselinedViolations || []),
+  ]);
+
+  const rules = [];
+  const ruleIndexes = new Map();
+  allViolations.forEach((violation) => {
+    if (!ruleIndexes.has(violation.id)) {
+      ruleIndexes.set(violation.id, rules.length);
+      rules.push(createRule(violation));
+    }
+  });
+
+  const engine = axeResults.find((result) => result.axeResults.testEngine)?.axeResults.testEngine;
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'axe-core',
+          ...(engine?.version && { version: engine.version }),
+          informationUri: 'https://github.com/dequelabs/axe-core',
+          rules,
+        },
+      },
+      results: axeResults.flatMap((result) => [
+        ...createResults(result, result.axeResults.violations || [], ruleIndexes, false),
+        ...createResults(result, result.axeResults.baselinedViolations || [], ruleIndexes, true),
+      ]),
+    }],
+  };
+}
+
+module.exports = {
+  createSarifLog,
+  setLocationResolver,
+  getWcagCriteria,
+};
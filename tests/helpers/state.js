@@ -15,6 +15,31 @@ class TestState {
     console.log(`Added test result for "${result.testName}". Current test results count: ${this.testResults.length}`);
   }
 
+  /**
+   * Merge a partial result into the result recorded for the same test, URL,
+   * page state and device, or add it when there is none
+   * @param {Object} result - Test result with some of its audit results
+   * @returns {Object} Recorded result
+   */
+  mergeResult(result) {
+    const existing = this.testResults.find((r) => r.testFile === result.testFile
+      && r.testName === result.testName
+      && r.url === result.url
+      && r.state === result.state
+      && r.device === result.device);
+    if (!existing) {
+      this.addResult(result);
+      return result;
+    }
+
+    Object.entries(result).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        existing[key] = value;
+      }
+    });
+    return existing;
+  }
+
   getResults() {
     return this.testResults;
   }
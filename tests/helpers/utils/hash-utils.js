@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashString(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Serialises a value to JSON with object keys sorted, so equal objects
+ * always produce the same string
+ * @param {*} value - Value to serialise
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hashes any JSON-serialisable value independently of its key order
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashObject(value) {
+  return hashString(stableStringify(value));
+}
+
+module.exports = {
+  hashString,
+  hashObject,
+  stableStringify,
+};
@@ -0,0 +1,149 @@
+/**
+ * Rounds a value to the given number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calculates the arithmetic mean of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean value
+ */
+function mean(values) {
+  return values.reduce((acc, value) => acc + value, 0) / values.length;
+}
+
+/**
+ * Calculates a percentile using linear interpolation between closest ranks
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Calculates the median of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {number} Median value
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Calculates the mean after dropping a ratio of the lowest and highest values
+ * @param {Array<number>} values - Values
+ * @param {number} ratio - Ratio of values to drop on each side (0 to 0.5)
+ * @returns {number} Trimmed mean
+ */
+function trimmedMean(values, ratio = 0.2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.floor(sorted.length * ratio);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return mean(kept.length > 0 ? kept : sorted);
+}
+
+/**
+ * Calculates the population standard deviation of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation
+ */
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - avg) ** 2)));
+}
+
+/**
+ * Available aggregators, keyed by name
+ */
+const aggregators = {
+  mean: (values) => mean(values),
+  median: (values) => median(values),
+  p75: (values) => percentile(values, 75),
+  'trimmed-mean': (values, options = {}) => trimmedMean(values, options.trimRatio),
+};
+
+/**
+ * Aggregates values with the named aggregator
+ * @param {Array<number>} values - Values
+ * @param {string} name - Aggregator name (median, mean, p75, trimmed-mean)
+ * @param {Object} options - Aggregator options
+ * @returns {number} Aggregated value
+ */
+function aggregate(values, name = 'median', options = {}) {
+  const aggregator = aggregators[name];
+  if (!aggregator) {
+    throw new Error(`Unknown aggregator "${name}". Use one of: ${Object.keys(aggregators).join(', ')}`);
+  }
+  return aggregator(values, options);
+}
+
+/**
+ * Summarises the spread of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {{mean: number, stdDev: number, min: number, max: number, cv: number, samples: number}} Summary
+ */
+function describe(values) {
+  const avg = mean(values);
+  const stdDev = standardDeviation(values);
+  return {
+    mean: avg,
+    stdDev,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    // Coefficient of variation, relative to the mean
+    cv: avg === 0 ? 0 : stdDev / Math.abs(avg),
+    samples: values.length,
+  };
+}
+
+/**
+ * Finds outliers using the modified z-score based on the median absolute
+ * deviation. When most values are equal the MAD is 0, and the score falls back
+ * to the mean absolute deviation (scaled by 1.253314 instead of 1.4826). The
+ * fallback score of a single odd value is `values.length / 1.253314` whatever
+ * its deviation (2.39 with 3 values), so the threshold is capped below it.
+ * @param {Array<number>} values - Values
+ * @param {number} threshold - Modified z-score above which a value is an outlier
+ * @returns {Array<number>} Indexes of the outlier values
+ */
+function findOutliers(values, threshold = 3.5) {
+  if (values.length < 3) return [];
+
+  const med = median(values);
+  const deviations = values.map((value) => Math.abs(value - med));
+  const mad = median(deviations);
+  const meanAd = mean(deviations);
+  if (mad === 0 && meanAd === 0) return [];
+
+  const scale = mad === 0 ? 1.253314 * meanAd : mad / 0.6745;
+  const limit = mad === 0 ? Math.min(threshold, (values.length - 1) / 1.253314) : threshold;
+  return deviations.reduce((acc, deviation, index) => {
+    if (deviation / scale > limit) acc.push(index);
+    return acc;
+  }, []);
+}
+
+module.exports = {
+  round,
+  mean,
+  median,
+  percentile,
+  trimmedMean,
+  standardDeviation,
+  aggregate,
+  aggregators,
+  describe,
+  findOutliers,
+};
@@ -0,0 +1,93 @@
+/**
+ * Converts a URL glob pattern to a regular expression.
+ * `**` matches any characters, `*` matches any characters except `/`
+ * and `?` matches a single character.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching the whole URL
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a URL matches a glob pattern. A missing pattern matches every URL.
+ * @param {string} url - URL to check
+ * @param {string} [pattern] - Glob pattern
+ * @returns {boolean} Whether the URL matches
+ */
+function matchesUrlPattern(url, pattern) {
+  if (!pattern) return true;
+  return globToRegExp(pattern).test(url);
+}
+
+/**
+ * Query parameters ignored when comparing URLs, e.g. campaign tracking
+ */
+const IGNORED_QUERY_PARAMS = ['utm_*', 'gclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid'];
+
+/**
+ * Normalizes a URL so URLs of the same page compare equal: without the hash,
+ * the trailing slash of the path and the ignored query parameters, and with
+ * the other parameters sorted
+ * @param {string} url - URL to normalize
+ * @param {Object} [options] - `ignoreParams` (glob patterns of parameter names) and `stripQuery`
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url, { ignoreParams = IGNORED_QUERY_PARAMS, stripQuery = false } = {}) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  const params = stripQuery ? [] : [...parsed.searchParams.entries()]
+    .filter(([name]) => !ignoreParams.some((pattern) => matchesUrlPattern(name, pattern)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  return parsed.toString();
+}
+
+// Path segments holding an identifier: numbers, UUIDs and long hexadecimal hashes
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * Gets the template of a URL, shared by the pages of the same kind: the first
+ * of the patterns it matches, or else the URL with the identifiers of its path
+ * replaced by `:id` and its query values by `:value`
+ * @param {string} url - URL
+ * @param {Array<string>} [patterns] - Glob patterns used as templates
+ * @returns {string} URL template
+ */
+function getUrlTemplate(url, patterns = []) {
+  const pattern = patterns.find((candidate) => matchesUrlPattern(url, candidate));
+  if (pattern) return pattern;
+
+  const parsed = new URL(url);
+  const pathname = parsed.pathname
+    .split('/')
+    .map((segment) => (ID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+  const query = [...new Set(parsed.searchParams.keys())].sort()
+    .map((name) => `${name}=:value`)
+    .join('&');
+  return `${parsed.origin}${pathname}${query ? `?${query}` : ''}`;
+}
+
+module.exports = {
+  globToRegExp,
+  matchesUrlPattern,
+  normalizeUrl,
+  getUrlTemplate,
+};
@@ -0,0 +1,56 @@
+// @ts-check
+const fs = require('fs');
+const { expect } = require('@playwright/test');
+const {
+  test,
+  runCombinedAudit,
+  loadManifest,
+  getManifestTests,
+  runManifestSteps,
+  getDeviceContextOptions,
+  defaultDeviceMatrix,
+  defaultManifestSettings,
+} = require('./helpers');
+
+// Pages declared in the manifest, see audit-manifest.example.yml
+const MANIFEST_PATH = defaultManifestSettings.path;
+const MANIFEST_TESTS = fs.existsSync(MANIFEST_PATH) ? getManifestTests(loadManifest(MANIFEST_PATH)) : [];
+
+test.describe('Manifest Pages Performance and Accessibility Tests', () => {
+  if (MANIFEST_TESTS.length === 0) {
+    // Listed as skipped, so running the spec without a manifest is not an error
+    test.skip(`should test the manifest pages (create ${MANIFEST_PATH} or set AUDIT_MANIFEST)`, async () => {});
+  }
+
+  MANIFEST_TESTS.forEach(({
+    title,
+    tags,
+    page: manifestPage,
+    device,
+    config,
+  }) => test.describe(() => {
+    // Device profiles emulate the device in the page, and set the Lighthouse device settings
+    if (device) {
+      test.use(getDeviceContextOptions(device));
+    }
+
+    test(title, { tag: tags }, async ({ page, auditDevice }, testInfo) => {
+      // With a device matrix, each device profile of a page runs in the project of that device
+      test.skip(
+        defaultDeviceMatrix.length > 0 && Boolean(device) && device !== auditDevice,
+        `Audited by the ${device} project`,
+      );
+
+      await page.goto(manifestPage.url, {
+        waitUntil: manifestPage.waitUntil,
+      });
+      await runManifestSteps(page, manifestPage.steps);
+
+      if (manifestPage.expectedTitle) {
+        expect(await page.title()).toContain(manifestPage.expectedTitle);
+      }
+
+      await runCombinedAudit(page, testInfo, config);
+    });
+  }));
+});
@@ -0,0 +1,100 @@
+// @ts-check
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { AuditCache } = require('../helpers/audits/audit-cache');
+const { getContentHash } = require('../helpers');
+
+const URL = 'https://shop.example/';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Runs a callback with `Date.now` returning a fixed time
+ * @param {number} now - Time returned by `Date.now`
+ * @param {function(): *} callback - Callback
+ * @returns {*} Value of the callback
+ */
+function at(now, callback) {
+  const { now: realNow } = Date;
+  Date.now = () => now;
+  try {
+    return callback();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test.describe('AuditCache', () => {
+  test('keys entries by URL, state and config fingerprint', () => {
+    const cache = new AuditCache({ persistent: false });
+    cache.set(URL, { axeResults: 'phones' }, 'phones', { fingerprint: 'a' });
+
+    expect(cache.get(URL, 'phones', { fingerprint: 'a' })).toEqual({ axeResults: 'phones' });
+    expect(cache.get(URL, 'laptops', { fingerprint: 'a' })).toBeNull();
+    expect(cache.get(URL, 'phones', { fingerprint: 'b' })).toBeNull();
+  });
+
+  test('expires entries older than the TTL', () => {
+    const cache = new AuditCache({ persistent: false, ttl: HOUR });
+    at(0, () => cache.set(URL, { axeResults: 'old' }));
+
+    expect(at(HOUR - 1, () => cache.get(URL))).toEqual({ axeResults: 'old' });
+    expect(at(HOUR + 1, () => cache.get(URL))).toBeNull();
+    // The expired entry is deleted, not only skipped
+    expect(at(0, () => cache.get(URL))).toBeNull();
+  });
+
+  test('keeps entries forever with a TTL of 0', () => {
+    const cache = new AuditCache({ persistent: false, ttl: 0 });
+    at(0, () => cache.set(URL, { axeResults: 'old' }));
+
+    expect(at(1000 * HOUR, () => cache.get(URL))).toEqual({ axeResults: 'old' });
+  });
+
+  test('invalidates entries stored for different page content', () => {
+    const cache = new AuditCache({ persistent: false });
+    cache.set(URL, { axeResults: 'v1' }, '', { contentHash: 'v1' });
+    cache.addLighthouseRun(URL, { metrics: { performance: 90 } }, '', { contentHash: 'v1' });
+
+    expect(cache.get(URL, '', { contentHash: 'v1' })).toEqual({ axeResults: 'v1' });
+    // Lookups without a content hash don't invalidate
+    expect(cache.get(URL)).toEqual({ axeResults: 'v1' });
+    expect(cache.getLighthouseRuns(URL, '', { contentHash: 'v2' })).toEqual([]);
+    expect(cache.get(URL, '', { contentHash: 'v1' })).toBeNull();
+  });
+
+  test('persists entries between instances, unless bypassed or purged', () => {
+    const directory = test.info().outputPath('cache');
+    new AuditCache({ persistent: true, directory }).set(URL, { axeResults: 'saved' }, 'home');
+
+    expect(new AuditCache({ persistent: true, directory }).get(URL, 'home')).toEqual({ axeResults: 'saved' });
+    expect(new AuditCache({ persistent: true, directory, bypass: true }).get(URL, 'home')).toBeNull();
+
+    new AuditCache({ persistent: true, directory }).purge();
+    expect(fs.existsSync(directory)).toBe(false);
+  });
+});
+
+test.describe('getContentHash', () => {
+  /**
+   * Creates a page stub serving a DOM and a document response
+   * @param {string} dom - Rendered DOM
+   * @param {string} body - Document response body
+   * @returns {Object} Page stub
+   */
+  const stubPage = (dom, body) => ({
+    url: () => URL,
+    content: async () => dom,
+    request: { get: async () => ({ text: async () => body }) },
+  });
+
+  test('hashes the DOM or the document response', async () => {
+    const page = stubPage('<p>rendered</p>', '<p>served</p>');
+    const domHash = await getContentHash(page, 'dom');
+    const responseHash = await getContentHash(page, 'response');
+
+    expect(domHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(responseHash).not.toBe(domHash);
+    expect(await getContentHash(stubPage('<p>changed</p>', '<p>served</p>'), 'response')).toBe(responseHash);
+    expect(await getContentHash(page, false)).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { resolveAxeSettings } = require('../helpers/audits/axe-audit');
+
+test.describe('resolveAxeSettings', () => {
+  test('accepts a single include or exclude selector', () => {
+    const settings = resolveAxeSettings({ include: 'main', exclude: { fromFrames: ['iframe', '#ad'] } });
+
+    expect(settings.include).toEqual(['main']);
+    expect(settings.exclude).toEqual([{ fromFrames: ['iframe', '#ad'] }]);
+  });
+
+  test('converts selectors piercing shadow roots', () => {
+    const settings = resolveAxeSettings({ exclude: ['#chat', 'cookie-banner >>> .content'] });
+
+    expect(settings.exclude).toEqual(['#chat', { fromShadowDom: ['cookie-banner', '.content'] }]);
+  });
+
+  test('merges the enabled and disabled rules with the global ones', () => {
+    const settings = resolveAxeSettings({ enableRules: ['region'], disableRules: ['label'] });
+
+    expect(settings.enableRules).toContain('region');
+    expect(settings.disableRules).toContain('label');
+    expect(settings.enableRules).not.toContain('label');
+  });
+});
@@ -0,0 +1,43 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { applyBaseline } = require('../helpers/audits/axe-baseline');
+
+const URL = 'https://shop.example/cart';
+
+/**
+ * Creates an axe violation
+ * @param {string} id - Axe rule id
+ * @param {Array<string>} targets - Targets of the violating nodes
+ * @returns {Object} Axe violation
+ */
+const violation = (id, targets) => ({ id, nodes: targets.map((target) => ({ target: [target] })) });
+
+test.describe('applyBaseline', () => {
+  test('splits violations into new and baselined ones', () => {
+    const baseline = { entries: [{ rule: 'color-contrast', target: '#nav > a' }] };
+    const result = applyBaseline([violation('color-contrast', ['#nav > a', '#footer'])], URL, baseline);
+
+    expect(result.violations[0].nodes.map((node) => node.target)).toEqual([['#footer']]);
+    expect(result.baselinedViolations[0].nodes[0].baseline).toBe(baseline.entries[0]);
+  });
+
+  test('reports only entries of the audited URL as fixed', () => {
+    const entries = [
+      { rule: 'label', url: URL },
+      { rule: 'label', url: 'https://shop.example/**' },
+      { rule: 'label' },
+      { rule: 'label', url: 'https://shop.example/other' },
+    ];
+    const { fixedEntries } = applyBaseline([], URL, { entries });
+
+    expect(fixedEntries).toEqual([entries[0]]);
+  });
+
+  test('does not apply expired entries', () => {
+    const entries = [{ rule: 'label', expires: '2020-01-01' }];
+    const result = applyBaseline([violation('label', ['#name'])], URL, { entries }, new Date('2021-01-01'));
+
+    expect(result.violations).toHaveLength(1);
+    expect(result.expiredEntries).toEqual(entries);
+  });
+});
@@ -0,0 +1,117 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  parseArgs,
+  createAuditConfig,
+  formatSummary,
+  isBreached,
+  main,
+} = require('../helpers/cli');
+const { defaultDeviceType } = require('../helpers/config/audit-config');
+
+const URL = 'https://shop.example/';
+
+test.describe('parseArgs', () => {
+  test('parses the run command with its URLs and options', () => {
+    expect(parseArgs([
+      'run', URL, `${URL}cart`, '--device', 'desktop, mobile', '--runs', '5',
+      '--axe-tags', 'wcag2a,wcag22aa', '--out', 'out', '--no-lighthouse',
+    ])).toEqual({
+      command: 'run',
+      urls: [URL, `${URL}cart`],
+      devices: ['desktop', 'mobile'],
+      runs: 5,
+      axeTags: ['wcag2a', 'wcag22aa'],
+      out: 'out',
+      axe: true,
+      lighthouse: false,
+      help: false,
+    });
+  });
+
+  test('defaults to the default device type', () => {
+    expect(parseArgs(['run', URL])).toEqual({
+      command: 'run',
+      urls: [URL],
+      devices: [defaultDeviceType],
+      axe: true,
+      lighthouse: true,
+      help: false,
+    });
+    expect(parseArgs(['--help']).help).toBe(true);
+  });
+
+  test('rejects invalid commands, URLs and options', () => {
+    expect(() => parseArgs([])).toThrow('Expected a command: run');
+    expect(() => parseArgs(['audit', URL])).toThrow('Unknown command "audit". Use: run');
+    expect(() => parseArgs(['run'])).toThrow('Expected at least one URL to audit');
+    expect(() => parseArgs(['run', 'shop.example'])).toThrow('Expected an http(s) URL, got "shop.example"');
+    expect(() => parseArgs(['run', URL, '--device', 'tv'])).toThrow('Unknown device "tv". Use one of: ');
+    expect(() => parseArgs(['run', URL, '--device', ','])).toThrow('--device must list at least one device profile');
+    expect(() => parseArgs(['run', URL, '--runs', '0'])).toThrow('--runs must be a positive number');
+    expect(() => parseArgs(['run', URL, '--axe-tags'])).toThrow('--axe-tags must list at least one tag');
+    expect(() => parseArgs(['run', URL, '--verbose'])).toThrow('Unknown option --verbose');
+  });
+});
+
+test.describe('createAuditConfig', () => {
+  test('sets the device settings and the overridden options only', () => {
+    expect(createAuditConfig({ runs: 5, axeTags: ['wcag2a'] }, 'mobile')).toEqual({
+      device: 'mobile',
+      deviceSettings: expect.objectContaining({ mobile: true }),
+      aggregation: { runs: 5 },
+      axe: { tags: ['wcag2a'] },
+    });
+    expect(Object.keys(createAuditConfig({}, 'desktop'))).toEqual(['device', 'deviceSettings']);
+  });
+});
+
+test.describe('audit outcome', () => {
+  const audit = (logLevel, thresholdBreached = false) => ({
+    url: URL,
+    device: 'mobile',
+    result: {
+      logLevel,
+      lighthouseResults: {
+        metrics: {
+          performance: 72,
+          accessibility: 90,
+          'best-practices': 100,
+          seo: 91,
+        },
+        thresholdBreached,
+      },
+      axeResults: { metrics: { total_violations: 3 } },
+    },
+  });
+
+  test('fails the command on errors of the enforcement policy only', () => {
+    expect(isBreached(audit('error'))).toBe(true);
+    expect(isBreached({ url: URL, device: 'mobile', error: new Error('Navigation failed') })).toBe(true);
+    expect(isBreached(audit('warn', true))).toBe(false);
+    expect(isBreached(audit('info'))).toBe(false);
+  });
+
+  test('summarizes the scores and status of each audit', () => {
+    expect(formatSummary([audit('warn', true), { url: `${URL}cart`, device: 'desktop', error: new Error('') }]))
+      .toBe([
+        'URL                        Device   Perf  A11y   BP  SEO  Axe  Status',
+        '-------------------------  -------  ----  ----  ---  ---  ---  ----------------------',
+        'https://shop.example/      mobile     72    90  100   91    3  warn, below thresholds',
+        'https://shop.example/cart  desktop     –     –    –    –    –  failed',
+      ].join('\n'));
+  });
+
+  test('exits with 2 on invalid usage and 0 on --help', async () => {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      expect(await main(['run'])).toBe(2);
+      expect(await main(['--help'])).toBe(0);
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  });
+});
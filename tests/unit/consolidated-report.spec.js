@@ -0,0 +1,52 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { summarizeDevices } = require('../helpers/reporting/consolidated-report');
+
+/**
+ * Creates a test result of a device
+ * @param {string} testName - Test title
+ * @param {string} device - Device profile name
+ * @param {Object} [audits] - `lighthouseResults` and `axeResults` of the test
+ * @returns {Object} Test result
+ */
+const result = (testName, device, audits = {}) => ({
+  testName,
+  url: 'https://shop.example/',
+  state: 'default',
+  device,
+  ...audits,
+});
+
+const audited = (performance) => ({
+  lighthouseResults: { metrics: { performance } },
+  axeResults: { metrics: { total_violations: 2 } },
+});
+
+test.describe('summarizeDevices', () => {
+  test('lists the scores of each page by device', () => {
+    const { devices, pages } = summarizeDevices([
+      result('Home Page', 'desktop', audited(90)),
+      result('Home Page', 'mobile', audited(70)),
+    ]);
+
+    expect(devices).toEqual(['desktop', 'mobile']);
+    expect(pages).toHaveLength(1);
+    expect(pages[0].devices.mobile).toEqual({
+      deviceSettings: null,
+      metrics: { performance: 70 },
+      accessibilityViolations: 2,
+      logLevel: 'info',
+    });
+  });
+
+  test('keeps tests sharing a URL apart and leaves out results without audits', () => {
+    const { pages } = summarizeDevices([
+      result('Home Page', 'desktop', audited(90)),
+      result('Phone category flow', 'desktop'),
+      result('Cart', 'desktop', audited(80)),
+    ]);
+
+    expect(pages.map((page) => [page.testName, page.devices.desktop.metrics.performance]))
+      .toEqual([['Home Page', 90], ['Cart', 80]]);
+  });
+});
@@ -0,0 +1,85 @@
+// @ts-check
+const { test, expect, devices } = require('@playwright/test');
+const {
+  getDeviceSettings,
+  getDeviceUserAgent,
+  getDeviceContextOptions,
+  getDeviceProjects,
+  withAuditDevice,
+} = require('../helpers/config/device-profiles');
+const { defaultDeviceType, defaultDeviceSettings } = require('../helpers/config/audit-config');
+
+const project = { name: 'chromium', use: { baseURL: 'https://shop.example/' } };
+
+test.describe('device profiles', () => {
+  test('get the settings of a profile, a copy each time', () => {
+    expect(getDeviceSettings('tablet')).toEqual({
+      mobile: true,
+      deviceScaleFactor: 2,
+      width: 768,
+      height: 1024,
+    });
+    expect(getDeviceSettings()).toEqual(defaultDeviceSettings);
+    expect(getDeviceSettings()).not.toBe(getDeviceSettings());
+    expect(() => getDeviceSettings('tv')).toThrow('Unknown device "tv". Use one of: desktop, mobile, tablet');
+  });
+
+  test('emulate the profile in the Playwright context', () => {
+    expect(getDeviceUserAgent({ mobile: true })).toBe(devices['Pixel 7'].userAgent);
+    expect(getDeviceUserAgent({ mobile: false })).toBe(devices['Desktop Chrome'].userAgent);
+    expect(getDeviceContextOptions('tablet')).toEqual({
+      viewport: { width: 768, height: 1024 },
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true,
+      userAgent: devices['Pixel 7'].userAgent,
+    });
+  });
+});
+
+test.describe('getDeviceProjects', () => {
+  test('creates a project per device of the matrix', () => {
+    const projects = getDeviceProjects(project, ['desktop', 'tablet']);
+
+    expect(projects.map(({ name, use }) => [name, use.auditDevice, use.isMobile])).toEqual([
+      ['chromium-desktop', 'desktop', false],
+      ['chromium-tablet', 'tablet', true],
+    ]);
+    expect(projects[1].use.baseURL).toBe(project.use.baseURL);
+  });
+
+  test('keeps a single project on the default device without a matrix', () => {
+    expect(getDeviceProjects(project, [])).toEqual([{
+      name: 'chromium',
+      use: { ...project.use, ...getDeviceContextOptions(), auditDevice: defaultDeviceType },
+    }]);
+  });
+});
+
+test.describe('withAuditDevice', () => {
+  /**
+   * Creates the test info of a test running in a device project
+   * @param {string} auditDevice - Device profile of the project
+   * @returns {any} Test info stub
+   */
+  const testInfo = (auditDevice) => ({ project: { use: { auditDevice } } });
+
+  test('prefers the configured device, then the device of the project', () => {
+    expect(withAuditDevice({ device: 'tablet' }, testInfo('mobile')).device).toBe('tablet');
+    expect(withAuditDevice({}, testInfo('tablet')).device).toBe('tablet');
+    expect(withAuditDevice().device).toBe(defaultDeviceType);
+  });
+
+  test('overrides the settings of the profile with the configured settings', () => {
+    expect(withAuditDevice({ device: 'tablet', deviceSettings: { width: 1024 }, runs: 3 })).toEqual({
+      device: 'tablet',
+      deviceSettings: {
+        mobile: true,
+        deviceScaleFactor: 2,
+        width: 1024,
+        height: 1024,
+      },
+      runs: 3,
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  LOG_LEVELS,
+  resolveEnforcementPolicy,
+  evaluateEnforcement,
+  formatBreachMessage,
+  getHighestLevel,
+} = require('../helpers/audits/enforcement');
+const { defaultLighthouseOptions } = require('../helpers/config/audit-config');
+
+const policy = {
+  enabled: true,
+  lighthouse: { performance: { warn: 80, error: 50 }, seo: { warn: 90 } },
+  axe: { critical: { warn: 0, error: 0 }, serious: { warn: 0, error: 5 } },
+  budget: LOG_LEVELS.WARN,
+};
+
+test.describe('resolveEnforcementPolicy', () => {
+  test('sets the warn levels from the thresholds and overrides any level', () => {
+    const resolved = resolveEnforcementPolicy({
+      thresholds: { performance: 60 },
+      enforcement: {
+        lighthouse: { performance: { error: 40 }, seo: { error: 50 } },
+        axe: { minor: { error: 10 } },
+        budget: 'error',
+      },
+    });
+
+    expect(resolved.lighthouse.performance).toEqual({ warn: 60, error: 40 });
+    expect(resolved.lighthouse.seo).toEqual(expect.objectContaining({ error: 50 }));
+    expect(resolved.axe.minor).toEqual(expect.objectContaining({ error: 10 }));
+    expect(resolved.budget).toBe('error');
+  });
+
+  test('enforces the audited Lighthouse categories by default', () => {
+    expect(Object.keys(resolveEnforcementPolicy(defaultLighthouseOptions).lighthouse))
+      .toEqual(['performance', 'accessibility', 'best-practices', 'seo']);
+  });
+});
+
+test.describe('evaluateEnforcement', () => {
+  test('breaches Lighthouse levels below them and axe levels above them', () => {
+    const evaluation = evaluateEnforcement({
+      lighthouseResults: { metrics: { performance: 45, seo: 85, accessibility: 10 } },
+      axeResults: {
+        metrics: { critical_violations: 0, serious_violations: 2 },
+        violations: [{ id: 'color-contrast', impact: 'serious', nodes: [{}, {}] }],
+      },
+    }, policy);
+
+    expect(evaluation.breaches.map(({ key, severity, limit }) => ({ key, severity, limit }))).toEqual([
+      { key: 'performance', severity: 'error', limit: 50 },
+      { key: 'seo', severity: 'warn', limit: 90 },
+      { key: 'serious', severity: 'warn', limit: 0 },
+    ]);
+    expect(evaluation.breaches[2].message)
+      .toBe('2 serious accessibility violation(s) exceed the warn level of 0: color-contrast (2)');
+    expect(evaluation).toEqual(expect.objectContaining({
+      logLevel: 'error',
+      lighthouseSeverity: 'error',
+      axeSeverity: 'warn',
+    }));
+  });
+
+  test('reports failed budget lines with the budget log level', () => {
+    const budget = {
+      lines: [
+        {
+          metric: 'lcp',
+          label: 'LCP',
+          actual: 3100,
+          limit: 2500,
+          overage: 600,
+          unit: 'millisecond',
+          pass: false,
+        },
+        { metric: 'cls', pass: true },
+        { metric: 'tbt', pass: null },
+      ],
+    };
+    const { breaches, logLevel } = evaluateEnforcement({ lighthouseResults: { metrics: {}, budget } }, policy);
+
+    expect(breaches).toEqual([expect.objectContaining({
+      key: 'budget:lcp',
+      severity: 'warn',
+      message: 'LCP of 3100 ms exceeds the performance budget of 2500 ms by 600 ms',
+    })]);
+    expect(logLevel).toBe('warn');
+  });
+
+  test('is at the info level without results or breaches', () => {
+    expect(evaluateEnforcement({}, policy)).toEqual({
+      breaches: [],
+      logLevel: 'info',
+      lighthouseSeverity: 'info',
+      axeSeverity: 'info',
+    });
+  });
+});
+
+test.describe('breach helpers', () => {
+  test('get the highest level and format the error message', () => {
+    const breaches = [{ severity: 'warn', message: 'slow' }, { severity: 'error', message: 'inaccessible' }];
+
+    expect(getHighestLevel(breaches)).toBe('error');
+    expect(getHighestLevel(breaches.slice(0, 1))).toBe('warn');
+    expect(formatBreachMessage('https://shop.example/', breaches)).toBe([
+      'Audit of https://shop.example/ breached 2 error level(s):',
+      '  - slow',
+      '  - inaccessible',
+    ].join('\n'));
+  });
+});
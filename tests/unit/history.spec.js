@@ -0,0 +1,99 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { trackedMetrics, compareMetric, compareWithHistory } = require('../helpers/reporting/history');
+
+const settings = {
+  baseline: 'rolling',
+  window: 5,
+  zScore: 2,
+  minChange: 0.1,
+  minSamples: 3,
+  sparklineRuns: 20,
+};
+
+const metric = (key) => trackedMetrics.find((candidate) => candidate.key === key);
+const performance = metric('scores.performance');
+
+test.describe('compareMetric', () => {
+  test('reports a significant drop of a score', () => {
+    expect(compareMetric(performance, 70, [90, 92, 88], settings)).toEqual({
+      metric: 'scores.performance',
+      label: 'Performance',
+      current: 70,
+      baseline: 90,
+      change: -20,
+      changePercent: 22.2,
+      zScore: 12.25,
+      samples: 3,
+    });
+  });
+
+  test('ignores improvements, small changes and changes within the noise', () => {
+    expect(compareMetric(performance, 95, [90, 92, 88], settings)).toBeNull();
+    // z-score of 3.06, but a change of 5.6% only
+    expect(compareMetric(performance, 85, [90, 92, 88], settings)).toBeNull();
+    // Change of 16.7%, but a z-score of 0.61
+    expect(compareMetric(performance, 75, [60, 90, 120], settings)).toBeNull();
+  });
+
+  test('uses the relative change only with fewer samples than needed', () => {
+    const regression = compareMetric(performance, 80, [90], settings);
+
+    expect(regression).toEqual(expect.objectContaining({ changePercent: 11.1, zScore: null, samples: 1 }));
+  });
+
+  test('reports increases of timings and any increase of counts', () => {
+    const lcp = metric('vitals.largest-contentful-paint');
+    const violations = metric('violations.total');
+
+    expect(compareMetric(lcp, 2600, [2000, 2100, 1900], settings)).toEqual(expect.objectContaining({ zScore: 7.35 }));
+    expect(compareMetric(violations, 4, [3, 3, 3], settings)).toEqual(expect.objectContaining({ change: 1 }));
+    expect(compareMetric(violations, 3, [3, 3, 3], settings)).toBeNull();
+  });
+});
+
+test.describe('compareWithHistory', () => {
+  const record = (runId, performanceScore, url = 'https://shop.example/', testName = 'Home Page') => ({
+    runId,
+    testName,
+    url,
+    state: '',
+    project: 'chromium',
+    scores: { performance: performanceScore },
+  });
+
+  test('compares each page with its own earlier runs', () => {
+    const history = [
+      record('1', 90),
+      record('2', 92),
+      record('3', 88),
+      record('3', 40, 'https://shop.example/cart'),
+      // Records of the current run are not part of the baseline
+      record('4', 10),
+    ];
+    const [comparison] = compareWithHistory([record('4', 70)], history, settings);
+
+    expect(comparison.regressions.map((regression) => regression.metric)).toEqual(['scores.performance']);
+    expect(comparison.trends['scores.performance']).toEqual([90, 92, 88, 70]);
+  });
+
+  test('keeps the runs of tests auditing the same URL apart', () => {
+    const flow = (runId, performanceScore) => record(runId, performanceScore, undefined, 'Phone category flow');
+    const history = [record('1', 90), flow('1', 40), record('2', 92), flow('2', 42), record('3', 88), flow('3', 38)];
+    const [home, phones] = compareWithHistory([record('4', 89), flow('4', 41)], history, settings);
+
+    expect(home.regressions).toEqual([]);
+    expect(home.trends['scores.performance']).toEqual([90, 92, 88, 89]);
+    expect(phones.regressions).toEqual([]);
+    expect(phones.trends['scores.performance']).toEqual([40, 42, 38, 41]);
+  });
+
+  test('compares with the previous run only', () => {
+    const history = [record('1', 100), record('2', 80)];
+    const [rolling] = compareWithHistory([record('3', 75)], history, settings);
+    const [previous] = compareWithHistory([record('3', 75)], history, { ...settings, baseline: 'previous' });
+
+    expect(rolling.regressions).toHaveLength(1);
+    expect(previous.regressions).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { createJunitReport } = require('../helpers/reporting/junit-report');
+
+const result = {
+  testName: 'Cart <page>',
+  url: 'https://shop.example/cart?id=1&ref=mail',
+  state: 'default',
+  testInfo: { project: { name: 'chromium' } },
+  enforcement: {
+    lighthouse: { performance: { warn: 80, error: 50 }, seo: { warn: 90 } },
+    budget: 'error',
+  },
+  lighthouseResults: {
+    metrics: { performance: 72, seo: 95 },
+    budget: {
+      lines: [
+        {
+          label: 'LCP',
+          actual: 3100,
+          limit: 2500,
+          overage: 600,
+          unit: 'millisecond',
+          pass: false,
+        },
+        { label: 'TBT', unit: 'millisecond', pass: null },
+      ],
+    },
+  },
+  axeResults: {
+    violations: [{
+      id: 'label',
+      impact: 'critical',
+      help: 'Form elements must have labels',
+      nodes: ['#a', '#b', '#c', '#d', '#e', '#f'].map((target) => ({ target: [target] })),
+    }],
+    baselinedViolations: [{ id: 'region', nodes: [{ target: ['main'] }] }],
+    passedRules: ['image-alt', 'label'],
+  },
+};
+
+/**
+ * Gets the testcase elements of a report
+ * @param {string} xml - JUnit XML report
+ * @returns {Array<string>} Testcase elements
+ */
+const testCases = (xml) => xml.split('\n').filter((line) => line.trim().startsWith('<testcase'));
+
+test.describe('createJunitReport', () => {
+  test('creates a testcase per category, budget line and axe rule', () => {
+    const xml = createJunitReport([result]);
+
+    expect(xml).toContain('<testsuites name="Accessibility and Performance Audits" tests="7" failures="3" errors="0">');
+    expect(xml).toContain('<property name="url" value="https://shop.example/cart?id=1&amp;ref=mail"/>');
+    expect(testCases(xml).map((testCase) => testCase.match(/ name="([^"]*)"/)[1])).toEqual([
+      'lighthouse: performance',
+      'lighthouse: seo',
+      'budget: LCP',
+      'budget: TBT',
+      'axe: label',
+      'axe: image-alt',
+      'axe: region',
+    ]);
+  });
+
+  test('sets the breached log level as the failure type', () => {
+    const [performance, seo, lcp, tbt, label, , region] = testCases(createJunitReport([result]));
+
+    expect(performance).toContain('<failure type="warn" message="performance score 72 is below the threshold of 80">');
+    expect(seo).not.toContain('<failure');
+    expect(lcp).toContain('<failure type="error" message="LCP of 3100 ms exceeds the budget of 2500 ms by 600 ms">');
+    expect(tbt).toContain('<system-out>Not measured</system-out>');
+    expect(label).toContain('message="Form elements must have labels (critical): #a, #b, #c, #d, #e and 1 more"');
+    expect(region).toContain('<system-out>1 baselined element(s)</system-out>');
+  });
+
+  test('escapes markup and drops the characters XML does not allow', () => {
+    const xml = createJunitReport([{ ...result, testName: 'Cart <page>\u0000\u001b "quoted" 🛒' }]);
+
+    expect(xml).toContain('<testsuite name="Cart &lt;page&gt; &quot;quoted&quot; 🛒 (https://shop.example/cart');
+    expect(xml).not.toContain('\u0000');
+    expect(xml).not.toContain('\u001b');
+  });
+});
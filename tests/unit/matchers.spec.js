@@ -0,0 +1,98 @@
+// @ts-check
+const { test, expect: baseExpect } = require('@playwright/test');
+const {
+  expect,
+  auditMatchers,
+  auditCache,
+  getAuditContext,
+} = require('../helpers');
+
+const CONFIG = { lighthouseMode: 'snapshot', baseline: false };
+
+/**
+ * Creates a page stub, on Chromium unless it has a browser
+ * @param {string} url - Page URL
+ * @returns {Object} Page stub
+ */
+const stubPage = (url) => ({
+  url: () => url,
+  content: async () => `<title>${url}</title>`,
+  context: () => ({ browser: () => null }),
+});
+
+/**
+ * Creates a page stub whose audit results are already in the audit cache, so
+ * the matchers do not run axe or Lighthouse
+ * @param {string} url - Page URL
+ * @param {Object} results - `axeResults` and a Lighthouse `run`
+ * @returns {Promise<Object>} Page stub
+ */
+async function cachedPage(url, { axeResults, run }) {
+  const page = stubPage(url);
+  const { state, cacheOptions } = await getAuditContext(page, CONFIG);
+  auditCache.set(url, { axeResults }, state, cacheOptions);
+  auditCache.addLighthouseRun(url, run, state, cacheOptions);
+  return page;
+}
+
+const violation = (id, impact, targets) => ({
+  id,
+  impact,
+  help: `${id} help`,
+  nodes: targets.map((target) => ({ target: [target] })),
+});
+
+const run = {
+  metrics: { performance: 72, accessibility: 95 },
+  vitals: {
+    'largest-contentful-paint': { value: 3100, unit: 'millisecond' },
+    'cumulative-layout-shift': { value: 0.02, unit: 'unitless' },
+  },
+};
+
+test.describe('audit matchers', () => {
+  test.beforeEach(() => {
+    auditCache.configure({ persistent: false, bypass: false });
+    auditCache.clear();
+  });
+
+  test('are exported to extend another expect', () => {
+    baseExpect(Object.keys(auditMatchers)).toEqual(['toHaveNoAxeViolations', 'toMeetLighthouseBudget']);
+  });
+
+  test('fail on the violations of the selected impacts and rules', async () => {
+    const page = await cachedPage('https://shop.example/cart', {
+      axeResults: {
+        violations: [violation('label', 'critical', ['#name']), violation('region', 'moderate', ['main'])],
+      },
+      run,
+    });
+
+    await expect(page).toHaveNoAxeViolations({ ...CONFIG, impact: 'serious' });
+    await expect(page).toHaveNoAxeViolations({ ...CONFIG, rules: ['image-alt'] });
+    await baseExpect(expect(page).toHaveNoAxeViolations({ ...CONFIG, impact: ['critical', 'serious'] }))
+      .rejects.toThrow('Found 1 accessibility violation(s) on https://shop.example/cart:\n  - label (critical)');
+  });
+
+  test('list at most five elements per violated rule', async () => {
+    const targets = ['#a', '#b', '#c', '#d', '#e', '#f', '#g'];
+    const page = await cachedPage('https://shop.example/list', {
+      axeResults: { violations: [violation('link-name', 'serious', targets)] },
+      run,
+    });
+
+    await baseExpect(expect(page).toHaveNoAxeViolations(CONFIG)).rejects.toThrow('      #e\n      ... and 2 more');
+  });
+
+  test('check minimum scores and maximum audit values', async () => {
+    const page = await cachedPage('https://shop.example/', { axeResults: { violations: [] }, run });
+
+    await expect(page).toMeetLighthouseBudget({ performance: 70, cls: 0.1 }, CONFIG);
+    await baseExpect(expect(page).toMeetLighthouseBudget({ performance: 80, lcp: 2500, tbt: 200 }, CONFIG))
+      .rejects.toThrow([
+        '  - performance: score 72 is below 80',
+        '  - lcp: 3100 ms exceeds 2500 ms',
+        '  - tbt: not measured',
+      ].join('\n'));
+  });
+});
@@ -0,0 +1,122 @@
+// @ts-check
+const dgram = require('dgram');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { createSeries, toDogStatsdLines, exportMetrics } = require('../helpers/reporting/metrics-exporter');
+
+const settings = {
+  prefix: 'web_audit',
+  tags: ['test_name', 'url_path', 'device', 'git_sha'],
+  gitSha: 'abc123',
+};
+
+const report = {
+  metrics: [{
+    timestamp: '2026-01-01',
+    test_name: 'Home page',
+    url_path: '/',
+    page_state: 'default',
+    device: 'mobile',
+    perf_score: 91,
+    lcp_ms: 2400,
+    unstable: true,
+    log_level: 'warn',
+  }],
+};
+
+test.describe('metrics exporter', () => {
+  test('creates one gauge per numeric field, tagged with the selected tags', () => {
+    const tags = ['test_name:Home_page', 'url_path:/', 'device:mobile', 'git_sha:abc123'];
+
+    expect(createSeries(report, settings)).toEqual([
+      { metric: 'web_audit.perf_score', value: 91, tags },
+      { metric: 'web_audit.lcp_ms', value: 2400, tags },
+      { metric: 'web_audit.unstable', value: 1, tags },
+    ]);
+  });
+
+  test('formats DogStatsD gauge lines', () => {
+    expect(toDogStatsdLines([
+      { metric: 'web_audit.perf_score', value: 91, tags: ['device:mobile', 'git_sha:abc123'] },
+      { metric: 'web_audit.lcp_ms', value: 2400, tags: [] },
+    ])).toEqual([
+      'web_audit.perf_score:91|g|#device:mobile,git_sha:abc123',
+      'web_audit.lcp_ms:2400|g',
+    ]);
+  });
+
+  test('sends the gauges to a DogStatsD agent', async () => {
+    const socket = dgram.createSocket('udp4');
+    const received = new Promise((resolve) => {
+      socket.once('message', (message) => resolve(message.toString()));
+    });
+    await new Promise((resolve) => {
+      socket.bind(0, '127.0.0.1', () => resolve(undefined));
+    });
+
+    try {
+      const outcome = await exportMetrics(report, {
+        ...settings,
+        exporters: ['dogstatsd'],
+        dryRun: false,
+        dogstatsd: { host: '127.0.0.1', port: socket.address().port },
+      });
+
+      expect(outcome).toEqual({ series: 3, exporters: { dogstatsd: 'sent' } });
+      expect((await received).split('\n')).toEqual(toDogStatsdLines(createSeries(report, settings)));
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('posts the series payload and reports the failures of the endpoint', async () => {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ headers: request.headers, body: JSON.parse(body) });
+        response.writeHead(requests.length === 1 ? 202 : 403).end('Forbidden');
+      });
+    });
+    await new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(undefined));
+    });
+
+    try {
+      const address = server.address();
+      const endpoint = {
+        url: `http://127.0.0.1:${typeof address === 'object' && address?.port}/api/v2/series`,
+        apiKey: 'key',
+        timeout: 5000,
+      };
+      const overrides = {
+        ...settings,
+        exporters: ['http'],
+        dryRun: false,
+        http: endpoint,
+      };
+
+      expect(await exportMetrics(report, overrides)).toEqual({ series: 3, exporters: { http: 'sent' } });
+      expect(requests[0].headers['dd-api-key']).toBe('key');
+      expect(requests[0].body.series[0]).toEqual({
+        metric: 'web_audit.perf_score',
+        type: 3,
+        points: [{ timestamp: expect.any(Number), value: 91 }],
+        tags: ['test_name:Home_page', 'url_path:/', 'device:mobile', 'git_sha:abc123'],
+      });
+
+      const outcome = await exportMetrics(report, overrides);
+      expect(outcome.exporters.http).toMatch(/^failed: Datadog series endpoint .* responded 403: Forbidden$/);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('reports unknown exporters without throwing', async () => {
+    const outcome = await exportMetrics(report, { ...settings, exporters: ['statsd'], dryRun: false });
+
+    expect(outcome.exporters.statsd)
+      .toBe('failed: Unknown metrics exporter "statsd". Use dogstatsd, http or pushgateway');
+  });
+});
@@ -0,0 +1,61 @@
+// @ts-check
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { discoverPages, extractLinks } = require('../helpers/audits/page-discovery');
+
+/**
+ * Serves the documents of a site on a free local port
+ * @param {Object<string, string>} documents - Bodies by path, sitemaps end in `.xml`
+ * @returns {Promise<{origin: string, close: Function}>} Origin of the site
+ */
+async function serveSite(documents) {
+  const server = http.createServer((request, response) => {
+    const body = documents[request.url];
+    response.writeHead(body === undefined ? 404 : 200, {
+      'Content-Type': request.url.endsWith('.xml') ? 'application/xml' : 'text/html',
+    });
+    response.end(body ?? '');
+  });
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+  // @ts-ignore
+  const { port } = server.address();
+  return {
+    origin: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => { server.close(resolve); }),
+  };
+}
+
+test.describe('page discovery', () => {
+  test('extracts the http(s) links, skipping the malformed ones', () => {
+    const html = '<a href="/cart?id=1&amp;ref=mail">Cart</a><a href="http://[shop">Bad</a>'
+      + '<a href="mailto:shop@example.com">Mail</a><area href=\'products/1\'>';
+
+    expect(extractLinks(html, 'https://shop.example/catalog/')).toEqual([
+      'https://shop.example/cart?id=1&ref=mail',
+      'https://shop.example/catalog/products/1',
+    ]);
+  });
+
+  test('skips the malformed URLs of the sitemap and crawls the others', async () => {
+    const documents = { '/': '<a href="/about">About</a><a href="/cart">Cart</a>', '/about': '', '/cart': '' };
+    const site = await serveSite(documents);
+    documents['/sitemap.xml'] = '<urlset><url><loc>http://[shop</loc></url>'
+      + `<url><loc>${site.origin}/</loc></url></urlset>`;
+    const { warn } = console;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      const pages = await discoverPages({ sitemap: `${site.origin}/sitemap.xml`, maxDepth: 1 });
+
+      expect(pages.map(({ url, depth }) => [url.replace(site.origin, ''), depth])).toEqual([
+        ['/', 0],
+        ['/about', 1],
+        ['/cart', 1],
+      ]);
+      expect(warnings).toEqual(['Discovery skipped the malformed URL http://[shop']);
+    } finally {
+      console.warn = warn;
+      await site.close();
+    }
+  });
+});
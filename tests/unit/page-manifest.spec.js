@@ -0,0 +1,104 @@
+// @ts-check
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { validateManifest, loadManifest, getManifestTests } = require('../helpers/audits/page-manifest');
+
+const HOME = { name: 'Home', url: 'https://shop.example/' };
+
+test.describe('validateManifest', () => {
+  test('accepts a valid manifest', () => {
+    expect(validateManifest({
+      defaults: { tags: ['smoke'], devices: ['desktop', 'mobile'], thresholds: { performance: 60 } },
+      pages: [
+        HOME,
+        {
+          name: 'Phones',
+          url: 'https://shop.example/#',
+          state: 'category-phones',
+          steps: [{ click: 'a:has-text("Phones")' }, { 'wait-for-selector': { selector: '.card', state: 'visible' } }],
+        },
+      ],
+    })).toEqual([]);
+  });
+
+  test('requires a list of pages with a name and a URL', () => {
+    expect(validateManifest(null)).toEqual(['manifest: expected an object with a "pages" list']);
+    expect(validateManifest({ pages: [] })).toEqual(['pages: expected a list of pages']);
+    expect(validateManifest({ pages: [{ url: 'shop.example' }, HOME, HOME] })).toEqual([
+      'pages[0].name: required',
+      'pages[0].url: expected an http(s) URL',
+      'pages[2].name: duplicate page name "Home"',
+    ]);
+  });
+
+  test('reports unknown fields and invalid settings with their path', () => {
+    expect(validateManifest({
+      defaults: { devices: ['tv'], retries: 2 },
+      pages: [{ ...HOME, thresholds: { pwa: 50, seo: 120 }, axe: { tag: ['wcag2a'] } }],
+    })).toEqual([
+      'defaults.retries: unknown field, expected one of tags, devices, thresholds, axe, throttlingSettings, budget, '
+        + 'waitUntil, lighthouseMode',
+      'defaults.devices[0]: expected a device profile (desktop, mobile, tablet), got "tv"',
+      'pages[0].thresholds.pwa: expected a category (performance, accessibility, best-practices, seo)',
+      'pages[0].thresholds.seo: expected a score from 0 to 100',
+      'pages[0].axe.tag: unknown field, expected one of tags, enableRules, disableRules, include, exclude, iframes',
+    ]);
+  });
+
+  test('checks the steps and their arguments', () => {
+    expect(validateManifest({
+      pages: [{
+        ...HOME,
+        steps: [
+          { click: '' },
+          { fill: { selector: '#name' } },
+          { hover: '#menu' },
+          { click: '#a', fill: { selector: '#b', value: 'c' } },
+          { goto: { url: '/cart', waitUntil: 'idle' } },
+        ],
+      }],
+    })).toEqual([
+      'pages[0].steps[0].click: expected a selector',
+      'pages[0].steps[1].fill.value: expected a string',
+      'pages[0].steps[2]: expected a known step, got "hover"',
+      'pages[0].steps[3]: expected a step with one of goto, click, fill, select, wait-for-selector',
+      'pages[0].steps[4].goto.waitUntil: expected one of load, domcontentloaded, networkidle, commit',
+    ]);
+  });
+});
+
+test.describe('loadManifest', () => {
+  test('lists every error of an invalid manifest file', () => {
+    const filePath = test.info().outputPath('audit-manifest.yml');
+    fs.writeFileSync(filePath, 'pages:\n  - name: Home\n    url: /\n    waitUntil: idle\n');
+
+    expect(() => loadManifest(filePath)).toThrow([
+      `Invalid audit manifest ${filePath}:`,
+      '  - pages[0].url: expected an http(s) URL',
+      '  - pages[0].waitUntil: expected one of load, domcontentloaded, networkidle, commit',
+    ].join('\n'));
+  });
+
+  test('reports files that are missing or do not parse', () => {
+    const filePath = test.info().outputPath('audit-manifest.json');
+    fs.writeFileSync(filePath, '{ "pages": [');
+
+    expect(() => loadManifest(filePath)).toThrow(`Audit manifest ${filePath} could not be parsed`);
+    expect(() => loadManifest(test.info().outputPath('missing.yml'))).toThrow('does not exist');
+  });
+});
+
+test.describe('getManifestTests', () => {
+  test('creates a test per page and device, as a snapshot when steps change the page', () => {
+    const tests = getManifestTests({
+      defaults: { devices: ['desktop', 'mobile'], tags: ['smoke'] },
+      pages: [{ ...HOME, state: 'phones', steps: [{ click: '#phones' }] }],
+    });
+
+    expect(tests.map(({ title, tags }) => ({ title, tags }))).toEqual([
+      { title: 'should test Home (desktop)', tags: ['@smoke'] },
+      { title: 'should test Home (mobile)', tags: ['@smoke'] },
+    ]);
+    expect(tests[1].config).toEqual({ device: 'mobile', pageState: { label: 'phones' }, lighthouseMode: 'snapshot' });
+  });
+});
@@ -0,0 +1,76 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { registerStateResolver, resolvePageState, stateResolvers } = require('../helpers/audits/page-state');
+
+/**
+ * Creates a page stub for the built-in resolvers
+ * @param {Object} [options] - DOM `signature` returned by `evaluate`, and todo `items` (`active` or `completed`)
+ * @returns {Object} Page stub, recording the arguments of `evaluate`
+ */
+const stubPage = ({ signature = 'BODY#.:', items = [] } = {}) => {
+  const page = {
+    evaluated: [],
+    evaluate: async (_, args) => {
+      page.evaluated.push(args);
+      return signature;
+    },
+    $$: async (selector) => (selector.endsWith('.completed') ? items.filter((item) => item === 'completed') : items),
+  };
+  return page;
+};
+
+test.describe('resolvePageState', () => {
+  test.afterEach(() => stateResolvers.delete('cart-size'));
+
+  test('gives every page the default state without a page state', async () => {
+    expect(await resolvePageState(stubPage())).toBe('default');
+    expect(await resolvePageState(stubPage(), { pageState: {} })).toBe('default');
+  });
+
+  test('uses explicit labels and functions as they are', async () => {
+    expect(await resolvePageState(stubPage(), { pageState: { label: 'phones' } })).toBe('phones');
+    expect(await resolvePageState(stubPage(), { pageState: async () => 3 })).toBe('3');
+  });
+
+  test('runs registered resolvers by name, with their options', async () => {
+    registerStateResolver('cart-size', async (page, { prefix = 'items' }) => {
+      const items = await page.$$('li');
+      return `${prefix}-${items.length}`;
+    });
+    const page = stubPage({ items: ['active', 'active'] });
+
+    expect(await resolvePageState(page, { pageState: 'cart-size' })).toBe('items-2');
+    expect(await resolvePageState(page, { pageState: { resolver: 'cart-size', prefix: 'cart' } })).toBe('cart-2');
+  });
+
+  test('rejects unknown resolvers and resolvers that are not functions', async () => {
+    await expect(resolvePageState(stubPage(), { pageState: 'cart-size' }))
+      .rejects.toThrow('Unknown state resolver "cart-size". Registered resolvers: default, dom-hash, todo-list');
+    // @ts-ignore
+    expect(() => registerStateResolver('cart-size', 'items')).toThrow('State resolver "cart-size" must be a function');
+  });
+});
+
+test.describe('built-in resolvers', () => {
+  test('dom-hash hashes the DOM structure, without the text unless asked', async () => {
+    const page = stubPage({ signature: 'BODY#.:|DIV#cart.items:' });
+    const state = await resolvePageState(page, { pageState: 'dom-hash' });
+
+    expect(state).toMatch(/^dom-[0-9a-f]{12}$/);
+    expect(await resolvePageState(stubPage({ signature: 'BODY#.:' }), { pageState: 'dom-hash' })).not.toBe(state);
+    await resolvePageState(page, { pageState: { resolver: 'dom-hash', includeText: true, root: 'main' } });
+    expect(page.evaluated).toEqual([
+      { includeText: false, rootSelector: 'body' },
+      { includeText: true, rootSelector: 'main' },
+    ]);
+  });
+
+  test('todo-list names the state of the list', async () => {
+    const state = (items) => resolvePageState(stubPage({ items }), { pageState: 'todo-list' });
+
+    expect(await state([])).toBe('empty');
+    expect(await state(['active'])).toBe('with-items');
+    expect(await state(['active', 'completed'])).toBe('mixed');
+    expect(await state(['completed', 'completed'])).toBe('completed');
+  });
+});
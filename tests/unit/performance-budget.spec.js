@@ -0,0 +1,80 @@
+// @ts-check
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const {
+  loadBudgets,
+  resolveBudget,
+  evaluateBudget,
+  formatBudgetValue,
+} = require('../helpers/audits/performance-budget');
+
+const lighthouseResults = {
+  vitals: {
+    'largest-contentful-paint': { value: 3100, unit: 'millisecond' },
+    'cumulative-layout-shift': { value: 0.05, unit: 'unitless' },
+  },
+  resources: {
+    total: { requestCount: 42, transferSize: 1200000 },
+    script: { requestCount: 12, transferSize: 600000 },
+  },
+};
+
+test.describe('performance budgets', () => {
+  test('evaluates timings and resources against their limits', () => {
+    const { lines, failures } = evaluateBudget(lighthouseResults, {
+      lcp: 2500,
+      cls: 0.1,
+      requestCount: 50,
+      scriptBytes: 500000,
+    });
+
+    expect(failures).toBe(2);
+    expect(lines.map(({ metric, actual, pass }) => ({ metric, actual, pass }))).toEqual([
+      { metric: 'lcp', actual: 3100, pass: false },
+      { metric: 'cls', actual: 0.05, pass: true },
+      { metric: 'requestCount', actual: 42, pass: true },
+      { metric: 'scriptBytes', actual: 600000, pass: false },
+    ]);
+    expect(lines[0]).toEqual(expect.objectContaining({ unit: 'millisecond', overage: 600 }));
+    expect(lines[3]).toEqual(expect.objectContaining({ label: 'Script bytes', unit: 'byte', overage: 100000 }));
+  });
+
+  test('neither passes nor fails unmeasured metrics', () => {
+    const { lines, failures } = evaluateBudget(lighthouseResults, { tbt: 200, imageBytes: 100000 });
+
+    expect(failures).toBe(0);
+    expect(lines.map(({ actual, pass }) => ({ actual, pass }))).toEqual([
+      { actual: null, pass: null },
+      { actual: null, pass: null },
+    ]);
+  });
+
+  test('merges the budgets matching a page, the audit config last', () => {
+    const budgets = [
+      { url: 'https://shop.example/**', lcp: 2500, totalBytes: 2000000 },
+      { url: 'https://shop.example/cart', lcp: 4000 },
+      { url: 'https://other.example/**', cls: 0.2 },
+    ];
+
+    expect(resolveBudget('https://shop.example/cart', {}, budgets)).toEqual({ lcp: 4000, totalBytes: 2000000 });
+    expect(resolveBudget('https://shop.example/', { budget: { cls: 0.1 } }, budgets))
+      .toEqual({ lcp: 2500, totalBytes: 2000000, cls: 0.1 });
+    expect(() => resolveBudget('https://shop.example/', { budget: { lcp: '2s' } }, budgets))
+      .toThrow('Performance budget "lcp" in the audit config must be a number');
+  });
+
+  test('rejects unknown metrics in the budget file', () => {
+    const filePath = test.info().outputPath('budgets.json');
+    fs.writeFileSync(filePath, JSON.stringify({ budgets: [{ url: '**', videoBytes: 1 }] }));
+
+    expect(() => loadBudgets(filePath))
+      .toThrow(`Unknown performance budget metric "videoBytes" in budget 0 of ${filePath}`);
+    expect(loadBudgets(test.info().outputPath('missing.json'))).toEqual([]);
+  });
+
+  test('formats values with their unit', () => {
+    expect(formatBudgetValue(2500.4, 'millisecond')).toBe('2500 ms');
+    expect(formatBudgetValue(1024, 'byte')).toBe('1024 bytes');
+    expect(formatBudgetValue(0.12345, null)).toBe('0.123');
+  });
+});
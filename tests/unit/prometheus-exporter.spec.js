@@ -0,0 +1,105 @@
+// @ts-check
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { createOpenMetrics, pushToGateway } = require('../helpers/reporting/prometheus-exporter');
+
+const result = {
+  testName: 'Home "page"',
+  url: 'https://shop.example/cart?id=1',
+  state: 'default',
+  device: 'mobile',
+  testInfo: { project: { name: 'chromium-mobile' } },
+  lighthouseResults: {
+    metrics: { performance: 91 },
+    vitals: {
+      'largest-contentful-paint': { value: 2400, unit: 'millisecond' },
+      'total-byte-weight': { value: 512000, unit: 'byte' },
+      'cumulative-layout-shift': { value: 0.05, unit: 'unitless' },
+    },
+  },
+  axeResults: { metrics: { critical_violations: 2, baselined_violations: 1 } },
+};
+
+const labels = 'page="Home \\"page\\"",url_path="/cart",state="default",project="chromium-mobile",device="mobile"';
+const vitalLabels = (id) => `${labels},vital="${id}",engine="chromium",method="lighthouse"`;
+
+test.describe('prometheus exporter', () => {
+  test('renders the results as an OpenMetrics exposition', () => {
+    expect(createOpenMetrics([result], { prefix: 'webaudit' }).split('\n')).toEqual([
+      '# TYPE webaudit_lighthouse_score gauge',
+      '# HELP webaudit_lighthouse_score Lighthouse category score (0-100)',
+      `webaudit_lighthouse_score{${labels},category="performance"} 91`,
+      '# TYPE webaudit_vital_seconds gauge',
+      '# UNIT webaudit_vital_seconds seconds',
+      '# HELP webaudit_vital_seconds Timing audit value, from Lighthouse or the Performance API',
+      `webaudit_vital_seconds{${vitalLabels('largest-contentful-paint')}} 2.4`,
+      '# TYPE webaudit_vital_bytes gauge',
+      '# UNIT webaudit_vital_bytes bytes',
+      '# HELP webaudit_vital_bytes Byte weight audit value',
+      `webaudit_vital_bytes{${vitalLabels('total-byte-weight')}} 512000`,
+      '# TYPE webaudit_vital_value gauge',
+      '# HELP webaudit_vital_value Audit value without unit (e.g. CLS, DOM size)',
+      `webaudit_vital_value{${vitalLabels('cumulative-layout-shift')}} 0.05`,
+      '# TYPE webaudit_axe_violations gauge',
+      '# HELP webaudit_axe_violations Number of non-baselined axe violations',
+      `webaudit_axe_violations{${labels},impact="critical"} 2`,
+      `webaudit_axe_violations{${labels},impact="serious"} 0`,
+      `webaudit_axe_violations{${labels},impact="moderate"} 0`,
+      `webaudit_axe_violations{${labels},impact="minor"} 0`,
+      '# TYPE webaudit_axe_baselined_violations gauge',
+      '# HELP webaudit_axe_baselined_violations Number of axe violations listed in the accessibility baseline',
+      `webaudit_axe_baselined_violations{${labels}} 1`,
+      '# EOF',
+      '',
+    ]);
+  });
+
+  test('leaves out the families without samples', () => {
+    expect(createOpenMetrics([{ ...result, lighthouseResults: null, axeResults: null }])).toBe('# EOF\n');
+  });
+
+  test('pushes the Prometheus text format to the Pushgateway', async () => {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, body });
+        response.writeHead(200).end();
+      });
+    });
+    await new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(undefined));
+    });
+
+    try {
+      const address = server.address();
+      const pushgateway = {
+        url: `http://127.0.0.1:${typeof address === 'object' && address?.port}/`,
+        job: 'web audit',
+        instance: 'ci',
+        timeout: 5000,
+      };
+
+      expect(await pushToGateway([result], { prefix: 'webaudit', pushgateway })).toBe(200);
+      expect(requests[0].method).toBe('PUT');
+      expect(requests[0].url).toBe('/metrics/job/web%20audit/instance/ci');
+      expect(requests[0].body).toContain(`webaudit_lighthouse_score{${labels},category="performance"} 91`);
+      expect(requests[0].body).not.toMatch(/# (UNIT|EOF)/);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('requires a Pushgateway URL', async () => {
+    const pushgateway = {
+      url: '',
+      job: 'web_audit',
+      instance: 'ci',
+      timeout: 5000,
+    };
+
+    await expect(pushToGateway([result], { prefix: 'webaudit', pushgateway }))
+      .rejects.toThrow('No Pushgateway URL configured (PUSHGATEWAY_URL)');
+  });
+});
@@ -0,0 +1,101 @@
+// @ts-check
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { diffReports, formatDiff, main } = require('../helpers/reporting/report-diff');
+
+/**
+ * Creates a result of a consolidated report
+ * @param {string} url - Page URL
+ * @param {Object} [options] - `state`, `performance` score and axe `violations`
+ * @returns {Object} Test result
+ */
+const result = (url, { state = 'default', performance = 90, violations = [] } = {}) => ({
+  testName: `Audit ${url}`,
+  url,
+  state,
+  testInfo: { project: { name: 'chromium' } },
+  lighthouseResults: { metrics: { performance }, vitals: {} },
+  axeResults: {
+    violations: violations.map((target) => ({ id: 'label', impact: 'critical', nodes: [{ target: [target] }] })),
+  },
+});
+
+const report = (timestamp, results) => ({ timestamp, totalTests: results.length, results });
+
+test.describe('diffReports', () => {
+  test('matches pages whose state changed on their URL and project', () => {
+    const diff = diffReports(
+      report('base', [result('https://shop.example/', { state: 'dom-aaa' })]),
+      report('head', [result('https://shop.example/', { state: 'dom-bbb', performance: 70 })]),
+    );
+
+    expect(diff.pages.map((page) => page.status)).toEqual(['changed']);
+    expect(diff.regressions).toBe(1);
+  });
+
+  test('keeps pages with different explicit states apart', () => {
+    const url = 'https://shop.example/';
+    const diff = diffReports(
+      report('base', [result(url, { state: 'phones' }), result(url, { state: 'laptops', performance: 60 })]),
+      report('head', [result(url, { state: 'laptops', performance: 60 }), result(url, { state: 'phones' })]),
+    );
+
+    expect(diff.pages.map((page) => [page.state, page.status]))
+      .toEqual([['laptops', 'changed'], ['phones', 'changed']]);
+    expect(diff.regressions).toBe(0);
+  });
+
+  test('reports new violations over the tolerance and removed pages as regressions', () => {
+    const diff = diffReports(
+      report('base', [result('https://shop.example/'), result('https://shop.example/cart')]),
+      report('head', [result('https://shop.example/', { violations: ['#name'] }), result('https://shop.example/new')]),
+    );
+
+    expect(diff.pages.map((page) => [page.url, page.status, page.regressions])).toEqual([
+      ['https://shop.example/', 'changed', ['1 new accessibility violation(s)']],
+      ['https://shop.example/new', 'added', []],
+      ['https://shop.example/cart', 'removed', ['Page missing from the head report']],
+    ]);
+    expect(formatDiff(diff)).toContain('REGRESSION: Page missing from the head report');
+  });
+});
+
+test.describe('report diff command', () => {
+  /**
+   * Writes reports and runs the diff command on them
+   * @param {Object} base - Base report
+   * @param {Object} head - Head report
+   * @param {Array<string>} [args] - Extra arguments
+   * @returns {number} Exit code
+   */
+  const runDiff = (base, head, args = []) => {
+    const basePath = test.info().outputPath('base.json');
+    const headPath = test.info().outputPath('head.json');
+    fs.writeFileSync(basePath, JSON.stringify(base));
+    fs.writeFileSync(headPath, JSON.stringify(head));
+    return main([basePath, headPath, '--output', test.info().outputPath('diff.md'), '--format', 'markdown', ...args]);
+  };
+
+  test('exits with 0 without regressions', () => {
+    const base = report('base', [result('https://shop.example/', { performance: 90 })]);
+    const head = report('head', [result('https://shop.example/', { performance: 89 })]);
+
+    expect(runDiff(base, head)).toBe(0);
+  });
+
+  test('exits with 1 on a regression over the tolerances', () => {
+    const base = report('base', [result('https://shop.example/', { performance: 90 })]);
+    const head = report('head', [result('https://shop.example/', { performance: 80 })]);
+
+    expect(runDiff(base, head)).toBe(1);
+    expect(runDiff(base, head, ['--score-tolerance', '15'])).toBe(0);
+    expect(runDiff(base, report('head', []))).toBe(1);
+  });
+
+  test('exits with 2 on invalid usage', () => {
+    const base = report('base', []);
+
+    expect(runDiff(base, base, ['--format', 'pdf'])).toBe(2);
+    expect(main([test.info().outputPath('missing.json')])).toBe(2);
+  });
+});
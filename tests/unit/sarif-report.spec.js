@@ -0,0 +1,96 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const { createSarifLog, setLocationResolver, getWcagCriteria } = require('../helpers/reporting/sarif-report');
+
+const violation = {
+  id: 'color-contrast',
+  impact: 'serious',
+  help: 'Elements must meet minimum color contrast ratio thresholds',
+  helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/color-contrast',
+  tags: ['cat.color', 'wcag2aa', 'wcag143'],
+  nodes: [{ target: ['#price'], html: '<span id="price">', failureSummary: 'Fix any of the following' }],
+};
+
+const result = {
+  testName: 'Cart',
+  url: 'https://shop.example/cart',
+  state: 'default',
+  axeResults: {
+    testEngine: { name: 'axe-core', version: '4.10.2' },
+    violations: [violation],
+    baselinedViolations: [{
+      ...violation,
+      id: 'region',
+      impact: 'moderate',
+      tags: [],
+      nodes: [{ target: ['main'], baseline: { justification: 'Third-party widget' } }],
+    }],
+  },
+};
+
+test.describe('SARIF report', () => {
+  test.afterEach(() => setLocationResolver(null));
+
+  test('lists the WCAG success criteria of the axe tags', () => {
+    expect(getWcagCriteria(['wcag2aa', 'wcag143', 'wcag1411', 'best-practice'])).toEqual(['1.4.3', '1.4.11']);
+  });
+
+  test('creates a rule per violated axe rule and a result per node', () => {
+    const [run] = createSarifLog([result, { ...result, axeResults: null }]).runs;
+
+    expect(run.tool.driver).toEqual(expect.objectContaining({ name: 'axe-core', version: '4.10.2' }));
+    expect(run.tool.driver.rules.map((rule) => [rule.id, rule.defaultConfiguration.level]))
+      .toEqual([['color-contrast', 'error'], ['region', 'warning']]);
+    expect(run.tool.driver.rules[0].properties.wcag).toEqual(['1.4.3']);
+    expect(run.results.map(({ ruleId, ruleIndex, level }) => ({ ruleId, ruleIndex, level }))).toEqual([
+      { ruleId: 'color-contrast', ruleIndex: 0, level: 'error' },
+      { ruleId: 'region', ruleIndex: 1, level: 'warning' },
+    ]);
+    expect(run.results[0].message.text)
+      .toBe('Elements must meet minimum color contrast ratio thresholds on #price\nFix any of the following');
+    expect(run.results[0].locations).toEqual([{ physicalLocation: { artifactLocation: { uri: result.url } } }]);
+  });
+
+  test('suppresses the baselined violations with their justification', () => {
+    const [run] = createSarifLog([result]).runs;
+
+    expect(run.results[0].suppressions).toBeUndefined();
+    expect(run.results[1].suppressions).toEqual([{ kind: 'external', justification: 'Third-party widget' }]);
+  });
+
+  test('fingerprints the results on the rule, page and element', () => {
+    const fingerprint = (log) => log.runs[0].results[0].partialFingerprints['axeTarget/v1'];
+    const moved = { ...violation, nodes: [{ ...violation.nodes[0], target: ['#total'] }] };
+
+    expect(fingerprint(createSarifLog([result]))).toMatch(/^[0-9a-f]{32}$/);
+    expect(fingerprint(createSarifLog([result]))).toBe(fingerprint(createSarifLog([{ ...result, state: 'other' }])));
+    expect(fingerprint(createSarifLog([result])))
+      .not.toBe(fingerprint(createSarifLog([{ ...result, axeResults: { violations: [moved] } }])));
+  });
+
+  test('maps the nodes to source locations with the location resolver', () => {
+    const calls = [];
+    setLocationResolver((node) => {
+      calls.push(node);
+      return node.target === '#price' ? { file: 'src/Cart.jsx', line: 12, logicalName: 'CartTotal' } : null;
+    });
+    const [run] = createSarifLog([result]).runs;
+
+    expect(calls[0]).toEqual({
+      url: result.url,
+      target: '#price',
+      html: '<span id="price">',
+      ruleId: 'color-contrast',
+    });
+    expect(run.results[0].locations).toEqual([{
+      physicalLocation: { artifactLocation: { uri: 'src/Cart.jsx' }, region: { startLine: 12 } },
+      logicalLocations: [{ fullyQualifiedName: 'CartTotal', kind: 'element' }],
+    }]);
+    expect(run.results[1].locations).toEqual([{ physicalLocation: { artifactLocation: { uri: result.url } } }]);
+  });
+
+  test('rejects location resolvers that are not functions', () => {
+    // @ts-ignore
+    expect(() => setLocationResolver('src/resolver.js')).toThrow('SARIF location resolver must be a function');
+  });
+});
@@ -0,0 +1,65 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const {
+  aggregate,
+  describe: describeValues,
+  findOutliers,
+  percentile,
+  trimmedMean,
+} = require('../helpers/utils/statistics');
+
+test.describe('statistics', () => {
+  test('aggregates values with each aggregator', () => {
+    const values = [70, 90, 80, 100];
+    expect(aggregate(values, 'median')).toBe(85);
+    expect(aggregate(values, 'mean')).toBe(85);
+    expect(aggregate(values, 'p75')).toBe(92.5);
+    expect(aggregate([10, 70, 80, 90, 1000], 'trimmed-mean', { trimRatio: 0.2 })).toBe(80);
+    expect(() => aggregate(values, 'mode')).toThrow('Unknown aggregator "mode"');
+  });
+
+  test('interpolates percentiles and trims means', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([1, 2], 25)).toBe(1.25);
+    expect(trimmedMean([1, 2, 3], 0.4)).toBe(2);
+  });
+
+  test('describes the spread of values', () => {
+    expect(describeValues([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({
+      mean: 5,
+      stdDev: 2,
+      min: 2,
+      max: 9,
+      cv: 0.4,
+      samples: 8,
+    });
+  });
+
+  test('finds outliers with the median absolute deviation', () => {
+    expect(findOutliers([90, 85, 40])).toEqual([2]);
+    expect(findOutliers([90, 91, 89, 60, 90])).toEqual([3]);
+    expect(findOutliers([90, 85, 80])).toEqual([]);
+  });
+
+  test('falls back to the mean absolute deviation when the MAD is 0', () => {
+    // Most runs agree, so the MAD is 0
+    expect(findOutliers([90, 90, 90, 90, 40])).toEqual([4]);
+    expect(findOutliers([90, 90, 40], 2)).toEqual([2]);
+    expect(findOutliers([90, 90, 90, 80, 40])).toEqual([4]);
+  });
+
+  test('drops an odd run out of the default 3 runs', () => {
+    // Default LIGHTHOUSE_OUTLIER_THRESHOLD
+    const outlierThreshold = 3.5;
+
+    expect(findOutliers([90, 90, 40], outlierThreshold)).toEqual([2]);
+    expect(findOutliers([40, 90, 90], outlierThreshold)).toEqual([0]);
+    expect(findOutliers([90, 88, 40], outlierThreshold)).toEqual([2]);
+    expect(findOutliers([90, 85, 80], outlierThreshold)).toEqual([]);
+  });
+
+  test('finds no outliers in equal values or fewer than three runs', () => {
+    expect(findOutliers([90, 90, 90])).toEqual([]);
+    expect(findOutliers([90, 40])).toEqual([]);
+  });
+});